@@ -0,0 +1,175 @@
+/**
+ * Compression library
+ *
+ * Exports:
+ *  - codecs {                            codecs supported by Node.js zlib
+ *      gzip,
+ *      deflate,
+ *      brotli,                           only if zlib supports brotli (Node.js >= 11.7)
+ *    }
+ *  - findCodec(name)                  -> String(codec name), null if no compression
+ *                                        or throws ECOMPRESS
+ *  - contentEncoding(name)            -> String(the HTTP Content-Encoding of the codec)
+ *  - compress(name, data, encoding)   -> Promise(Buffer or Error instance)
+ *  - decompress(name, buffer)         -> Promise(Buffer or Error instance)
+ *  - decompressSync(name, buffer)     -> Buffer or throws
+ *  - createCompress(name)             -> Transform stream
+ *  - createDecompress(name)           -> Transform stream
+ */
+const zlib = require('zlib');
+const { is } = require('./Utils');
+
+const codecs = {
+  gzip: {
+    contentEncoding: 'gzip',
+    compress: zlib.gzip,
+    decompress: zlib.gunzip,
+    decompressSync: zlib.gunzipSync,
+    createCompress: zlib.createGzip,
+    createDecompress: zlib.createGunzip,
+  },
+
+  deflate: {
+    contentEncoding: 'deflate',
+    compress: zlib.deflate,
+    decompress: zlib.inflate,
+    decompressSync: zlib.inflateSync,
+    createCompress: zlib.createDeflate,
+    createDecompress: zlib.createInflate,
+  },
+};
+
+// brotli has been added to zlib in Node.js 11.7
+if (is.call(Function.prototype, zlib.createBrotliCompress)) {
+  codecs.brotli = {
+    contentEncoding: 'br',
+    compress: zlib.brotliCompress,
+    decompress: zlib.brotliDecompress,
+    decompressSync: zlib.brotliDecompressSync,
+    createCompress: zlib.createBrotliCompress,
+    createDecompress: zlib.createBrotliDecompress,
+  };
+}
+
+/**
+ * function findCodec
+ * check the compress option, undefined, null, false or 'none' means no compression
+ *
+ * @param  {String} name the codec name
+ * @return {String}      the codec name or null, throws an ECOMPRESS error if not supported
+ */
+const findCodec = function findCodec(name) {
+  let codec;
+
+  if (name === undefined || name === null || name === false || name === 'none') {
+    codec = null;
+  } else if (is.call(String.prototype, Object(name))
+    && Object.prototype.hasOwnProperty.call(codecs, name)) {
+    codec = name;
+  } else {
+    const err = new Error(`unsupported compression "${name}", use one of ${Object.keys(codecs).join(', ')}`);
+    err.code = 'ECOMPRESS';
+
+    throw err;
+  }
+
+  return codec;
+};
+
+/**
+ * function contentEncoding
+ * the HTTP Content-Encoding header value to send data compressed with a codec
+ *
+ * @param  {String} name the codec name
+ * @return {String}      'gzip', 'deflate', 'br' or undefined if no compression
+ */
+const contentEncoding = function contentEncoding(name) {
+  const codec = findCodec(name);
+
+  return codec ? codecs[codec].contentEncoding : undefined;
+};
+
+/**
+ * function compress (asynchronous)
+ * compress data, strings are converted to bytes with the encoding first
+ *
+ * @param  {String} name     the codec name
+ * @param  {Object} data     a String or a Buffer
+ * @param  {String} encoding the encoding of string data, utf8 by default
+ * @return {Promise}         Buffer or Error instance
+ */
+const compress = function compress(name, data, encoding) {
+  return new Promise((resolve, reject) => {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding);
+
+    codecs[findCodec(name)].compress(buffer, (err, compressed) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(compressed);
+      }
+    });
+  });
+};
+
+/**
+ * function decompress (asynchronous)
+ *
+ * @param  {String} name   the codec name
+ * @param  {Buffer} buffer the compressed data
+ * @return {Promise}       Buffer or Error instance
+ */
+const decompress = function decompress(name, buffer) {
+  return new Promise((resolve, reject) => {
+    codecs[findCodec(name)].decompress(buffer, (err, decompressed) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(decompressed);
+      }
+    });
+  });
+};
+
+/**
+ * function decompressSync (synchronous)
+ *
+ * @param  {String} name   the codec name
+ * @param  {Buffer} buffer the compressed data
+ * @return {Buffer}        the decompressed data
+ */
+const decompressSync = function decompressSync(name, buffer) {
+  return codecs[findCodec(name)].decompressSync(buffer);
+};
+
+/**
+ * function createCompress
+ *
+ * @param  {String} name the codec name
+ * @return {Transform}   a zlib compression stream
+ */
+const createCompress = function createCompress(name) {
+  return codecs[findCodec(name)].createCompress();
+};
+
+/**
+ * function createDecompress
+ *
+ * @param  {String} name the codec name
+ * @return {Transform}   a zlib decompression stream
+ */
+const createDecompress = function createDecompress(name) {
+  return codecs[findCodec(name)].createDecompress();
+};
+
+// exports
+module.exports = {
+  codecs,
+  findCodec,
+  contentEncoding,
+  compress,
+  decompress,
+  decompressSync,
+  createCompress,
+  createDecompress,
+};
@@ -0,0 +1,243 @@
+/**
+ * Encryption library
+ *
+ * Authenticated encryption with AES-256-GCM, an encrypted payload is saved as:
+ *  iv (12 bytes) | ciphertext | authentication tag (16 bytes)
+ * additional authenticated data (the entry name) bind a payload to its entry
+ *
+ * Exports:
+ *  - algorithm                                  'aes-256-gcm'
+ *  - createKeyring({ keys, keyId })          -> Object({ keyId, keys }) or throws EKEY
+ *  - encrypt(keyring, buffer, aad, keyId)    -> Buffer
+ *  - decrypt(keyring, keyId, buffer, aad)    -> Buffer or throws EKEY or EDECRYPT
+ *  - createEncrypt(keyring, aad, keyId)      -> Transform stream
+ *  - encryptField(keyring, value, aad, keyId)
+ *                                            -> String(base64 encrypted JSON)
+ *  - decryptField(keyring, keyId, field, aad)
+ *                                            -> value or throws EKEY or EDECRYPT
+ */
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { is } = require('./Utils');
+
+const algorithm = 'aes-256-gcm';
+const keyLength = 32;
+const ivLength = 12;
+const tagLength = 16;
+
+/**
+ * function cryptoError
+ *
+ * @param  {String} code    EKEY for key problems, EDECRYPT when data cannot be authenticated
+ * @param  {String} message the error message
+ * @param  {Error}  cause   the original error if any
+ * @return {Error}          Error instance with the code
+ */
+const cryptoError = function cryptoError(code, message, cause) {
+  const err = new Error(message);
+  err.code = code;
+
+  if (cause !== undefined) {
+    err.cause = cause;
+  }
+
+  return err;
+};
+
+/**
+ * function toKey
+ * a 32 bytes Buffer is used as is, any other secret is hashed with SHA-256
+ *
+ * @param  {Object} secret a String or a Buffer
+ * @return {Buffer}        the AES-256 key
+ */
+const toKey = function toKey(secret) {
+  if (Buffer.isBuffer(secret) && secret.length === keyLength) {
+    return secret;
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * function createKeyring
+ * check the encryption option of a cache instance
+ *
+ * @param  {Object} an object with these properties:
+ *                     - keys, secrets (Strings or Buffers) by key ID
+ *                     - keyId, the ID of the key used to encrypt, optional with only one key
+ * @return {Object}    { keyId, keys } or throws an EKEY error
+ */
+const createKeyring = function createKeyring({ keys, keyId } = {}) {
+  const keyring = { keyId, keys: {} };
+  const ids = Object.keys(Object(keys));
+
+  if (ids.length === 0) {
+    throw cryptoError('EKEY', 'encryption needs at least one key in keys');
+  }
+
+  ids.forEach((id) => {
+    const secret = keys[id];
+
+    if (!(Buffer.isBuffer(secret) && secret.length > 0)
+      && !(is.call(String.prototype, Object(secret)) && secret !== '')) {
+      throw cryptoError('EKEY', `the key "${id}" must be a not empty string or Buffer`);
+    }
+
+    keyring.keys[id] = toKey(secret);
+  });
+
+  if (keyId === undefined && ids.length === 1) {
+    [keyring.keyId] = ids;
+  } else if (!Object.prototype.hasOwnProperty.call(keyring.keys, keyId)) {
+    throw cryptoError('EKEY', 'keyId must be the ID of one of the keys');
+  }
+
+  return keyring;
+};
+
+/**
+ * function getKey
+ *
+ * @param  {Object} keyring the instance keyring, null if encryption is not enabled
+ * @param  {String} keyId   the key ID
+ * @return {Buffer}         the key or throws an EKEY error
+ */
+const getKey = function getKey(keyring, keyId) {
+  if (!keyring) {
+    throw cryptoError('EKEY', 'data are encrypted but no encryption key has been given');
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(keyring.keys, keyId)) {
+    throw cryptoError('EKEY', `the key "${keyId}" is unknown`);
+  }
+
+  return keyring.keys[keyId];
+};
+
+/**
+ * function encrypt
+ *
+ * @param  {Object} keyring the instance keyring
+ * @param  {Buffer} buffer  the data to encrypt
+ * @param  {String} aad     the additional authenticated data
+ * @param  {String} keyId   the key ID, the keyring one by default
+ * @return {Buffer}         iv | ciphertext | tag
+ */
+const encrypt = function encrypt(keyring, buffer, aad, keyId = keyring.keyId) {
+  const iv = crypto.randomBytes(ivLength);
+  const cipher = crypto.createCipheriv(algorithm, getKey(keyring, keyId), iv);
+
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+};
+
+/**
+ * function decrypt
+ *
+ * @param  {Object} keyring the instance keyring
+ * @param  {String} keyId   the ID of the key used to encrypt
+ * @param  {Buffer} buffer  iv | ciphertext | tag
+ * @param  {String} aad     the additional authenticated data
+ * @return {Buffer}         the data, throws an EDECRYPT error if they cannot be authenticated
+ */
+const decrypt = function decrypt(keyring, keyId, buffer, aad) {
+  const key = getKey(keyring, keyId);
+
+  if (buffer.length < ivLength + tagLength) {
+    throw cryptoError('EDECRYPT', 'encrypted data are truncated');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(algorithm, key, buffer.slice(0, ivLength));
+
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(buffer.slice(buffer.length - tagLength));
+
+    return Buffer.concat([
+      decipher.update(buffer.slice(ivLength, buffer.length - tagLength)),
+      decipher.final(),
+    ]);
+  } catch (e) {
+    throw cryptoError('EDECRYPT', 'encrypted data cannot be authenticated', e);
+  }
+};
+
+/**
+ * function createEncrypt
+ * the streaming version of encrypt, the iv is pushed first and the tag last
+ *
+ * @param  {Object} keyring the instance keyring
+ * @param  {String} aad     the additional authenticated data
+ * @param  {String} keyId   the key ID, the keyring one by default
+ * @return {Transform}      an encryption stream
+ */
+const createEncrypt = function createEncrypt(keyring, aad, keyId = keyring.keyId) {
+  const iv = crypto.randomBytes(ivLength);
+  const cipher = crypto.createCipheriv(algorithm, getKey(keyring, keyId), iv);
+  let hasIv = false;
+
+  cipher.setAAD(Buffer.from(aad));
+
+  return new Transform({
+    transform(chunk, encoding, done) {
+      if (!hasIv) {
+        this.push(iv);
+        hasIv = true;
+      }
+
+      done(null, cipher.update(chunk));
+    },
+
+    flush(done) {
+      if (!hasIv) {
+        this.push(iv);
+      }
+
+      this.push(cipher.final());
+      this.push(cipher.getAuthTag());
+      done();
+    },
+  });
+};
+
+/**
+ * function encryptField
+ * encrypt a conf object field as JSON
+ *
+ * @param  {Object} keyring the instance keyring
+ * @param  {Object} value   the field value
+ * @param  {String} aad     the additional authenticated data
+ * @param  {String} keyId   the key ID, the keyring one by default
+ * @return {String}         the encrypted field in base64
+ */
+const encryptField = function encryptField(keyring, value, aad, keyId = keyring.keyId) {
+  return encrypt(keyring, Buffer.from(JSON.stringify(value)), aad, keyId).toString('base64');
+};
+
+/**
+ * function decryptField
+ *
+ * @param  {Object} keyring the instance keyring
+ * @param  {String} keyId   the ID of the key used to encrypt
+ * @param  {String} field   the encrypted field in base64
+ * @param  {String} aad     the additional authenticated data
+ * @return {Object}         the field value
+ */
+const decryptField = function decryptField(keyring, keyId, field, aad) {
+  return JSON.parse(decrypt(keyring, keyId, Buffer.from(field, 'base64'), aad).toString());
+};
+
+// exports
+module.exports = {
+  algorithm,
+  createKeyring,
+  encrypt,
+  decrypt,
+  createEncrypt,
+  encryptField,
+  decryptField,
+};
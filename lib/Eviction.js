@@ -0,0 +1,119 @@
+/**
+ * Eviction library
+ *
+ * An eviction policy is an object with a score function:
+ *  - score(entry, now)       -> Number, entries with the lowest scores are evicted first
+ * an entry is { name, bytes, hits, lastAccess, lastModified, expires, pinned },
+ * equal scores are evicted least recently used first and pinned entries are never evicted
+ *
+ * Exports:
+ *  - policies {                            policies available in every cache instance
+ *      lru,                                least recently used first
+ *      lfu,                                least frequently used first, by hit counts
+ *      ttl,                                soonest to expire first
+ *      size,                               fewest hits per byte first, large cold entries
+ *    }                                     are evicted before small hot ones
+ *  - isPolicy(obj)                      -> Boolean
+ *  - policyError(message)               -> Error instance with code EPOLICY
+ *  - findPolicy(policy)                 -> Object({ name, score }) or throws EPOLICY
+ *  - evictionOrder(policy, entries, now)
+ *                                       -> Array(entries which can be evicted, first ones first)
+ */
+const { is } = require('./Utils');
+
+const policies = {
+  lru: {
+    score({ lastAccess }) {
+      return lastAccess;
+    },
+  },
+
+  lfu: {
+    score({ hits }) {
+      return hits;
+    },
+  },
+
+  ttl: {
+    score({ expires }) {
+      return expires;
+    },
+  },
+
+  size: {
+    score({ hits, bytes }) {
+      return (hits + 1) / Math.max(bytes, 1);
+    },
+  },
+};
+
+/**
+ * function policyError
+ *
+ * @param  {String} message the error message
+ * @return {Error}          Error instance with code EPOLICY
+ */
+const policyError = function policyError(message) {
+  const err = new Error(message);
+  err.code = 'EPOLICY';
+
+  return err;
+};
+
+/**
+ * function isPolicy
+ * test if an object has a score function
+ *
+ * @param  {Object}  obj the object to test
+ * @return {Boolean}     true if obj can be used as an eviction policy
+ */
+const isPolicy = function isPolicy(obj) {
+  return !!obj && is.call(Function.prototype, obj.score);
+};
+
+/**
+ * function findPolicy
+ * check the eviction option of a cache instance, LRU by default
+ *
+ * @param  {Object} policy a built-in policy name or { name, score }
+ * @return {Object}        { name, score } or throws an EPOLICY error
+ */
+const findPolicy = function findPolicy(policy = 'lru') {
+  if (isPolicy(policy)) {
+    return { name: policy.name || 'custom', score: policy.score };
+  }
+
+  if (is.call(String.prototype, Object(policy))
+    && Object.prototype.hasOwnProperty.call(policies, policy)) {
+    return { name: policy, score: policies[policy].score };
+  }
+
+  throw policyError(`unknown eviction policy "${policy}", use one of ${Object.keys(policies).join(', ')} or { score }`);
+};
+
+/**
+ * function evictionOrder
+ * sort the entries which are not pinned in the order they should be evicted
+ *
+ * @param  {Object} policy  { name, score }
+ * @param  {Array}  entries { name, bytes, hits, lastAccess, lastModified, expires, pinned }
+ * @param  {Number} now     the current time, Date.now() by default
+ * @return {Array}          the entries which can be evicted, first ones first
+ */
+const evictionOrder = function evictionOrder(policy, entries, now = Date.now()) {
+  return entries
+  .filter(entry => entry.pinned !== true)
+  .map(entry => ({ entry, score: Number(policy.score(entry, now)) }))
+  .sort((scored, other) => (scored.score - other.score)
+    || (scored.entry.lastAccess - other.entry.lastAccess))
+  .map(({ entry }) => entry);
+};
+
+// exports
+module.exports = {
+  policies,
+  isPolicy,
+  policyError,
+  findPolicy,
+  evictionOrder,
+};
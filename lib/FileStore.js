@@ -0,0 +1,651 @@
+/**
+ * FileStore library
+ *
+ * The default store adapter (see Store), an entry is saved in 2 files of the cache directory:
+ *  - a JSON conf file holding its conf object: <key>_conf.json
+ *  - a data file holding its payload: <key>_conf.json_<key>@<write id>, each write having
+ *    its own data file, recorded in the conf object as file.path (given by location)
+ * files are written to temporary files, flushed then renamed into place, the conf file last:
+ * renaming it commits the write and the previous data file is removed afterwards
+ * temporary files left by crashed processes are removed when the store is opened
+ * locks are lock files shared by all processes using the directory (see Lock)
+ * conf files written with a copy of data by previous versions are rewritten
+ * without it the first time they are read outside the entry lock, unless they changed
+ * meanwhile, their data files having no write id
+ *
+ * Exports:
+ *  - isLegacyConf(confObj)              -> Boolean
+ *  - toMetaConf(confObj, size)          -> Object(the conf object without data)
+ *  - createFileStore(directory)         -> Object(store adapter with every optional method,
+ *                                          verify and repair included)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const debug = require('debug')('cache');
+const Utils = require('./Utils');
+const Serializers = require('./Serializers');
+const Integrity = require('./Integrity');
+const Lock = require('./Lock');
+
+const {
+  confExtension,
+  is,
+  getFileStream,
+  readStream,
+  getJSON,
+  checkDirectory,
+  tmpPrefix,
+  syncFile,
+  writeTmpFile,
+  moveFile,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  inBatches,
+  isStaleTmpFile,
+  mkdirp,
+  removeTmpFiles,
+} = Utils;
+
+const { resolveSerializer } = Serializers;
+const { createVerify } = Integrity;
+
+const {
+  lockPrefix,
+  acquire,
+  acquireSync,
+} = Lock;
+
+/**
+ * function isLegacyConf
+ * test if a conf object has been written with a copy of data (before metadata-only conf files)
+ *
+ * @param  {Object}  confObj the configuration object read from a conf file
+ * @return {Boolean}         true if data has to be removed from the conf object
+ */
+const isLegacyConf = function isLegacyConf(confObj) {
+  return !!confObj && confObj.data !== undefined;
+};
+
+/**
+ * function toMetaConf
+ * build the metadata-only conf object from a legacy conf object
+ *
+ * @param  {Object} confObj the legacy configuration object
+ * @param  {Number} size    the data file size, data length is used if undefined
+ * @return {Object}         a new configuration object without data
+ */
+const toMetaConf = function toMetaConf(confObj, size) {
+  const { data, file = {} } = confObj;
+  const metaConf = {};
+
+  Object.keys(confObj)
+  .filter(key => key !== 'data')
+  .forEach((key) => {
+    metaConf[key] = confObj[key];
+  });
+
+  metaConf.encoding = file.encoding || metaConf.encoding;
+
+  // Buffers were saved in legacy conf files as { type: 'Buffer', data: [...] }
+  if (data.type === 'Buffer' && Array.isArray(data.data)) {
+    metaConf.serializer = 'buffer';
+  } else {
+    metaConf.serializer = resolveSerializer(undefined, data).name;
+  }
+
+  if (size !== undefined) {
+    metaConf.size = size;
+  } else if (Buffer.isBuffer(data) || is.call(String.prototype, Object(data))) {
+    metaConf.size = Buffer.byteLength(data, metaConf.encoding);
+  } else {
+    metaConf.size = Buffer.byteLength(JSON.stringify(data));
+  }
+
+  return metaConf;
+};
+
+/**
+ * function createFileStore
+ *
+ * @param  {String} directory the absolute path to the cache directory
+ * @return {Object}           the store adapter
+ */
+const createFileStore = function createFileStore(directory) {
+  // the data file name of a key without write id, ids are appended after '@', escaped in keys
+  const toDataName = key => `${key}${confExtension}_${key}`;
+
+  // the conf file, legacy data file (without write id) and lock file paths of a key
+  const getKeyPaths = key => ({
+    confFile: path.join(directory, `${key}${confExtension}`),
+    legacyFile: path.join(directory, toDataName(key)),
+    lockFile: path.join(directory, `${lockPrefix}${key}`),
+  });
+
+  // keys are escaped by toFileName so that no path can ever leave the cache directory
+  const getPaths = (key) => {
+    const paths = getKeyPaths(key);
+
+    if (Object.keys(paths).some(file => path.dirname(paths[file]) !== directory)) {
+      throw new Error(`"${key}" cannot be mapped to a file in ${directory}`);
+    }
+
+    return paths;
+  };
+
+  /**
+   * the key of the entry a file of the cache directory belongs to, data files are named
+   * after the key twice then their write id, files which do not belong to an entry
+   * are their own key
+   * data files are told first: keys never end with confExtension (see toFileName) but
+   * directories written before may hold data files ending like conf files
+   */
+  const getFileKey = (file) => {
+    const separator = file.lastIndexOf('@');
+    const name = separator !== -1 && /^[0-9a-f]+$/.test(file.slice(separator + 1))
+      ? file.slice(0, separator)
+      : file;
+    const key = name.slice(0, (name.length - confExtension.length - 1) / 2);
+
+    if (name === toDataName(key)) {
+      return key;
+    }
+
+    return file.endsWith(confExtension) ? file.slice(0, -confExtension.length) : file;
+  };
+
+  // temporary files and lock files are in use by writers, '+' is never part of a key
+  const isEntryFile = file => file.indexOf(tmpPrefix) !== 0 && file.indexOf(lockPrefix) !== 0;
+
+  const isConfFile = file => isEntryFile(file) && file === `${getFileKey(file)}${confExtension}`;
+
+  const isDataFile = file => isEntryFile(file) && !isConfFile(file) && getFileKey(file) !== file;
+
+  // a new data file path, unique to a write
+  const newDataFile = key => `${getPaths(key).legacyFile}@${crypto.randomBytes(6).toString('hex')}`;
+
+  // the data file described by a conf object, the legacy one if its file.path is not a data file
+  const toDataFile = (key, confObj) => {
+    const { path: dataPath } = Object(Object(confObj).file);
+    const name = is.call(String.prototype, Object(dataPath)) ? path.basename(dataPath) : '';
+
+    return isDataFile(name) && getFileKey(name) === key
+      ? path.join(directory, name)
+      : getPaths(key).legacyFile;
+  };
+
+  // the data file of the conf object given or else of the conf file saved
+  const readDataFile = (key, confObj) => (confObj !== undefined
+    ? Promise.resolve(toDataFile(key, confObj))
+    : getJSON(getPaths(key).confFile).then(savedConf => toDataFile(key, savedConf)));
+
+  const readDataFileSync = (key, confObj) => (confObj !== undefined
+    ? toDataFile(key, confObj)
+    : toDataFile(key, JSON.parse(fs.readFileSync(getPaths(key).confFile))));
+
+  const readDirectory = () => new Promise((resolve, reject) => {
+    fs.readdir(directory, (err, files) => (err ? reject(err) : resolve(files)));
+  });
+
+  // remove a file, resolves with false if it did not exist
+  const removeFile = file => new Promise((resolve, reject) => {
+    fs.unlink(file, (err) => {
+      if (err && err.code !== 'ENOENT') {
+        reject(err);
+      } else {
+        resolve(!err);
+      }
+    });
+  });
+
+  const removeFileSync = (file) => {
+    try {
+      fs.unlinkSync(file);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+
+      return false;
+    }
+
+    return true;
+  };
+
+  // remove temporary files left by a failed write, resolves once they are removed
+  const discard = (...files) => Promise.all(files
+  .filter(file => file !== undefined)
+  .map(file => removeFile(file).catch(err => debug(err))));
+
+  // the stats of a file, undefined if it does not exist
+  const statFile = file => new Promise((resolve) => {
+    fs.stat(file, (err, stats) => resolve(err ? undefined : stats));
+  });
+
+  // check a whole data file against its integrity
+  const hasIntegrity = (dataFile, integrity) => new Promise((resolve) => {
+    const verifyStream = createVerify(integrity);
+
+    verifyStream.on('error', () => resolve(false));
+    verifyStream.on('end', () => resolve(true));
+
+    fs.createReadStream(dataFile)
+    .on('error', () => resolve(false))
+    .pipe(verifyStream)
+    .resume();
+  });
+
+  /**
+   * the anomalies of an entry, none if it is consistent:
+   * { type, key, name, message, files } where files are the file names to remove to repair it
+   * dataNames are the data files found for the key, the ones its conf file does not describe
+   * are left by interrupted writes
+   * the whole data file is only checked against its integrity if deep is true
+   */
+  const checkEntry = (key, dataNames, deep) => {
+    const { confFile } = getKeyPaths(key);
+    const confName = path.basename(confFile);
+    const anomaly = (type, name, message, files) => ({
+      type,
+      key,
+      name,
+      message,
+      files,
+    });
+
+    return Promise.all([statFile(confFile)].concat(dataNames
+    .map(dataName => statFile(path.join(directory, dataName)))))
+    .then(([confStats, ...dataStats]) => {
+      const foundNames = dataNames.filter((dataName, i) => dataStats[i] !== undefined);
+
+      if (!confStats) {
+        return foundNames.length > 0 ? [anomaly('orphan-data', undefined, 'the data file has no conf file', foundNames)] : [];
+      }
+
+      return getJSON(confFile)
+      .then((confObj) => {
+        const { name, integrity, file: { saved } = {} } = confObj;
+        const dataFile = toDataFile(key, confObj);
+        const dataName = path.basename(dataFile);
+        const staleNames = foundNames.filter(foundName => foundName !== dataName);
+        const stale = staleNames.length > 0 ? [anomaly('orphan-data', name, 'the data file is not the one of the conf file', staleNames)] : [];
+
+        return statFile(dataFile)
+        .then((stats) => {
+          const entryNames = [confName].concat(stats ? [dataName] : []);
+
+          if (saved === false) {
+            return anomaly('unsaved', name, 'the data file has not been saved', entryNames);
+          }
+
+          if (!stats) {
+            return anomaly('missing-data', name, 'the data file is missing', entryNames);
+          }
+
+          if (!integrity) {
+            return undefined;
+          }
+
+          if (stats.size !== integrity.length) {
+            return anomaly('corrupt', name, `data file length is ${stats.size} instead of ${integrity.length}`, entryNames);
+          }
+
+          return (deep ? hasIntegrity(dataFile, integrity) : Promise.resolve(true))
+          .then(isValid => (isValid ? undefined : anomaly('corrupt', name, 'data file hash does not match', entryNames)));
+        })
+        .then(entryAnomaly => stale.concat(entryAnomaly || []));
+      }, err => [anomaly('bad-conf', undefined, `the conf file cannot be parsed: ${err.message}`, [confName].concat(foundNames))]);
+    });
+  };
+
+  // copy a file with streams, fs.copyFile is not available on every supported Node version
+  const copyFile = (file, target) => new Promise((resolve, reject) => {
+    const wstream = fs.createWriteStream(target);
+
+    wstream.on('error', reject);
+    wstream.on('finish', resolve);
+
+    fs.createReadStream(file)
+    .on('error', (err) => {
+      wstream.destroy();
+      reject(err);
+    })
+    .pipe(wstream);
+  });
+
+  // move a file to the quarantine directory, copied then removed between file systems
+  const quarantineFile = (file, quarantine) => mkdirp(quarantine)
+  .then(() => new Promise((resolve, reject) => {
+    const target = path.join(quarantine, `${Date.now()}-${path.basename(file)}`);
+
+    fs.rename(file, target, (err) => {
+      if (!err) {
+        resolve();
+      } else if (err.code !== 'EXDEV') {
+        reject(err);
+      } else {
+        copyFile(file, target)
+        .then(() => removeFile(file))
+        .then(() => resolve(), reject);
+      }
+    });
+  }));
+
+  // a conf object read again is the one read before
+  const isSameConf = (confObj, other) => JSON.stringify(confObj) === JSON.stringify(other);
+
+  /**
+   * legacy conf files are rewritten without data under the entry lock, unless they have
+   * changed since they were read or the entry is locked (by the caller reading it maybe),
+   * a failure is only logged and the conf object is given without data anyway
+   */
+  const readLegacyConf = (key, confObj) => {
+    const { confFile, legacyFile, lockFile } = getPaths(key);
+
+    return new Promise((resolve) => {
+      fs.stat(legacyFile, (error, stats) => resolve(toMetaConf(confObj, error
+        ? undefined
+        : stats.size)));
+    })
+    .then(metaConf => acquire(lockFile, { wait: false })
+      .then(entryLock => getJSON(confFile)
+        .then(savedConf => isSameConf(savedConf, confObj)
+          && writeFileAtomic(confFile, JSON.stringify(metaConf, null, 2)))
+        .then(() => entryLock.release(), (err) => {
+          entryLock.release();
+
+          throw err;
+        }))
+      .catch(err => debug(err))
+      .then(() => metaConf));
+  };
+
+  const readLegacyConfSync = (key, confObj) => {
+    const { confFile, legacyFile, lockFile } = getPaths(key);
+    let size;
+    let entryLock;
+
+    try {
+      size = fs.statSync(legacyFile).size;
+    } catch (e) {
+      size = undefined;
+    }
+
+    const metaConf = toMetaConf(confObj, size);
+
+    try {
+      entryLock = acquireSync(lockFile, { wait: false });
+
+      if (isSameConf(JSON.parse(fs.readFileSync(confFile)), confObj)) {
+        writeFileAtomicSync(confFile, JSON.stringify(metaConf, null, 2));
+      }
+    } catch (e) {
+      debug(e);
+    } finally {
+      if (entryLock !== undefined) {
+        entryLock.release();
+      }
+    }
+
+    return metaConf;
+  };
+
+  const store = {
+    name: 'fs',
+    directory,
+
+    /**
+     * create the directory if needed and check it, temporary files left
+     * by crashed processes are removed
+     *
+     * @return {Promise} undefined or Error instance with code ECACHEDIR
+     */
+    open() {
+      return checkDirectory(directory)
+      .then(() => removeTmpFiles(directory)
+        .then(removed => removed.length > 0 && debug(`${removed.length} temporary files removed`))
+        .catch(err => debug(err)))
+      .then(() => undefined);
+    },
+
+    // a new data file path for each write, saved in file.path
+    location(key) {
+      return newDataFile(key);
+    },
+
+    readMeta(key) {
+      return getJSON(getPaths(key).confFile)
+      .then(confObj => (isLegacyConf(confObj) ? readLegacyConf(key, confObj) : confObj));
+    },
+
+    readMetaSync(key) {
+      const confObj = JSON.parse(fs.readFileSync(getPaths(key).confFile));
+
+      return isLegacyConf(confObj) ? readLegacyConfSync(key, confObj) : confObj;
+    },
+
+    writeMeta(key, confObj) {
+      return writeFileAtomic(getPaths(key).confFile, JSON.stringify(confObj, null, 2))
+      .then(() => undefined);
+    },
+
+    writeMetaSync(key, confObj) {
+      writeFileAtomicSync(getPaths(key).confFile, JSON.stringify(confObj, null, 2));
+    },
+
+    /**
+     * the payload methods read the data file of the conf object given,
+     * the one of the conf file saved without it
+     */
+    size(key, confObj) {
+      return readDataFile(key, confObj)
+      .then(dataFile => new Promise((resolve, reject) => {
+        fs.stat(dataFile, (err, stats) => (err ? reject(err) : resolve(stats.size)));
+      }));
+    },
+
+    readData(key, confObj) {
+      return readDataFile(key, confObj)
+      .then(dataFile => getFileStream(dataFile, 'buffer'))
+      .then(rstream => readStream(rstream));
+    },
+
+    readDataSync(key, confObj) {
+      return fs.readFileSync(readDataFileSync(key, confObj));
+    },
+
+    createReadStream(key, confObj) {
+      return readDataFile(key, confObj)
+      .then(dataFile => getFileStream(dataFile, 'buffer'));
+    },
+
+    /**
+     * the payload is written to the data file of confObj.file.path if it is a new one,
+     * to a new data file recorded in file.path otherwise, so that the data file of
+     * the conf file saved is never replaced
+     * both files are written to temporary files and flushed before being renamed into place,
+     * the conf file last: readers get either the previous conf file and data file or
+     * the new ones, the previous data file is removed once the conf file is replaced
+     */
+    write(key, confObj, payload, { override = true } = {}) {
+      const { confFile, legacyFile } = getPaths(key);
+      let savedFile;
+      let dataFile;
+      let dataTmp;
+      let confTmp;
+      let isMoved = false;
+
+      return readDataFile(key).catch(() => undefined)
+      .then((file) => {
+        const givenFile = toDataFile(key, confObj);
+        const isNew = givenFile !== file && givenFile !== legacyFile;
+
+        savedFile = file;
+        dataFile = isNew ? givenFile : newDataFile(key);
+
+        return writeTmpFile(dataFile, payload);
+      })
+      .then((tmp) => {
+        const file = Object.assign({}, confObj.file, { path: dataFile });
+        const savedConf = Object.assign({}, confObj, { file });
+
+        dataTmp = tmp;
+
+        return writeTmpFile(confFile, JSON.stringify(savedConf, null, 2));
+      })
+      .then((tmp) => {
+        confTmp = tmp;
+
+        return Promise.all([syncFile(dataTmp), syncFile(confTmp)]);
+      })
+      .then(() => moveFile(dataTmp, dataFile))
+      .then(() => {
+        isMoved = true;
+
+        return moveFile(confTmp, confFile, override);
+      })
+      .then(() => savedFile !== undefined && savedFile !== dataFile && removeFile(savedFile)
+        .catch(err => debug(err)))
+      .then(() => undefined)
+      .catch(err => discard(dataTmp, confTmp, isMoved ? dataFile : undefined)
+        .then(() => Promise.reject(err)));
+    },
+
+    // the conf file is removed first so that no conf file describes a removed data file
+    remove(key) {
+      const { confFile, legacyFile } = getPaths(key);
+
+      return readDataFile(key).catch(() => legacyFile)
+      .then(dataFile => removeFile(confFile)
+        .then(removed => removeFile(dataFile).then(() => removed)));
+    },
+
+    removeSync(key) {
+      const { confFile, legacyFile } = getPaths(key);
+      let dataFile;
+
+      try {
+        dataFile = readDataFileSync(key);
+      } catch (e) {
+        dataFile = legacyFile;
+      }
+
+      const removed = removeFileSync(confFile);
+
+      removeFileSync(dataFile);
+
+      return removed;
+    },
+
+    list() {
+      return readDirectory()
+      .then(files => files.filter(isConfFile).map(getFileKey));
+    },
+
+    listSync() {
+      return fs.readdirSync(directory).filter(isConfFile).map(getFileKey);
+    },
+
+    lock(key, options) {
+      return acquire(getPaths(key).lockFile, options);
+    },
+
+    lockSync(key, options) {
+      return acquireSync(getPaths(key).lockFile, options);
+    },
+
+    /**
+     * scan the whole directory for anomalies, entries are checked batch by batch,
+     * temporary files in use and lock files are left
+     *
+     * @param  {Object}  options { deep, batchSize }
+     * @return {Promise}         { scanned, entries, anomalies }
+     */
+    verify({ deep = false, batchSize = 100 } = {}) {
+      return readDirectory()
+      .then((files) => {
+        const dataNames = new Map();
+        const anomalies = [];
+
+        files.forEach((file) => {
+          const key = getFileKey(file);
+          const isEntry = isEntryFile(file) && (key !== file || file.endsWith(confExtension));
+
+          if (isStaleTmpFile(file)) {
+            anomalies.push({ type: 'tmp', message: 'temporary file left by a process', files: [file] });
+          } else if (isEntry) {
+            dataNames.set(key, (dataNames.get(key) || []).concat(isDataFile(file) ? [file] : []));
+          } else if (isEntryFile(file)) {
+            anomalies.push({ type: 'unknown', message: 'the file does not belong to the cache', files: [file] });
+          }
+        });
+
+        const keys = Array.from(dataNames.keys());
+
+        return inBatches(keys, batchSize, batch => Promise.all(batch
+        .map(key => checkEntry(key, dataNames.get(key), deep))))
+        .then(results => ({
+          scanned: files.length,
+          entries: keys.length,
+          anomalies: results.reduce((found, batch) => found.concat(...batch), anomalies),
+        }));
+      });
+    },
+
+    /**
+     * repair an anomaly by removing or quarantining its files, an entry anomaly is checked again
+     * under the entry lock and skipped if it has changed or if the entry is locked
+     *
+     * @param  {Object}  anomaly an anomaly reported by verify
+     * @param  {Object}  options { deep, quarantine, lock } lock being the lock options
+     * @return {Promise}         'removed', 'quarantined', 'skipped' or 'failed'
+     */
+    repair(anomaly, { deep = false, quarantine, lock } = {}) {
+      const action = quarantine ? 'quarantined' : 'removed';
+      const dispose = files => files.reduce((previous, file) => previous
+        .then(() => (quarantine
+          ? quarantineFile(path.join(directory, file), quarantine)
+          : removeFile(path.join(directory, file)))), Promise.resolve())
+      .then(() => action);
+
+      if (anomaly.type === 'unknown') {
+        return Promise.resolve('skipped');
+      }
+
+      if (anomaly.type === 'tmp') {
+        return isStaleTmpFile(anomaly.files[0]) ? dispose(anomaly.files).catch(() => 'failed') : Promise.resolve('skipped');
+      }
+
+      return store.lock(anomaly.key, Object.assign({}, lock, { wait: false }))
+      .then(entryLock => checkEntry(anomaly.key, anomaly.files.filter(isDataFile), deep)
+        .then((anomalies) => {
+          const current = anomalies.find(({ type }) => type === anomaly.type);
+
+          return current === undefined ? 'skipped' : dispose(current.files);
+        })
+        .then((result) => {
+          entryLock.release();
+
+          return result;
+        }, (err) => {
+          entryLock.release();
+
+          throw err;
+        }))
+      .catch((err) => {
+        debug(err);
+
+        return err.code === 'ELOCKED' ? 'skipped' : 'failed';
+      });
+    },
+  };
+
+  return store;
+};
+
+// exports
+module.exports = {
+  isLegacyConf,
+  toMetaConf,
+  createFileStore,
+};
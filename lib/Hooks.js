@@ -0,0 +1,173 @@
+/**
+ * Hooks library
+ *
+ * Plugins given to use() of a cache instance add hooks around its methods, the hooks of a call
+ * share a context { operation, args }, operation being the name of the method called:
+ *  - before<Kind>(context): may give new args (an Array) to call the method with, undefined
+ *    keeps them, throwing makes the call fail
+ *  - after<Kind>(result, context): may give a new result, undefined keeps it
+ *  - onError(err, context): called when a hooked call fails, the call still fails with err
+ * before hooks run in the order plugins were added, after hooks in the reverse order so that
+ * the first plugin wraps the others, hooks of asynchronous methods may give Promises,
+ * hooks of sync methods must not: a Promise given to a sync method is an EHOOK error
+ *
+ * Exports:
+ *  - hookedMethods {                       the methods hooked by kind
+ *      Get,                                get, getValue, getBuffer, getData, their sync
+ *                                          versions and hasSync
+ *      Set,                                set and setParallel
+ *      Delete,                             delete and deleteSync
+ *      Reset,                              reset and resetSync
+ *      Clear,                              clear and clearSync
+ *    }
+ *  - hookNames                             before<Kind>, after<Kind> and onError
+ *  - hookError(message)                 -> Error instance with code EHOOK
+ *  - createHooks()                      -> Object({ use(plugin), has(kind),
+ *                                          run(kind, operation, args, call),
+ *                                          runSync(kind, operation, args, call) })
+ */
+const { is } = require('./Utils');
+
+const hookedMethods = {
+  Get: [
+    'get',
+    'getSync',
+    'getValue',
+    'getValueSync',
+    'getBuffer',
+    'getBufferSync',
+    'getData',
+    'getDataSync',
+    'hasSync',
+  ],
+  Set: ['set', 'setParallel'],
+  Delete: ['delete', 'deleteSync'],
+  Reset: ['reset', 'resetSync'],
+  Clear: ['clear', 'clearSync'],
+};
+
+const hookNames = Object.keys(hookedMethods)
+.reduce((names, kind) => names.concat(`before${kind}`, `after${kind}`), ['onError']);
+
+/**
+ * function hookError
+ *
+ * @param  {String} message the error message
+ * @return {Error}          Error instance with code EHOOK
+ */
+const hookError = function hookError(message) {
+  const err = new Error(message);
+  err.code = 'EHOOK';
+
+  return err;
+};
+
+/**
+ * function createHooks
+ * the hooks of a cache instance, none until plugins are added
+ *
+ * @return {Object} the hooks
+ */
+const createHooks = function createHooks() {
+  // the hooks by name, in the order plugins were added
+  const hooks = new Map(hookNames.map(name => [name, []]));
+
+  const isThenable = value => !!value && is.call(Function.prototype, value.then);
+
+  // the args given by a before hook replace the args of the call
+  const setArgs = (context, args) => {
+    if (args !== undefined) {
+      if (!Array.isArray(args)) {
+        throw hookError(`before hooks of ${context.operation} must give an array of arguments`);
+      }
+
+      Object.assign(context, { args });
+    }
+  };
+
+  // the result given by an after hook replaces the result of the call
+  const nextResult = (current, next) => (next === undefined ? current : next);
+
+  // a sync method cannot wait for a hook
+  const checkSync = (context, value) => {
+    if (isThenable(value)) {
+      throw hookError(`hooks of ${context.operation} must not give a Promise`);
+    }
+
+    return value;
+  };
+
+  const fail = (err, context) => {
+    hooks.get('onError').forEach(hook => hook(err, context));
+
+    throw err;
+  };
+
+  return {
+    /**
+     * add the hooks of a plugin, an EHOOK error is thrown if one of them is not a function
+     * or has an unknown name, nothing is added then
+     */
+    use(plugin) {
+      if (plugin === null || typeof plugin !== 'object') {
+        throw hookError('a plugin must be an object of hooks by name');
+      }
+
+      const invalid = Object.keys(plugin).filter(name => !hooks.has(name)
+        || !is.call(Function.prototype, plugin[name]));
+
+      if (invalid.length > 0) {
+        throw hookError(`${invalid.join(', ')} must be hook functions among ${hookNames.join(', ')}`);
+      }
+
+      Object.keys(plugin).forEach(name => hooks.get(name).push(plugin[name]));
+    },
+
+    // true if a plugin hooks the methods of a kind, they are called as is otherwise
+    has(kind) {
+      return hooks.get(`before${kind}`).length > 0 || hooks.get(`after${kind}`).length > 0
+        || hooks.get('onError').length > 0;
+    },
+
+    // call an asynchronous method between its hooks, resolve with the result of the last one
+    run(kind, operation, args, call) {
+      const context = { operation, args };
+      const after = hooks.get(`after${kind}`).slice().reverse();
+
+      return hooks.get(`before${kind}`).reduce((previous, hook) => previous
+        .then(() => hook(context))
+        .then(newArgs => setArgs(context, newArgs)), Promise.resolve())
+      .then(() => call(...context.args))
+      .then(result => after.reduce((previous, hook) => previous
+        .then(current => Promise.resolve(hook(current, context))
+          .then(next => nextResult(current, next))), Promise.resolve(result)))
+      .catch(err => fail(err, context));
+    },
+
+    // call a sync method between its hooks, which must be synchronous too
+    runSync(kind, operation, args, call) {
+      const context = { operation, args };
+      const after = hooks.get(`after${kind}`).slice().reverse();
+      let result;
+
+      try {
+        hooks.get(`before${kind}`).forEach(hook => setArgs(context, checkSync(context, hook(context))));
+        result = after.reduce((current, hook) => nextResult(
+          current,
+          checkSync(context, hook(current, context))), call(...context.args));
+      } catch (err) {
+        fail(err, context);
+      }
+
+      return result;
+    },
+  };
+};
+
+// exports
+module.exports = {
+  hookedMethods,
+  hookNames,
+  hookError,
+  createHooks,
+};
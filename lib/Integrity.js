@@ -0,0 +1,143 @@
+/**
+ * Integrity library
+ *
+ * The integrity of a data file is its byte length and its SHA-256 hash, saved in the conf object
+ * as { algorithm, hash, length } and computed on the bytes written, after compression and
+ * encryption, so that it can be checked before anything else is done with the data file
+ *
+ * Exports:
+ *  - algorithm                               'sha256'
+ *  - corruptError(message)                -> Error instance with code ECORRUPT
+ *  - digest(data, encoding)               -> Object({ algorithm, hash, length })
+ *  - createDigest()                       -> Transform stream, its integrity property is set
+ *                                            once all data have been read
+ *  - verify(integrity, buffer)            -> Buffer or throws ECORRUPT
+ *  - createVerify(integrity, onCorrupt)   -> Transform stream emitting ECORRUPT errors
+ */
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+const algorithm = 'sha256';
+
+/**
+ * function corruptError
+ *
+ * @param  {String} message the error message
+ * @return {Error}          Error instance with code ECORRUPT
+ */
+const corruptError = function corruptError(message) {
+  const err = new Error(message);
+  err.code = 'ECORRUPT';
+
+  return err;
+};
+
+/**
+ * function digest
+ *
+ * @param  {Object} data     a String or a Buffer, as written in the data file
+ * @param  {String} encoding the encoding of string data, utf8 by default
+ * @return {Object}          { algorithm, hash, length }
+ */
+const digest = function digest(data, encoding) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding);
+
+  return {
+    algorithm,
+    hash: crypto.createHash(algorithm).update(buffer).digest('hex'),
+    length: buffer.length,
+  };
+};
+
+/**
+ * function createDigest
+ * a pass through stream computing the integrity of the data going through it
+ *
+ * @return {Transform} a stream with an integrity property set when it ends
+ */
+const createDigest = function createDigest() {
+  const hash = crypto.createHash(algorithm);
+  let length = 0;
+
+  const digestStream = new Transform({
+    transform(chunk, encoding, done) {
+      hash.update(chunk);
+      length += chunk.length;
+      done(null, chunk);
+    },
+
+    flush(done) {
+      digestStream.integrity = { algorithm, hash: hash.digest('hex'), length };
+      done();
+    },
+  });
+
+  return digestStream;
+};
+
+/**
+ * function verify
+ *
+ * @param  {Object} integrity { algorithm, hash, length } saved in the conf object
+ * @param  {Buffer} buffer    the data file content
+ * @return {Buffer}           the same buffer or throws an ECORRUPT error
+ */
+const verify = function verify(integrity, buffer) {
+  if (buffer.length !== integrity.length) {
+    throw corruptError(`data file length is ${buffer.length} instead of ${integrity.length}`);
+  }
+
+  if (crypto.createHash(integrity.algorithm).update(buffer).digest('hex') !== integrity.hash) {
+    throw corruptError('data file hash does not match');
+  }
+
+  return buffer;
+};
+
+/**
+ * function createVerify
+ * a pass through stream checking the integrity of the data going through it,
+ * an ECORRUPT error is emitted at the end if the data do not match
+ *
+ * @param  {Object}   integrity { algorithm, hash, length } saved in the conf object
+ * @param  {Function} onCorrupt an optional function called with the error before it is emitted
+ * @return {Transform}          a verification stream
+ */
+const createVerify = function createVerify(integrity, onCorrupt) {
+  const hash = crypto.createHash(integrity.algorithm);
+  let length = 0;
+
+  return new Transform({
+    transform(chunk, encoding, done) {
+      hash.update(chunk);
+      length += chunk.length;
+      done(null, chunk);
+    },
+
+    flush(done) {
+      let err;
+
+      if (length !== integrity.length) {
+        err = corruptError(`data file length is ${length} instead of ${integrity.length}`);
+      } else if (hash.digest('hex') !== integrity.hash) {
+        err = corruptError('data file hash does not match');
+      }
+
+      if (!!err && typeof onCorrupt === 'function') {
+        onCorrupt(err);
+      }
+
+      done(err);
+    },
+  });
+};
+
+// exports
+module.exports = {
+  algorithm,
+  corruptError,
+  digest,
+  createDigest,
+  verify,
+  createVerify,
+};
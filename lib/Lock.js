@@ -0,0 +1,391 @@
+/**
+ * Lock library
+ *
+ * Advisory lock files shared by all processes using the same cache directory:
+ * a lock is a file created with the 'wx' flag, holding the owner { pid, hostname, token, created }
+ * a lock is stale when its process is not running anymore on the same host or when it has not
+ * been refreshed for the stale time, held locks being refreshed every half of it
+ * a stale lock is moved aside then removed if it is still the one found stale, and the lock
+ * acquired again, so that two processes never both break a lock and take it
+ *
+ * Exports:
+ *  - lockPrefix                            the name prefix of lock files
+ *  - defaults {                            default options
+ *      wait,                               wait for a lock (true) or fail at once (false)
+ *      timeout,                            milliseconds to wait before failing
+ *      retryInterval,                      milliseconds between two attempts
+ *      stale,                              age in milliseconds after which a lock is stale
+ *    }
+ *  - lockOptions(options)               -> Object(options with defaults)
+ *  - lockError(file, owner)             -> Error instance with code ELOCKED
+ *  - acquire(file, options)             -> Promise({ file, token, release() } or ELOCKED Error)
+ *  - acquireSync(file, options)         -> Object({ file, token, release() }) or throws ELOCKED
+ *  - createLocks()                      -> Object({ lock(key, options), lockSync(key) }),
+ *                                          locks held in the process only, by key, for stores
+ *                                          which are not shared with other processes
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  is,
+  tmpFile,
+  isRunning,
+  mergeOptions,
+  time: { second },
+} = require('./Utils');
+
+// '+' is always escaped by toFileName so that no conf or data file can start with it
+const lockPrefix = '+lock_';
+
+// the longest delay of a timer, longer ones fire at once
+const maxDelay = 2147483647;
+
+const defaults = {
+  wait: true,
+  timeout: 5 * second,
+  retryInterval: 25,
+  stale: 30 * second,
+};
+
+/**
+ * function lockOptions
+ * see Utils.mergeOptions
+ *
+ * @param  {Object} options { wait, timeout, retryInterval, stale }
+ * @return {Object}         the options to use
+ */
+const lockOptions = function lockOptions(options) {
+  return mergeOptions(defaults, options, {
+    wait: value => is.call(Boolean.prototype, Object(value)),
+  });
+};
+
+/**
+ * function lockError
+ *
+ * @param  {String} file  path to the lock file
+ * @param  {Object} owner the lock owner { pid, hostname } if known
+ * @return {Error}        Error instance with code ELOCKED
+ */
+const lockError = function lockError(file, owner) {
+  const { pid, hostname } = Object(owner);
+  const by = pid !== undefined ? ` by process ${pid} on ${hostname}` : '';
+  const err = new Error(`${file} is locked${by}`);
+  err.code = 'ELOCKED';
+  err.path = file;
+  err.owner = owner;
+
+  return err;
+};
+
+/**
+ * function readOwner
+ * the owner of a lock file, undefined if the file cannot be read or parsed
+ * (it may be being written)
+ *
+ * @param  {String} file path to the lock file
+ * @return {Object}      { pid, hostname, token, created, mtime } or undefined
+ */
+const readOwner = function readOwner(file) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(file, 'utf8'));
+    owner.mtime = fs.statSync(file).mtime.getTime();
+
+    return owner;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * function isStale
+ *
+ * @param  {Object}  owner the lock owner
+ * @param  {Number}  stale the stale time in milliseconds
+ * @return {Boolean}       true if the lock can be removed
+ */
+const isStale = function isStale(owner, stale) {
+  if (owner === undefined) {
+    return false;
+  }
+
+  if (owner.hostname === os.hostname() && owner.pid !== process.pid && !isRunning(owner.pid)) {
+    return true;
+  }
+
+  return Date.now() - owner.mtime > stale;
+};
+
+/**
+ * function isSameOwner
+ *
+ * @param  {Object}  owner the lock owner found stale
+ * @param  {Object}  other the owner of the lock file moved aside
+ * @return {Boolean}       true if other is the same lock, not one taken since
+ */
+const isSameOwner = function isSameOwner(owner, other) {
+  return other !== undefined
+    && ['pid', 'hostname', 'token', 'created'].every(field => owner[field] === other[field]);
+};
+
+/**
+ * function createLock
+ * the lock object given to the owner, release only removes the lock file if it is still its own
+ * the lock file is touched every half of the stale time while the lock is held, so that
+ * a long write never makes it stale
+ *
+ * @param  {String} file  path to the lock file
+ * @param  {String} token the owner token
+ * @param  {Number} stale the stale time in milliseconds
+ * @return {Object}       { file, token, release() }
+ */
+const createLock = function createLock(file, token, stale) {
+  let released = false;
+  const refresh = setInterval(() => {
+    const owner = readOwner(file);
+
+    if (owner !== undefined && owner.token === token) {
+      try {
+        fs.utimesSync(file, Date.now() / 1000, Date.now() / 1000);
+      } catch (e) {
+        // removed as stale meanwhile
+      }
+    }
+  }, Math.min(Math.max(stale / 2, 1), maxDelay));
+
+  refresh.unref();
+
+  return {
+    file,
+    token,
+
+    release() {
+      if (!released) {
+        released = true;
+        clearInterval(refresh);
+
+        const owner = readOwner(file);
+
+        if (owner !== undefined && owner.token === token) {
+          try {
+            fs.unlinkSync(file);
+          } catch (e) {
+            // already removed as stale
+          }
+        }
+      }
+    },
+  };
+};
+
+/**
+ * function breakLock
+ * remove a stale lock file: it is renamed to a unique temporary file first, then removed if
+ * it is still the lock found stale or moved back if another process has taken the lock since
+ *
+ * @param  {String} file  path to the lock file
+ * @param  {Object} owner the owner of the stale lock
+ * @return {undefined}
+ */
+const breakLock = function breakLock(file, owner) {
+  const moved = tmpFile(path.dirname(file));
+
+  try {
+    fs.renameSync(file, moved);
+  } catch (e) {
+    // another process removed it first
+    return;
+  }
+
+  if (!isSameOwner(owner, readOwner(moved))) {
+    try {
+      fs.linkSync(moved, file);
+    } catch (e) {
+      // another process has already taken the lock again
+    }
+  }
+
+  try {
+    fs.unlinkSync(moved);
+  } catch (e) {
+    // left as a temporary file, removed by removeTmpFiles once the process has exited
+  }
+};
+
+/**
+ * function tryLock
+ * create the lock file once, a stale lock is broken and the creation tried again
+ *
+ * @param  {String} file    path to the lock file
+ * @param  {Object} options the lock options
+ * @return {Object}         the lock or { owner } if it is held by another owner
+ */
+const tryLock = function tryLock(file, { stale }) {
+  const token = `${process.pid}_${crypto.randomBytes(8).toString('hex')}`;
+  const content = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    token,
+    created: Date.now(),
+  });
+
+  try {
+    fs.writeFileSync(file, content, { flag: 'wx' });
+
+    return createLock(file, token, stale);
+  } catch (e) {
+    if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+
+  const owner = readOwner(file);
+
+  if (isStale(owner, stale)) {
+    breakLock(file, owner);
+
+    try {
+      fs.writeFileSync(file, content, { flag: 'wx' });
+
+      return createLock(file, token, stale);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+
+    return { owner: readOwner(file) };
+  }
+
+  return { owner: owner || readOwner(file) };
+};
+
+/**
+ * function poll (asynchronous)
+ * try to take a lock until it is taken, waiting for it up to the timeout if wait is true
+ *
+ * @param  {Function} take     () -> the lock or { owner } if it is held by another owner
+ * @param  {String}   file     the lock file or key, reported by ELOCKED errors
+ * @param  {Object}   settings the lock options with defaults
+ * @return {Promise}           the lock or Error instance with code ELOCKED
+ */
+const poll = function poll(take, file, { wait, timeout, retryInterval }) {
+  const start = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const attempt = () => {
+      let result;
+
+      try {
+        result = take();
+      } catch (e) {
+        reject(e);
+
+        return;
+      }
+
+      if (result.release) {
+        resolve(result);
+      } else if (!wait || Date.now() - start >= timeout) {
+        reject(lockError(file, result.owner));
+      } else {
+        setTimeout(attempt, retryInterval);
+      }
+    };
+
+    attempt();
+  });
+};
+
+/**
+ * function acquire (asynchronous)
+ * acquire a lock, waiting for it up to the timeout if wait is true
+ *
+ * @param  {String} file    path to the lock file
+ * @param  {Object} options { wait, timeout, retryInterval, stale }, see defaults
+ * @return {Promise}        { file, token, release() } or Error instance with code ELOCKED
+ */
+const acquire = function acquire(file, options) {
+  const settings = lockOptions(options);
+
+  return poll(() => tryLock(file, settings), file, settings);
+};
+
+/**
+ * function acquireSync (synchronous)
+ * acquire a lock without waiting, stale locks are removed
+ *
+ * @param  {String} file    path to the lock file
+ * @param  {Object} options { stale }, see defaults
+ * @return {Object}         { file, token, release() } or throws an ELOCKED error
+ */
+const acquireSync = function acquireSync(file, options) {
+  const result = tryLock(file, lockOptions(options));
+
+  if (!result.release) {
+    throw lockError(file, result.owner);
+  }
+
+  return result;
+};
+
+/**
+ * function createLocks
+ * a table of locks held by this process only, they are never stale
+ *
+ * @return {Object} { lock(key, options), lockSync(key) } giving { key, token, release() }
+ */
+const createLocks = function createLocks() {
+  const owner = { pid: process.pid, hostname: os.hostname() };
+  const held = new Map();
+
+  const take = (key) => {
+    if (held.has(key)) {
+      return { owner };
+    }
+
+    const token = `${process.pid}_${crypto.randomBytes(8).toString('hex')}`;
+
+    held.set(key, token);
+
+    return {
+      key,
+      token,
+
+      release() {
+        if (held.get(key) === token) {
+          held.delete(key);
+        }
+      },
+    };
+  };
+
+  return {
+    lock(key, options) {
+      return poll(() => take(key), key, lockOptions(options));
+    },
+
+    lockSync(key) {
+      const result = take(key);
+
+      if (!result.release) {
+        throw lockError(key, owner);
+      }
+
+      return result;
+    },
+  };
+};
+
+// exports
+module.exports = {
+  lockPrefix,
+  defaults,
+  lockOptions,
+  lockError,
+  acquire,
+  acquireSync,
+  createLocks,
+};
@@ -0,0 +1,524 @@
+/**
+ * LogStore library
+ *
+ * A store adapter (see Store) appending entries to a few segment files of the cache directory
+ * instead of writing 2 files per entry, for caches of many small entries:
+ *  - a record is a put (conf object and payload), a meta (conf object only) or a del
+ *    (tombstone) of a key, framed as <header length><payload length><JSON header><payload>
+ *    with lengths as 32-bit big-endian integers
+ *  - records are appended to the active segment, a new one is started once it holds
+ *    segmentBytes, every record of a key supersedes the previous ones
+ *  - the index of the live records of each key is kept in memory, it is rebuilt by replaying
+ *    the segments in order when the store is opened, a record cut by a crash ends its segment
+ *    and is truncated
+ *  - compaction starts a new segment, copies the live records of all the previous ones into it,
+ *    dropping expired entries, then removes them, it runs in the background once the
+ *    reclaimable bytes reach compactRatio of the segments
+ *  - appends are synchronous so that records are never interleaved, payloads are read
+ *    at once and streamed from memory
+ *  - the index is not shared: a directory must only be used by one process
+ *
+ * Exports:
+ *  - segmentPrefix                         the name prefix of segment files
+ *  - defaults {                            default options
+ *      segmentBytes,                       bytes after which a new segment is started
+ *      compactRatio,                       share of reclaimable bytes starting a compaction
+ *      compactInterval,                    milliseconds between two checks, 0 to never compact
+ *    }                                     in the background
+ *  - logOptions(options)                -> Object(options with defaults)
+ *  - createLogStore(directory, options) -> Object(store adapter with sync methods and
+ *                                          compact(), usage(), close())
+ */
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const debug = require('debug')('cache');
+const {
+  time: { minute },
+  checkDirectory,
+  inBatches,
+  mergeOptions,
+} = require('./Utils');
+const { createLocks } = require('./Lock');
+const { notFoundError } = require('./MemoryStore');
+
+const segmentPrefix = 'segment_';
+const segmentExtension = '.log';
+// the header length and the payload length of a record
+const frameBytes = 8;
+
+const defaults = {
+  segmentBytes: 4 * 1024 * 1024,
+  compactRatio: 0.5,
+  compactInterval: minute,
+};
+
+/**
+ * function logOptions
+ * see Utils.mergeOptions
+ *
+ * @param  {Object} options { segmentBytes, compactRatio, compactInterval }
+ * @return {Object}         the options to use
+ */
+const logOptions = function logOptions(options) {
+  return mergeOptions(defaults, options);
+};
+
+/**
+ * function isExpired
+ *
+ * @param  {Object}  confObj the conf object of a record
+ * @param  {Number}  now     the current time
+ * @return {Boolean}         true if the entry has an expires time which is over
+ */
+const isExpired = function isExpired({ expires }, now) {
+  return expires !== undefined && expires < now;
+};
+
+/**
+ * function createLogStore
+ *
+ * @param  {String} directory the absolute path to the cache directory
+ * @param  {Object} options   { segmentBytes, compactRatio, compactInterval }, see defaults
+ * @return {Object}           the store adapter
+ */
+const createLogStore = function createLogStore(directory, options) {
+  const { segmentBytes, compactRatio, compactInterval } = logOptions(options);
+  const locks = createLocks();
+  // { meta, segment, offset, length, bytes, metaSegment, metaBytes } by key, meta being JSON
+  const index = new Map();
+  // { bytes, dead } by segment id, in the order of the ids
+  const segments = new Map();
+  let active;
+  let activeFd;
+  let compacting;
+  let compactTimer;
+
+  // segment ids are padded so that segment files are listed in order
+  const segmentFile = id => path.join(
+    directory,
+    `${segmentPrefix}${`0000000${id}`.slice(-8)}${segmentExtension}`);
+
+  const getEntry = (key) => {
+    const entry = index.get(key);
+
+    if (entry === undefined) {
+      throw notFoundError(key, 'log');
+    }
+
+    return entry;
+  };
+
+  // run a synchronous method as an asynchronous one
+  const later = run => new Promise(resolve => resolve(run()));
+
+  const markDead = (segment, bytes) => {
+    const stats = segments.get(segment);
+
+    if (stats !== undefined) {
+      stats.dead += bytes;
+    }
+  };
+
+  // the records of an entry are dead once another record of its key is applied
+  const supersede = (entry) => {
+    if (entry !== undefined) {
+      markDead(entry.segment, entry.bytes);
+      markDead(entry.metaSegment, entry.metaBytes);
+    }
+  };
+
+  // update the index with a record appended or replayed at location
+  const apply = ({ op, key, meta }, location) => {
+    const { segment, bytes } = location;
+    const entry = index.get(key);
+
+    segments.get(segment).bytes += bytes;
+
+    if (op === 'put') {
+      supersede(entry);
+      index.set(key, Object.assign({ meta: JSON.stringify(meta) }, location));
+    } else if (op === 'meta' && entry !== undefined) {
+      markDead(entry.metaSegment, entry.metaBytes);
+      index.set(key, Object.assign({}, entry, {
+        meta: JSON.stringify(meta),
+        metaSegment: segment,
+        metaBytes: bytes,
+      }));
+    } else {
+      // tombstones and meta records of removed keys are dead at once
+      supersede(op === 'del' ? entry : undefined);
+      markDead(segment, bytes);
+      index.delete(key);
+    }
+  };
+
+  // start a new active segment
+  const roll = () => {
+    const id = active === undefined ? 1 : active + 1;
+
+    if (activeFd !== undefined) {
+      fs.closeSync(activeFd);
+    }
+
+    activeFd = fs.openSync(segmentFile(id), 'a');
+    active = id;
+    segments.set(id, { bytes: 0, dead: 0 });
+  };
+
+  // append a record to the active segment and apply it
+  const append = (header, payload = Buffer.alloc(0)) => {
+    if (segments.get(active).bytes >= segmentBytes) {
+      roll();
+    }
+
+    const head = Buffer.from(JSON.stringify(header));
+    const frame = Buffer.alloc(frameBytes);
+
+    frame.writeUInt32BE(head.length, 0);
+    frame.writeUInt32BE(payload.length, 4);
+
+    const record = Buffer.concat([frame, head, payload]);
+    const offset = segments.get(active).bytes;
+    let written = 0;
+
+    while (written < record.length) {
+      written += fs.writeSync(activeFd, record, written, record.length - written);
+    }
+
+    apply(header, {
+      segment: active,
+      offset: offset + frameBytes + head.length,
+      length: payload.length,
+      bytes: record.length,
+    });
+  };
+
+  /**
+   * apply the records of a segment, a record cut by a crash and all the bytes after it
+   * are truncated
+   */
+  const replay = id => new Promise((resolve, reject) => {
+    fs.readFile(segmentFile(id), (err, buffer) => (err ? reject(err) : resolve(buffer)));
+  })
+  .then((buffer) => {
+    let offset = 0;
+
+    segments.set(id, { bytes: 0, dead: 0 });
+
+    while (offset + frameBytes <= buffer.length) {
+      const headEnd = offset + frameBytes + buffer.readUInt32BE(offset);
+      const end = headEnd + buffer.readUInt32BE(offset + 4);
+      let header;
+
+      try {
+        header = end <= buffer.length ? JSON.parse(buffer.toString('utf8', offset + frameBytes, headEnd)) : undefined;
+      } catch (e) {
+        header = undefined;
+      }
+
+      if (header === undefined) {
+        break;
+      }
+
+      apply(header, {
+        segment: id,
+        offset: headEnd,
+        length: end - headEnd,
+        bytes: end - offset,
+      });
+      offset = end;
+    }
+
+    if (offset < buffer.length) {
+      debug(`${buffer.length - offset} bytes of a cut record truncated from ${segmentFile(id)}`);
+      fs.truncateSync(segmentFile(id), offset);
+    }
+  });
+
+  // read a payload, once more if its record has been moved by a compaction meanwhile
+  const readPayload = (key) => {
+    const entry = getEntry(key);
+    const readAt = ({ segment, offset, length }) => new Promise((resolve, reject) => {
+      fs.open(segmentFile(segment), 'r', (err, fd) => {
+        if (err) {
+          reject(err);
+        } else {
+          fs.read(fd, Buffer.alloc(length), 0, length, offset, (error, bytesRead, buffer) => {
+            fs.close(fd, () => (error ? reject(error) : resolve(buffer.slice(0, bytesRead))));
+          });
+        }
+      });
+    });
+
+    return readAt(entry)
+    .catch((err) => {
+      const current = index.get(key);
+
+      if (current === undefined || current.segment === entry.segment) {
+        throw err;
+      }
+
+      return readAt(current);
+    });
+  };
+
+  const readPayloadSync = (key) => {
+    const { segment, offset, length } = getEntry(key);
+    const fd = fs.openSync(segmentFile(segment), 'r');
+    const buffer = Buffer.alloc(length);
+
+    try {
+      return buffer.slice(0, fs.readSync(fd, buffer, 0, length, offset));
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  const store = {
+    name: 'log',
+    directory,
+
+    /**
+     * create the directory if needed and check it, then replay the segments
+     * and start the background compaction
+     *
+     * @return {Promise} undefined or Error instance with code ECACHEDIR
+     */
+    open() {
+      return checkDirectory(directory)
+      .then(() => new Promise((resolve, reject) => {
+        fs.readdir(directory, (err, files) => (err ? reject(err) : resolve(files)));
+      }))
+      .then(files => files
+        .filter(file => file.indexOf(segmentPrefix) === 0 && file.endsWith(segmentExtension))
+        .map(file => parseInt(file.slice(segmentPrefix.length), 10))
+        .filter(id => Number.isInteger(id))
+        .sort((id, other) => id - other))
+      .then(ids => ids.reduce((previous, id) => previous.then(() => replay(id)), Promise.resolve())
+        .then(() => {
+          // the last segment is appended to again
+          if (ids.length > 0) {
+            active = ids[ids.length - 1];
+            activeFd = fs.openSync(segmentFile(active), 'a');
+          } else {
+            roll();
+          }
+        }))
+      .then(() => {
+        if (compactInterval > 0) {
+          compactTimer = setInterval(() => {
+            const { bytes, reclaimable } = store.usage();
+
+            if (reclaimable > 0 && reclaimable >= bytes * compactRatio) {
+              store.compact().catch(err => debug(err));
+            }
+          }, compactInterval);
+
+          compactTimer.unref();
+        }
+      });
+    },
+
+    readMeta(key) {
+      return later(() => store.readMetaSync(key));
+    },
+
+    readMetaSync(key) {
+      return JSON.parse(getEntry(key).meta);
+    },
+
+    writeMeta(key, confObj) {
+      return later(() => store.writeMetaSync(key, confObj));
+    },
+
+    writeMetaSync(key, confObj) {
+      getEntry(key);
+      append({ op: 'meta', key, meta: confObj });
+    },
+
+    size(key) {
+      return later(() => getEntry(key).length);
+    },
+
+    readData(key) {
+      return later(() => readPayload(key));
+    },
+
+    readDataSync(key) {
+      return readPayloadSync(key);
+    },
+
+    createReadStream(key) {
+      return store.readData(key)
+      .then((buffer) => {
+        const rstream = new Readable({ read() {} });
+
+        rstream.push(buffer);
+        rstream.push(null);
+
+        return rstream;
+      });
+    },
+
+    write(key, confObj, payload, { override = true } = {}) {
+      return later(() => {
+        if (!override && index.has(key)) {
+          const err = new Error(`entry "${key}" already exists in the log store`);
+          err.code = 'EEXIST';
+
+          throw err;
+        }
+
+        append({ op: 'put', key, meta: confObj }, Buffer.from(payload));
+      });
+    },
+
+    remove(key) {
+      return later(() => store.removeSync(key));
+    },
+
+    removeSync(key) {
+      if (!index.has(key)) {
+        return false;
+      }
+
+      append({ op: 'del', key });
+
+      return true;
+    },
+
+    list() {
+      return later(() => store.listSync());
+    },
+
+    listSync() {
+      return Array.from(index.keys());
+    },
+
+    lock: locks.lock,
+    lockSync: locks.lockSync,
+
+    /**
+     * the bytes of the segments, reclaimable ones being those of dead records
+     * and of expired entries
+     *
+     * @return {Object} { segments, entries, bytes, reclaimable }
+     */
+    usage() {
+      const now = Date.now();
+      let bytes = 0;
+      let reclaimable = 0;
+
+      segments.forEach((stats) => {
+        bytes += stats.bytes;
+        reclaimable += stats.dead;
+      });
+
+      index.forEach((entry) => {
+        if (isExpired(JSON.parse(entry.meta), now)) {
+          reclaimable += entry.bytes + (entry.metaBytes || 0);
+        }
+      });
+
+      return {
+        segments: segments.size,
+        entries: index.size,
+        bytes,
+        reclaimable,
+      };
+    },
+
+    /**
+     * copy the live records of every segment into a new one then remove them,
+     * expired entries are dropped, records written meanwhile are left in the new segment
+     *
+     * @return {Promise} { segments, reclaimed } the segments removed and the bytes reclaimed
+     */
+    compact() {
+      if (compacting !== undefined) {
+        return compacting;
+      }
+
+      const sealed = Array.from(segments.keys());
+      const before = store.usage().bytes;
+      let copied = 0;
+
+      roll();
+
+      const live = Array.from(index.keys())
+      .filter(key => sealed.indexOf(index.get(key).segment) !== -1);
+
+      compacting = inBatches(live, 100, batch => Promise.all(batch.map((key) => {
+        const entry = index.get(key);
+
+        if (entry === undefined || sealed.indexOf(entry.segment) === -1) {
+          return undefined;
+        }
+
+        return readPayload(key)
+        .then((payload) => {
+          const current = index.get(key);
+
+          // an entry written or removed meanwhile has a newer record, a meta record written
+          // meanwhile keeps the payload in a sealed segment: it is copied with the new conf
+          if (current === undefined || sealed.indexOf(current.segment) === -1) {
+            return;
+          }
+
+          const meta = JSON.parse(current.meta);
+
+          if (isExpired(meta, Date.now())) {
+            supersede(current);
+            index.delete(key);
+          } else {
+            append({ op: 'put', key, meta }, payload);
+            copied += index.get(key).bytes;
+          }
+        });
+      })))
+      .then(() => {
+        sealed.forEach((id) => {
+          segments.delete(id);
+          fs.unlinkSync(segmentFile(id));
+        });
+
+        return { segments: sealed.length, reclaimed: before - copied };
+      })
+      .then((result) => {
+        compacting = undefined;
+
+        return result;
+      }, (err) => {
+        compacting = undefined;
+
+        throw err;
+      });
+
+      return compacting;
+    },
+
+    // stop the background compaction and close the active segment
+    close() {
+      if (compactTimer !== undefined) {
+        clearInterval(compactTimer);
+        compactTimer = undefined;
+      }
+
+      if (activeFd !== undefined) {
+        fs.closeSync(activeFd);
+        activeFd = undefined;
+      }
+    },
+  };
+
+  return store;
+};
+
+// exports
+module.exports = {
+  segmentPrefix,
+  defaults,
+  logOptions,
+  createLogStore,
+};
@@ -0,0 +1,175 @@
+/**
+ * Memory library
+ *
+ * An optional bounded tier in front of the cache directory: conf objects of entries read by
+ * an instance are kept in memory with their payload (data checked, decrypted and decompressed)
+ * when it is small enough, the least recently used items are dropped once a bound is exceeded
+ * writers drop the items they change, an item read before a write is never stored after it
+ * (see mark)
+ *
+ * Exports:
+ *  - defaults {                            default options
+ *      maxEntries,                         the number of items kept
+ *      maxBytes,                           the bytes of all items, payloads and conf objects
+ *      maxItemBytes,                       the largest payload kept, larger ones are read
+ *    }                                     from their data file
+ *  - memoryOptions(options)             -> Object(options with defaults)
+ *  - createMemory(options)              -> Object({ enabled, mark(), fits(length), get(key),
+ *                                          set(key, confObj, payload, mark), delete(key),
+ *                                          clear(), usage() }),
+ *                                          a disabled tier keeps nothing if options are falsy
+ */
+const { mergeOptions } = require('./Utils');
+
+const defaults = {
+  maxEntries: 1000,
+  maxBytes: 16 * 1024 * 1024,
+  maxItemBytes: 64 * 1024,
+};
+
+/**
+ * function memoryOptions
+ * see Utils.mergeOptions
+ *
+ * @param  {Object} options { maxEntries, maxBytes, maxItemBytes }
+ * @return {Object}         the options to use
+ */
+const memoryOptions = function memoryOptions(options) {
+  return mergeOptions(defaults, options);
+};
+
+/**
+ * function createMemory
+ * a memory tier, items are { confObj, payload } by key, payload being undefined
+ * when it is larger than maxItemBytes
+ *
+ * @param  {Object} options true or { maxEntries, maxBytes, maxItemBytes } to enable the tier
+ * @return {Object}         the memory tier
+ */
+const createMemory = function createMemory(options) {
+  const enabled = !!options;
+  const { maxEntries, maxBytes, maxItemBytes } = memoryOptions(options === true ? {} : options);
+  // a Map iterates in insertion order, the first item is the least recently used one
+  const items = new Map();
+  let bytes = 0;
+  let epoch = 0;
+
+  const fits = length => enabled && length <= maxItemBytes;
+
+  const remove = (key) => {
+    const item = items.get(key);
+
+    if (item !== undefined) {
+      bytes -= item.bytes;
+      items.delete(key);
+    }
+  };
+
+  return {
+    enabled,
+
+    /**
+     * the current write epoch, to be taken before reading an entry and given to set
+     *
+     * @return {Number} the number of writes seen by the tier
+     */
+    mark() {
+      return epoch;
+    },
+
+    /**
+     * test if a payload would be kept
+     *
+     * @param  {Number}  length the payload length in bytes
+     * @return {Boolean}        true if the tier is enabled and the payload small enough
+     */
+    fits,
+
+    /**
+     * the item of a key, it becomes the most recently used one
+     *
+     * @param  {String} key the entry key
+     * @return {Object}     { confObj, payload } or undefined
+     */
+    get(key) {
+      const item = items.get(key);
+
+      if (item !== undefined) {
+        items.delete(key);
+        items.set(key, item);
+      }
+
+      return item;
+    },
+
+    /**
+     * keep an entry read from the cache directory, unless it has been written since mark
+     *
+     * @param  {String} key     the entry key
+     * @param  {Object} confObj the conf object of the entry
+     * @param  {Buffer} payload the entry data, only kept if small enough
+     * @param  {Number} since   the mark taken before the entry was read
+     */
+    set(key, confObj, payload, since) {
+      if (!enabled || since !== epoch) {
+        return;
+      }
+
+      const kept = Buffer.isBuffer(payload) && fits(payload.length)
+        ? Buffer.from(payload)
+        : undefined;
+      const item = {
+        confObj,
+        payload: kept,
+        bytes: Buffer.byteLength(JSON.stringify(confObj)) + (kept ? kept.length : 0),
+      };
+
+      remove(key);
+
+      if (item.bytes > maxBytes || maxEntries < 1) {
+        return;
+      }
+
+      items.set(key, item);
+      bytes += item.bytes;
+
+      // least recently used items are dropped first
+      items.forEach((oldest, oldestKey) => {
+        if (items.size > maxEntries || bytes > maxBytes) {
+          remove(oldestKey);
+        }
+      });
+    },
+
+    /**
+     * drop the item of an entry which has been written
+     *
+     * @param  {String} key the entry key
+     */
+    delete(key) {
+      epoch += 1;
+      remove(key);
+    },
+
+    // drop every item
+    clear() {
+      epoch += 1;
+      items.clear();
+      bytes = 0;
+    },
+
+    /**
+     * @return {Object} { entries, bytes } held by the tier
+     */
+    usage() {
+      return { entries: items.size, bytes };
+    },
+  };
+};
+
+// exports
+module.exports = {
+  defaults,
+  memoryOptions,
+  createMemory,
+};
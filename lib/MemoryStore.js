@@ -0,0 +1,146 @@
+/**
+ * MemoryStore library
+ *
+ * A store adapter (see Store) keeping entries in the memory of the process, for tests
+ * and ephemeral caches: nothing is written to disk and everything is lost with the process
+ * conf objects are kept as JSON strings and payloads copied so that callers never share them
+ * locks are held in the process only (see Lock.createLocks)
+ *
+ * Exports:
+ *  - notFoundError(key, storeName)      -> Error instance with code ENOENT
+ *  - createMemoryStore()                -> Object(store adapter with sync methods)
+ */
+const { Readable } = require('stream');
+const { createLocks } = require('./Lock');
+
+/**
+ * function notFoundError
+ *
+ * @param  {String} key       the entry key
+ * @param  {String} storeName the name of the store, 'memory' by default
+ * @return {Error}            Error instance with code ENOENT
+ */
+const notFoundError = function notFoundError(key, storeName = 'memory') {
+  const err = new Error(`no entry "${key}" in the ${storeName} store`);
+  err.code = 'ENOENT';
+
+  return err;
+};
+
+/**
+ * function createMemoryStore
+ *
+ * @return {Object} the store adapter
+ */
+const createMemoryStore = function createMemoryStore() {
+  // { meta, data } by key, meta being the conf object as JSON
+  const entries = new Map();
+  const locks = createLocks();
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+
+    if (entry === undefined) {
+      throw notFoundError(key);
+    }
+
+    return entry;
+  };
+
+  // run a synchronous method as an asynchronous one
+  const later = run => new Promise(resolve => resolve(run()));
+
+  const store = {
+    name: 'memory',
+
+    open() {
+      return Promise.resolve();
+    },
+
+    readMeta(key) {
+      return later(() => store.readMetaSync(key));
+    },
+
+    readMetaSync(key) {
+      return JSON.parse(getEntry(key).meta);
+    },
+
+    writeMeta(key, confObj) {
+      return later(() => store.writeMetaSync(key, confObj));
+    },
+
+    writeMetaSync(key, confObj) {
+      const { data } = getEntry(key);
+
+      entries.set(key, { meta: JSON.stringify(confObj), data });
+    },
+
+    size(key) {
+      return later(() => getEntry(key).data.length);
+    },
+
+    readData(key) {
+      return later(() => store.readDataSync(key));
+    },
+
+    readDataSync(key) {
+      return Buffer.from(getEntry(key).data);
+    },
+
+    createReadStream(key) {
+      return later(() => {
+        const rstream = new Readable({ read() {} });
+
+        rstream.push(store.readDataSync(key));
+        rstream.push(null);
+
+        return rstream;
+      });
+    },
+
+    write(key, confObj, payload, { override = true } = {}) {
+      return later(() => {
+        if (!override && entries.has(key)) {
+          const err = new Error(`entry "${key}" already exists in the memory store`);
+          err.code = 'EEXIST';
+
+          throw err;
+        }
+
+        entries.set(key, { meta: JSON.stringify(confObj), data: Buffer.from(payload) });
+      });
+    },
+
+    remove(key) {
+      return later(() => store.removeSync(key));
+    },
+
+    removeSync(key) {
+      return entries.delete(key);
+    },
+
+    list() {
+      return later(() => store.listSync());
+    },
+
+    listSync() {
+      return Array.from(entries.keys());
+    },
+
+    lock: locks.lock,
+    lockSync: locks.lockSync,
+
+    // entries cannot be half written in memory
+    verify() {
+      return Promise.resolve({ scanned: entries.size, entries: entries.size, anomalies: [] });
+    },
+  };
+
+  return store;
+};
+
+// exports
+module.exports = {
+  notFoundError,
+  createMemoryStore,
+};
@@ -0,0 +1,245 @@
+/**
+ * Middleware library
+ *
+ * HTTP response caching for Node http servers and Express-style apps, a middleware
+ * (req, res, next) in front of the handler rendering responses:
+ *  - requests are cached by key, their method and URL by default, other methods than
+ *    the cached ones go straight to next()
+ *  - a hit is streamed as Buffers from get() with the status and the headers saved in the
+ *    relatedData of the entry, its Age header being the seconds since it was set
+ *  - a miss calls next() and captures the response written by the handler, which is saved
+ *    with set() once sent if its status is cacheable, without Set-Cookie header,
+ *    Cache-Control no-store or private directive, Vary: * and within maxBytes
+ *  - the request headers named by the Vary header of a response are saved with it, a hit
+ *    whose request has other values is a miss and the response saved is replaced
+ *  - the X-Cache header (or another one) tells HIT from MISS
+ *
+ * Exports:
+ *  - defaults {                            default options
+ *      key,                                function(req) giving the key, nothing to bypass
+ *      time,                               the ttl of responses, the instance one if undefined
+ *      methods,                            the request methods cached
+ *      statuses,                           the response statuses cached
+ *      maxBytes,                           the largest body cached
+ *      header,                             the header telling hits from misses, false for none
+ *    }
+ *  - hopByHopHeaders                       headers never saved with a response
+ *  - middlewareOptions(options)         -> Object(options with defaults)
+ *  - createMiddleware(cache, options)   -> function(req, res, next) caching the responses
+ */
+const debug = require('debug')('cache');
+const { is, mergeOptions } = require('./Utils');
+
+const defaults = {
+  key: req => `${req.method} ${req.originalUrl || req.url}`,
+  time: undefined,
+  methods: ['GET'],
+  // heuristically cacheable statuses which are not errors (RFC 7231)
+  statuses: [200, 203, 204, 300, 301, 308],
+  maxBytes: 5 * 1024 * 1024,
+  header: 'X-Cache',
+};
+
+const hopByHopHeaders = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+/**
+ * function middlewareOptions
+ * see Utils.mergeOptions, methods are upper-cased
+ *
+ * @param  {Object} options { key, time, methods, statuses, maxBytes, header }
+ * @return {Object}         the options to use
+ */
+const middlewareOptions = function middlewareOptions(options) {
+  const isString = value => is.call(String.prototype, Object(value)) && value.trim() !== '';
+  const merged = mergeOptions(defaults, options, {
+    key: value => is.call(Function.prototype, value),
+    methods: value => Array.isArray(value) && value.every(isString),
+    statuses: value => Array.isArray(value) && value.every(Number.isInteger),
+    header: value => value === false || isString(value),
+  });
+
+  return Object.assign(merged, { methods: merged.methods.map(method => method.toUpperCase()) });
+};
+
+/**
+ * function createMiddleware
+ * cache the responses of a handler in a cache instance
+ *
+ * @param  {Object}   cache   the cache instance
+ * @param  {Object}   options { key, time, methods, statuses, maxBytes, header }
+ * @return {Function}         the middleware (req, res, next), next calling the handler
+ */
+const createMiddleware = function createMiddleware(cache, options) {
+  const {
+    key: toKey,
+    time,
+    methods,
+    statuses,
+    maxBytes,
+    header,
+  } = middlewareOptions(options);
+
+  const setHeader = (res, value) => header !== false && res.setHeader(header, value);
+
+  // the request header names of the Vary header of a response, lower-cased
+  const varyNames = res => [].concat(res.getHeader('vary') || []).join(',')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => name !== '');
+
+  // the values of the request headers a response varies on, missing ones being empty
+  const variedHeaders = (req, names) => names
+  .reduce((varied, name) => Object.assign(varied, { [name]: req.headers[name] || '' }), {});
+
+  // a response saved is served to the requests with the same values of the varied headers
+  const matchesVary = (req, { vary = {} }) => Object.keys(vary)
+  .every(name => (req.headers[name] || '') === vary[name]);
+
+  // a response is saved unless it is an error, private, varies on anything or is too large
+  const isCacheable = (res, bytes) => {
+    const cacheControl = String(res.getHeader('cache-control') || '').toLowerCase();
+
+    return statuses.indexOf(res.statusCode) !== -1
+      && res.getHeader('set-cookie') === undefined
+      && !/(^|[\s,])(no-store|private)($|[\s,=])/.test(cacheControl)
+      && varyNames(res).indexOf('*') === -1
+      && bytes <= maxBytes;
+  };
+
+  // the headers of a response to send again, hop-by-hop ones and the cache header left out,
+  // getHeaders is not available before Node 7.7
+  const savedHeaders = (res) => {
+    const headers = is.call(Function.prototype, res.getHeaders)
+      ? res.getHeaders()
+      // eslint-disable-next-line no-underscore-dangle
+      : res._headers || {};
+    const left = hopByHopHeaders.concat(header === false ? [] : header.toLowerCase());
+
+    return Object.keys(headers)
+    .filter(name => left.indexOf(name) === -1)
+    .reduce((saved, name) => Object.assign(saved, { [name]: headers[name] }), {});
+  };
+
+  const serve = (res, { confObj, rstream }) => {
+    const { status, headers } = confObj.relatedData;
+
+    Object.assign(res, { statusCode: status });
+    Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+    res.setHeader('Age', Math.max(Math.floor((Date.now() - confObj.lastModified) / 1000), 0));
+    setHeader(res, 'HIT');
+
+    rstream.on('error', (err) => {
+      debug(err);
+      res.destroy(err);
+    });
+    rstream.pipe(res);
+  };
+
+  // read a stream which is not served to its end so that its file is closed, streams have
+  // no destroy method before Node 8
+  const discard = (rstream) => {
+    rstream.on('error', err => debug(err));
+    rstream.resume();
+  };
+
+  // let the handler write the response while its body is collected, then save it
+  const capture = (req, res, name, next) => {
+    const { write, end } = res;
+    const chunks = [];
+    let bytes = 0;
+
+    const collect = (chunk, encoding) => {
+      if (chunk === undefined || chunk === null || bytes > maxBytes) {
+        return;
+      }
+
+      const buffer = Buffer.isBuffer(chunk)
+        ? chunk
+        : Buffer.from(chunk, is.call(String.prototype, Object(encoding)) ? encoding : 'utf8');
+
+      bytes += buffer.length;
+      chunks.push(buffer);
+    };
+
+    Object.assign(res, {
+      write(chunk, ...args) {
+        collect(chunk, args[0]);
+
+        return write.call(res, chunk, ...args);
+      },
+
+      end(chunk, ...args) {
+        if (!is.call(Function.prototype, chunk)) {
+          collect(chunk, args[0]);
+        }
+
+        return end.call(res, chunk, ...args);
+      },
+    });
+
+    res.on('finish', () => {
+      if (isCacheable(res, bytes)) {
+        cache.set({
+          name,
+          data: Buffer.concat(chunks, bytes),
+          time,
+          relatedData: {
+            status: res.statusCode,
+            headers: savedHeaders(res),
+            vary: variedHeaders(req, varyNames(res)),
+          },
+        })
+        .catch(err => debug(err));
+      }
+    });
+
+    setHeader(res, 'MISS');
+    next();
+  };
+
+  return (req, res, next = () => undefined) => {
+    const name = methods.indexOf(req.method) !== -1 ? toKey(req) : undefined;
+
+    if (!is.call(String.prototype, Object(name)) || name.trim() === '') {
+      next();
+
+      return;
+    }
+
+    cache.get(name, { decode: false })
+    .then((entry) => {
+      const { relatedData } = entry.confObj;
+
+      if (!relatedData || !Number.isInteger(relatedData.status) || !relatedData.headers
+        || !matchesVary(req, relatedData)) {
+        discard(entry.rstream);
+        capture(req, res, name, next);
+      } else {
+        serve(res, entry);
+      }
+    }, (failure) => {
+      if (failure.rstream) {
+        discard(failure.rstream);
+      }
+
+      capture(req, res, name, next);
+    });
+  };
+};
+
+// exports
+module.exports = {
+  defaults,
+  hopByHopHeaders,
+  middlewareOptions,
+  createMiddleware,
+};
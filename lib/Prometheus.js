@@ -0,0 +1,236 @@
+/**
+ * Prometheus library
+ *
+ * Render the statistics of cache instances (see Stats and index stats()) in the Prometheus
+ * text exposition format, to be served by a metrics endpoint:
+ *  - counters of reads by result, writes, resets, deletes, expirations, evictions, errors
+ *    and bytes read and written, they start over with resetStats()
+ *  - gauges of the entries, their bytes and the age of the oldest one
+ *  - a histogram of the durations of each operation, in seconds
+ * the metrics of several instances are rendered together, told apart by their labels
+ *
+ * Exports:
+ *  - contentType                           the Content-Type header of the metrics
+ *  - defaults {                            default options
+ *      prefix,                             the prefix of metric names
+ *      labels,                             labels added to every sample
+ *    }
+ *  - metricsError(message)              -> Error instance with code EMETRICS
+ *  - metricsOptions(options)            -> Object(options with defaults) or throws EMETRICS
+ *  - formatMetrics(sources, prefix)     -> String(metrics of [{ stats, labels }])
+ *  - renderMetrics(caches, options)     -> Promise(metrics of [{ cache, labels }] or Error)
+ */
+const { is } = require('./Utils');
+const { durationBuckets } = require('./Stats');
+
+const contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+const defaults = {
+  prefix: 'cache_',
+  labels: {},
+};
+
+const metricName = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const labelName = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * function metricsError
+ *
+ * @param  {String} message the error message
+ * @return {Error}          Error instance with code EMETRICS
+ */
+const metricsError = function metricsError(message) {
+  const err = new Error(message);
+  err.code = 'EMETRICS';
+
+  return err;
+};
+
+/**
+ * function metricsOptions
+ * check the prefix and the labels of metrics, label values are turned into strings
+ *
+ * @param  {Object} options { prefix, labels }
+ * @return {Object}         the options to use or throws an EMETRICS error
+ */
+const metricsOptions = function metricsOptions({ prefix = defaults.prefix, labels = {} } = {}) {
+  if (!is.call(String.prototype, Object(prefix)) || (prefix !== '' && !metricName.test(prefix))) {
+    throw metricsError(`"${prefix}" is not a valid metric name prefix`);
+  }
+
+  if (labels === null || typeof labels !== 'object') {
+    throw metricsError('labels must be an object of label values by name');
+  }
+
+  const invalid = Object.keys(labels)
+  .filter(name => !labelName.test(name) || name.indexOf('__') === 0 || name === 'le');
+
+  if (invalid.length > 0) {
+    throw metricsError(`${invalid.join(', ')} cannot be used as label names`);
+  }
+
+  return {
+    prefix,
+    labels: Object.keys(labels).reduce((strings, name) => Object.assign(strings, {
+      [name]: String(labels[name]),
+    }), {}),
+  };
+};
+
+// a label value with backslashes, double quotes and line feeds escaped
+const escapeValue = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// {name="value",...} or nothing without labels
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeValue(labels[name])}"`);
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// a sample value, infinities and NaN are spelled as Prometheus expects
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+// the metric families, each one gives the samples of the stats of an instance
+const families = [
+  {
+    name: 'reads_total',
+    type: 'counter',
+    help: 'Entries read by get, getValue, getBuffer and their sync versions, by result.',
+    samples: ({ hits, misses, stale }) => [
+      { labels: { result: 'hit' }, value: hits },
+      { labels: { result: 'miss' }, value: misses },
+      { labels: { result: 'stale' }, value: stale },
+    ],
+  },
+  ...[
+    ['writes_total', 'writes', 'Entries written by set and setParallel.'],
+    ['resets_total', 'resets', 'Entries given a new expiry time.'],
+    ['deletes_total', 'deletes', 'Entries deleted or cleared.'],
+    ['expirations_total', 'expirations', 'Expired entries pruned.'],
+    ['evictions_total', 'evictions', 'Entries evicted to respect the limits.'],
+    ['errors_total', 'errors', 'Operations which have failed.'],
+    ['read_bytes_total', 'bytesRead', 'Bytes of payloads read, as saved.'],
+    ['written_bytes_total', 'bytesWritten', 'Bytes of payloads written, as saved.'],
+  ].map(([name, counter, help]) => ({
+    name,
+    type: 'counter',
+    help,
+    samples: stats => [{ value: stats[counter] }],
+  })),
+  {
+    name: 'entries',
+    type: 'gauge',
+    help: 'Entries in the store.',
+    samples: ({ entries }) => [{ value: entries }],
+  },
+  {
+    name: 'bytes',
+    type: 'gauge',
+    help: 'Bytes of the entries in the store, conf objects included.',
+    samples: ({ bytes }) => [{ value: bytes }],
+  },
+  {
+    name: 'oldest_entry_age_seconds',
+    type: 'gauge',
+    help: 'Time since the oldest entry in the store was set or reset.',
+    samples: ({ oldestAge }) => [{ value: oldestAge / 1000 }],
+  },
+  {
+    name: 'operation_duration_seconds',
+    type: 'histogram',
+    help: 'Durations of cache operations.',
+    samples: ({ latency }) => Object.keys(latency).reduce((samples, operation) => {
+      const { count, sum, buckets } = latency[operation];
+      const labels = { operation };
+
+      return samples.concat(
+        durationBuckets.map((bound, i) => ({
+          suffix: '_bucket',
+          labels: Object.assign({}, labels, { le: formatValue(bound / 1000) }),
+          value: buckets[i],
+        })),
+        { suffix: '_bucket', labels: Object.assign({}, labels, { le: '+Inf' }), value: count },
+        { suffix: '_sum', labels, value: sum / 1000 },
+        { suffix: '_count', labels, value: count });
+    }, []),
+  },
+];
+
+/**
+ * function formatMetrics
+ * the metrics of instances in the text exposition format, each family given once
+ *
+ * @param  {Array}  sources [{ stats, labels }], stats of an instance with its labels
+ * @param  {String} prefix  the prefix of metric names
+ * @return {String}         the metrics, one line each
+ */
+const formatMetrics = function formatMetrics(sources, prefix = defaults.prefix) {
+  const lines = families.reduce((familyLines, {
+    name,
+    type,
+    help,
+    samples,
+  }) => {
+    const fullName = `${prefix}${name}`;
+
+    return familyLines.concat(
+      `# HELP ${fullName} ${help}`,
+      `# TYPE ${fullName} ${type}`,
+      ...sources.map(({ stats, labels = {} }) => samples(stats)
+      .map(({ suffix = '', labels: sampleLabels, value }) => {
+        const allLabels = Object.assign({}, labels, sampleLabels);
+
+        return `${fullName}${suffix}${formatLabels(allLabels)} ${formatValue(value)}`;
+      })
+      .join('\n')).filter(sampleLines => sampleLines !== ''));
+  }, []);
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * function renderMetrics (asynchronous)
+ * the metrics of cache instances, the labels given to each one are added to the labels
+ * of the options, which are added to every sample
+ *
+ * @param  {Array}   caches  [{ cache, labels }] or a single cache instance
+ * @param  {Object}  options { prefix, labels }
+ * @return {Promise}         the metrics (String) or Error instance (EMETRICS)
+ */
+const renderMetrics = function renderMetrics(caches, options) {
+  return Promise.resolve()
+  .then(() => {
+    const { prefix, labels } = metricsOptions(options);
+    const sources = (Array.isArray(caches) ? caches : [{ cache: caches }])
+    .map(({ cache, labels: cacheLabels }) => ({
+      cache,
+      labels: Object.assign({}, labels, metricsOptions({ labels: cacheLabels }).labels),
+    }));
+
+    return Promise.all(sources.map(({ cache }) => cache.stats()))
+    .then(allStats => formatMetrics(allStats.map((stats, i) => ({
+      stats,
+      labels: sources[i].labels,
+    })), prefix));
+  });
+};
+
+// exports
+module.exports = {
+  contentType,
+  defaults,
+  metricsError,
+  metricsOptions,
+  formatMetrics,
+  renderMetrics,
+};
@@ -0,0 +1,223 @@
+/**
+ * Serializers library
+ *
+ * A serializer is an object with 2 functions:
+ *  - encode(value)            -> String or Buffer saved in the data file
+ *  - decode(buffer, encoding) -> value
+ * its name is saved in the conf object so that data are decoded with the same serializer
+ *
+ * Exports:
+ *  - builtins {                            serializers available in every cache instance
+ *      string,                             strings as is
+ *      buffer,                             Buffers as is
+ *      json,                               JSON.stringify / JSON.parse
+ *      v8,                                 v8.serialize / v8.deserialize if supported by Node.js,
+ *    }                                     keeps Dates, Maps, Sets, BigInts, NaN, ...
+ *  - isSerializer(obj)                  -> Boolean
+ *  - serializerError(message, cause)    -> Error instance with code ESERIALIZER
+ *  - resolveSerializer(serializer, data, custom)
+ *                                       -> Object({ name, encode, decode }) or throws ESERIALIZER
+ *  - findSerializer(name, custom)       -> Object({ name, encode, decode }) or throws ESERIALIZER
+ *  - registerSerializer(serializer, custom)
+ *                                       -> Object(custom) or throws ESERIALIZER
+ */
+const v8 = require('v8');
+const { is } = require('./Utils');
+
+const builtins = {
+  string: {
+    encode(value) {
+      if (!is.call(String.prototype, Object(value))) {
+        throw new TypeError('the string serializer only accepts strings');
+      }
+
+      return String(value);
+    },
+
+    decode(buffer, encoding) {
+      return buffer.toString(encoding);
+    },
+  },
+
+  buffer: {
+    encode(value) {
+      if (!Buffer.isBuffer(value)) {
+        throw new TypeError('the buffer serializer only accepts Buffers');
+      }
+
+      return value;
+    },
+
+    decode(buffer) {
+      return buffer;
+    },
+  },
+
+  json: {
+    encode(value) {
+      const json = JSON.stringify(value);
+
+      if (json === undefined) {
+        throw new TypeError(`${typeof value} cannot be serialized to JSON`);
+      }
+
+      return json;
+    },
+
+    decode(buffer, encoding) {
+      return JSON.parse(buffer.toString(encoding));
+    },
+  },
+};
+
+// v8.serialize only exists since Node.js 8
+if (is.call(Function.prototype, v8.serialize)) {
+  builtins.v8 = {
+    encode(value) {
+      return v8.serialize(value);
+    },
+
+    decode(buffer) {
+      return v8.deserialize(buffer);
+    },
+  };
+}
+
+/**
+ * function serializerError
+ * the error thrown when a serializer cannot be found or fails
+ *
+ * @param  {String} message the error message
+ * @param  {Error}  cause   the original error if any
+ * @return {Error}          Error instance with code ESERIALIZER
+ */
+const serializerError = function serializerError(message, cause) {
+  const err = new Error(message);
+  err.code = 'ESERIALIZER';
+
+  if (cause !== undefined) {
+    err.cause = cause;
+  }
+
+  return err;
+};
+
+/**
+ * function isSerializer
+ * test if an object has encode and decode functions
+ *
+ * @param  {Object}  obj the object to test
+ * @return {Boolean}     true if obj can be used as a serializer
+ */
+const isSerializer = function isSerializer(obj) {
+  return !!obj
+    && is.call(Function.prototype, obj.encode)
+    && is.call(Function.prototype, obj.decode);
+};
+
+/**
+ * function findSerializer
+ * find a serializer by name in custom serializers first then in built-in ones
+ *
+ * @param  {String} name   the serializer name
+ * @param  {Object} custom custom serializers by name, {} by default
+ * @return {Object}        { name, encode, decode } or throws an ESERIALIZER error
+ */
+const findSerializer = function findSerializer(name, custom = {}) {
+  let serializer;
+
+  if (Object.prototype.hasOwnProperty.call(custom, name) && isSerializer(custom[name])) {
+    serializer = custom[name];
+  } else if (Object.prototype.hasOwnProperty.call(builtins, name)) {
+    serializer = builtins[name];
+  } else {
+    throw serializerError(`unknown serializer "${name}"`);
+  }
+
+  return {
+    name,
+    encode: serializer.encode,
+    decode: serializer.decode,
+  };
+};
+
+/**
+ * function resolveSerializer
+ * choose the serializer used to save data:
+ *  - undefined (auto): strings and Buffers as is, everything else in JSON
+ *  - 'raw': strings and Buffers as is, anything else is an error
+ *  - a serializer name: a custom one or 'string', 'buffer', 'json', 'v8'
+ *  - an object { name, encode, decode }: the name is saved in the conf object
+ *
+ * @param  {Object} serializer the serializer option
+ * @param  {Object} data       the data to save
+ * @param  {Object} custom     custom serializers by name, {} by default
+ * @return {Object}            { name, encode, decode } or throws an ESERIALIZER error
+ */
+const resolveSerializer = function resolveSerializer(serializer, data, custom = {}) {
+  let resolved;
+
+  if (serializer === undefined || serializer === 'raw') {
+    if (is.call(String.prototype, Object(data))) {
+      resolved = findSerializer('string');
+    } else if (Buffer.isBuffer(data)) {
+      resolved = findSerializer('buffer');
+    } else if (serializer === undefined) {
+      resolved = findSerializer('json');
+    } else {
+      throw serializerError('the raw serializer only accepts strings and Buffers');
+    }
+  } else if (is.call(String.prototype, Object(serializer))) {
+    resolved = findSerializer(serializer, custom);
+  } else if (isSerializer(serializer)
+    && is.call(String.prototype, Object(serializer.name))
+    && serializer.name.trim() !== '') {
+    resolved = {
+      name: serializer.name,
+      encode: serializer.encode,
+      decode: serializer.decode,
+    };
+  } else {
+    throw serializerError('a serializer must be a name or an object { name, encode, decode }');
+  }
+
+  return resolved;
+};
+
+/**
+ * function registerSerializer
+ * keep an inline serializer { name, encode, decode } in custom serializers to decode data
+ * later, a name already given to another serializer (built-in 'raw' included) is refused so
+ * that entries saved with it are never decoded by another one
+ *
+ * @param  {Object} serializer the inline serializer
+ * @param  {Object} custom     custom serializers by name
+ * @return {Object}            custom or throws an ESERIALIZER error
+ */
+const registerSerializer = function registerSerializer(serializer, custom) {
+  const { name } = serializer;
+  let registered;
+
+  if (Object.prototype.hasOwnProperty.call(custom, name)) {
+    registered = custom[name];
+  } else if (Object.prototype.hasOwnProperty.call(builtins, name) || name === 'raw') {
+    registered = builtins[name] || {};
+  }
+
+  if (registered !== undefined
+    && (registered.encode !== serializer.encode || registered.decode !== serializer.decode)) {
+    throw serializerError(`the ${name} serializer name is already given to another serializer`);
+  }
+
+  return Object.assign(custom, { [name]: serializer });
+};
+
+// exports
+module.exports = {
+  builtins,
+  isSerializer,
+  serializerError,
+  resolveSerializer,
+  findSerializer,
+  registerSerializer,
+};
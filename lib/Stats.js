@@ -0,0 +1,157 @@
+/**
+ * Stats library
+ *
+ * Counters and latencies of a cache instance, fed with its lifecycle events (see index)
+ * durations are measured with Utils.time.hrnow() by the instance and kept per operation,
+ * percentiles are computed on the latest sampleSize durations of each operation so that
+ * memory stays bounded however long the instance runs, every duration is also counted
+ * in the buckets of a histogram
+ *
+ * Exports:
+ *  - sampleSize                            the number of durations kept per operation
+ *  - durationBuckets                       the upper bounds of the histogram buckets, in ms
+ *  - counters                              the counter incremented by each event
+ *  - percentile(sorted, rank)           -> Number(duration of the rank percentile or 0)
+ *  - createStats()                      -> Object({ record(event, details), snapshot(),
+ *                                          reset() })
+ */
+const sampleSize = 1000;
+
+const durationBuckets = [0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// the counter of each event, hits and sets also add their bytes to bytesRead and bytesWritten
+const counters = {
+  hit: 'hits',
+  miss: 'misses',
+  stale: 'stale',
+  set: 'writes',
+  reset: 'resets',
+  delete: 'deletes',
+  expire: 'expirations',
+  evict: 'evictions',
+  error: 'errors',
+};
+
+/**
+ * function percentile
+ * nearest-rank percentile of sorted durations
+ *
+ * @param  {Array}  sorted durations in ascending order
+ * @param  {Number} rank   the percentile, from 0 to 100
+ * @return {Number}        the duration, 0 if there is none
+ */
+const percentile = function percentile(sorted, rank) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+
+  return sorted[Math.max(Math.ceil((rank / 100) * sorted.length) - 1, 0)];
+};
+
+/**
+ * function createStats
+ * the statistics of an instance since it was created or since the last reset
+ *
+ * @return {Object} the statistics
+ */
+const createStats = function createStats() {
+  let totals;
+  // { count, total, samples, counts } by operation, samples being a ring of the latest durations
+  // and counts the durations of each bucket, durations over all bounds are only in count
+  let latencies;
+  let since;
+
+  const reset = () => {
+    totals = Object.keys(counters).reduce((zeros, event) => Object.assign(zeros, {
+      [counters[event]]: 0,
+    }), { bytesRead: 0, bytesWritten: 0 });
+    latencies = new Map();
+    since = Date.now();
+  };
+
+  const sample = (operation, duration) => {
+    const latency = latencies.get(operation) || {
+      count: 0,
+      total: 0,
+      samples: [],
+      counts: durationBuckets.map(() => 0),
+    };
+    const bucket = durationBuckets.findIndex(bound => duration <= bound);
+
+    if (bucket !== -1) {
+      latency.counts[bucket] += 1;
+    }
+
+    latency.samples[latency.count % sampleSize] = duration;
+    latency.count += 1;
+    latency.total += duration;
+    latencies.set(operation, latency);
+  };
+
+  reset();
+
+  return {
+    record(event, { operation, duration, bytes } = {}) {
+      if (counters[event] !== undefined) {
+        totals[counters[event]] += 1;
+      }
+
+      if (event === 'hit') {
+        totals.bytesRead += bytes || 0;
+      } else if (event === 'set') {
+        totals.bytesWritten += bytes || 0;
+      }
+
+      if (operation !== undefined && Number.isFinite(duration)) {
+        sample(operation, duration);
+      }
+    },
+
+    // the counters, the hit ratio of reads and { count, sum, mean, p50, p95, p99, buckets }
+    // by operation, buckets being the cumulative counts of durationBuckets
+    snapshot() {
+      const reads = totals.hits + totals.misses + totals.stale;
+      const latency = {};
+
+      latencies.forEach(({
+        count,
+        total,
+        samples,
+        counts,
+      }, operation) => {
+        const sorted = samples.slice().sort((a, b) => a - b);
+        let cumulated = 0;
+
+        latency[operation] = {
+          count,
+          sum: total,
+          mean: total / count,
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          p99: percentile(sorted, 99),
+          buckets: durationBuckets.map((bound, i) => {
+            cumulated += counts[i];
+
+            return cumulated;
+          }),
+        };
+      });
+
+      return Object.assign({ since }, totals, {
+        hitRatio: reads > 0 ? totals.hits / reads : 0,
+        latency,
+      });
+    },
+
+    reset,
+  };
+};
+
+// exports
+module.exports = {
+  sampleSize,
+  durationBuckets,
+  counters,
+  percentile,
+  createStats,
+};
@@ -0,0 +1,133 @@
+/**
+ * Store library
+ *
+ * A store adapter persists the entries of a cache instance, an entry is a conf object
+ * (metadata, see index) and a payload: the data file content, a Buffer as written
+ * entries are saved by key, a key is the name escaped by Utils.toFileName
+ * payload methods are given the conf object read by the cache if any, so that a store
+ * saving payloads where the conf object says (file.path) reads the payload it describes
+ *
+ * Required methods, asynchronous ones resolve with the results given:
+ *  - open()                          -> Promise(undefined), called once before any other method
+ *  - readMeta(key)                   -> Promise(confObj or Error instance with code ENOENT)
+ *  - writeMeta(key, confObj)         -> Promise(undefined), the entry payload is kept,
+ *                                       confObj being read with readMeta then changed
+ *  - readData(key, confObj)          -> Promise(Buffer or Error instance with code ENOENT)
+ *  - createReadStream(key, confObj)  -> Promise(Readable stream of Buffers or ENOENT Error)
+ *  - write(key, confObj, payload, { override= true })
+ *                                    -> Promise(undefined or EEXIST Error if override is false),
+ *                                       readers never get the new conf object with the old payload
+ *  - remove(key)                     -> Promise(Boolean, false if there was no entry)
+ *  - list()                          -> Promise(Array of keys)
+ * Optional methods:
+ *  - location(key)                   -> String(where the payload of a write is saved, as file.path)
+ *  - size(key, confObj)              -> Promise(payload length), checked before streaming
+ *  - lock(key, options)              -> Promise({ release() } or ELOCKED Error), see Lock
+ *  - lockSync(key, options)          -> Object({ release() }) or throws ELOCKED,
+ *                                       locks are held in the process only without them
+ *  - readMetaSync(key), writeMetaSync(key, confObj), readDataSync(key, confObj), removeSync(key),
+ *    listSync()                      -> synchronous versions used by the sync cache methods,
+ *                                       which fail as if entries were missing without them
+ *  - verify({ deep, batchSize })     -> Promise({ scanned, entries, anomalies })
+ *  - repair(anomaly, { deep, quarantine, lock })
+ *                                    -> Promise('removed', 'quarantined', 'skipped' or 'failed')
+ *
+ * Exports:
+ *  - stores {                              built-in stores by name
+ *      fs,                                 2 files per entry in the cache directory (default)
+ *      memory,                             entries kept in the process memory
+ *      log,                                segment files of appended records in the cache
+ *    }                                     directory, for many small entries (see LogStore)
+ *  - requiredMethods                       the methods every store must have
+ *  - storeError(message)                -> Error instance with code ESTORE
+ *  - isStore(obj)                       -> Boolean
+ *  - createStore(store, directory)      -> Object(store adapter) or throws ESTORE, store being
+ *                                          a built-in store name, { type, ...options } for a
+ *                                          built-in store with options or a store adapter
+ */
+const { is } = require('./Utils');
+const { createFileStore } = require('./FileStore');
+const { createMemoryStore } = require('./MemoryStore');
+const { createLogStore } = require('./LogStore');
+
+const stores = {
+  fs: createFileStore,
+  memory: createMemoryStore,
+  log: createLogStore,
+};
+
+const requiredMethods = [
+  'open',
+  'readMeta',
+  'writeMeta',
+  'readData',
+  'createReadStream',
+  'write',
+  'remove',
+  'list',
+];
+
+/**
+ * function storeError
+ *
+ * @param  {String} message the error message
+ * @return {Error}          Error instance with code ESTORE
+ */
+const storeError = function storeError(message) {
+  const err = new Error(message);
+  err.code = 'ESTORE';
+
+  return err;
+};
+
+/**
+ * function isStore
+ * test if an object has all the required methods of a store adapter
+ *
+ * @param  {Object}  obj the object to test
+ * @return {Boolean}     true if obj can be used as a store
+ */
+const isStore = function isStore(obj) {
+  return !!obj && requiredMethods.every(method => is.call(Function.prototype, obj[method]));
+};
+
+/**
+ * function createStore
+ * check the store option of a cache instance, the file store by default
+ *
+ * @param  {Object} store     a built-in store name, { type, ...options } or a store adapter
+ * @param  {String} directory the cache directory of the file and log stores
+ * @return {Object}           the store adapter or throws an ESTORE error
+ */
+const createStore = function createStore(store = 'fs', directory) {
+  const isBuiltin = type => is.call(String.prototype, Object(type))
+    && Object.prototype.hasOwnProperty.call(stores, type);
+
+  if (isBuiltin(store)) {
+    return stores[store](directory);
+  }
+
+  if (isStore(store)) {
+    return store;
+  }
+
+  if (!!store && isBuiltin(store.type)) {
+    return stores[store.type](directory, store);
+  }
+
+  const missing = requiredMethods
+  .filter(method => !store || !is.call(Function.prototype, store[method]));
+
+  throw storeError(is.call(String.prototype, Object(store))
+    ? `unknown store "${store}", use one of ${Object.keys(stores).join(', ')} or an adapter`
+    : `a store adapter must have ${missing.join(', ')} methods`);
+};
+
+// exports
+module.exports = {
+  stores,
+  requiredMethods,
+  storeError,
+  isStore,
+  createStore,
+};
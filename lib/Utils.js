@@ -16,12 +16,34 @@
  *      start,
  *      end,
  *    }
- *  - getFileStream(file)                 -> Promise(Readable Stream or Error instance)
+ *  - toFileName(name)                    -> String(a safe file name for any cache name)
+ *  - getFileStream(file, encoding)       -> Promise(Readable Stream or Error instance)
+ *  - readStream(rstream, encoding)       -> Promise(Buffer or Error instance)
  *  - getJSON(file)                       -> Promise(data in JSON (JavaScript Object) or Error)
  *  - getJSONSync(file, defaultData = {}) -> data in JSON (JavaScript Object) or defaultData
+ *  - mkdirp(directory)                   -> Promise(directory or Error instance)
+ *  - checkDirectory(directory)           -> Promise(directory or ECACHEDIR Error instance)
+ *  - tmpPrefix                              the name prefix of temporary files
+ *  - tmpFile(directory)                  -> String(a unique temporary file path)
+ *  - syncFile(file)                      -> Promise(file or Error instance)
+ *  - writeTmpFile(file, data, encoding)  -> Promise(temporary file path or Error instance)
+ *  - moveFile(tmp, file, override= true) -> Promise(file or Error instance)
+ *  - commitFile(tmp, file, override= true)
+ *                                        -> Promise(file or Error instance)
+ *  - writeFileAtomic(file, data, encoding)
+ *                                        -> Promise(file or Error instance)
+ *  - writeFileAtomicSync(file, data, encoding)
+ *                                        -> undefined or throws
+ *  - inBatches(items, batchSize, run)    -> Promise(results of run for each batch or Error)
+ *  - mergeOptions(defaults, options, validators = {})
+ *                                        -> Object(options with defaults)
+ *  - isRunning(pid)                      -> Boolean(true if the process exists)
+ *  - isStaleTmpFile(file)                -> Boolean(true if left by a process not running)
+ *  - removeTmpFiles(directory)           -> Promise(removed file names or Error instance)
  */
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 /**
  *  the confObj extension name
@@ -30,6 +52,12 @@ const path = require('path');
  */
 const confExtension = '_conf.json';
 
+/**
+ *  the maximum length of an escaped name used in file names, longer names are hashed
+ *  a data file name contains the escaped name twice and must stay under 255 bytes
+ */
+const maxFileNameLength = 100;
+
 // to call is on object
 const is = Object.prototype.isPrototypeOf;
 
@@ -225,18 +253,71 @@ const time = {
   },
 };
 
+// the file names reserved by Windows whatever their extension, once escaped
+const reservedFileName = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(?=\.|$)/;
+
+// a character escaped as %XX or %uXXXX, hexadecimal digits being upper-case
+const escapeChar = (char) => {
+  const code = char.charCodeAt(0);
+  const hex = code.toString(16).toUpperCase();
+
+  return code < 256 ? `%${`0${hex}`.slice(-2)}` : `%u${`000${hex}`.slice(-4)}`;
+};
+
+/**
+ * function toFileName
+ * escape a cache name into a file name that cannot leave its directory:
+ *  - lower-case letters, digits, '.', '_' and '-' are kept so that simple names stay readable
+ *  - any other character (and a trailing '.') is escaped as %XX or %uXXXX, '%' and
+ *    upper-case letters included, so two different names can never share the same file
+ *    name, even on case-insensitive file systems
+ *  - the first letter of a name reserved by Windows (con, nul, com1... with or without
+ *    an extension) is escaped too
+ *  - the '.' of a trailing confExtension is escaped too: a data file is named after the
+ *    file name twice (<name>_conf.json_<name>) and must never end like a conf file
+ *  - an escaped name longer than maxFileNameLength is truncated and suffixed with
+ *    '~' and the sha256 of the name, '~' being always escaped otherwise
+ *
+ * @param  {String} name the name given to the data to store in cache
+ * @return {String}      the escaped file name
+ */
+const toFileName = function toFileName(name) {
+  const str = String(name);
+  const chars = str
+  .replace(/[^a-z0-9._-]|\.$/g, escapeChar)
+  .replace(reservedFileName, reserved => `${escapeChar(reserved[0])}${reserved.slice(1)}`);
+  const escaped = chars.endsWith(confExtension)
+    ? `${chars.slice(0, -confExtension.length)}${confExtension.replace('.', '%2E')}`
+    : chars;
+
+  let fileName;
+
+  if (escaped.length > maxFileNameLength) {
+    const hash = crypto.createHash('sha256').update(str, 'utf8').digest('hex');
+    fileName = `${escaped.slice(0, 32)}~${hash}`;
+  } else {
+    fileName = escaped;
+  }
+
+  return fileName;
+};
+
 /**
  * function getFileStream (asynchronous)
  * wrapp fs.createReadStream to handle readable and error events
+ * the 'buffer' encoding gives a stream of Buffers instead of strings
  *
- * @param  {String} file path to the file
- * @return {Promise}     Readable stream or Error instance
+ * @param  {String} file     path to the file
+ * @param  {String} encoding one of the supported encodings or 'buffer', utf8 by default
+ * @return {Promise}         Readable stream or Error instance
  */
 const getFileStream = function getFileStream(file, encoding) {
   return new Promise((resolve, reject) => {
     let dataEncoding;
 
-    if (encoding !== undefined
+    if (encoding === 'buffer') {
+      dataEncoding = undefined;
+    } else if (encoding !== undefined
       && is.call(String.prototype, Object(encoding))
       && encodings.indexOf(encoding.toLowerCase()) !== -1) {
       dataEncoding = encoding;
@@ -246,9 +327,13 @@ const getFileStream = function getFileStream(file, encoding) {
 
     const rstream = fs.createReadStream(path.normalize(file), dataEncoding);
 
-    rstream.on('readable', () => {
+    // a 'readable' listener left on the stream would prevent it from flowing when piped
+    const onReadable = () => {
+      rstream.removeListener('readable', onReadable);
       resolve(rstream);
-    });
+    };
+
+    rstream.on('readable', onReadable);
 
     rstream.on('error', (err) => {
       reject(err);
@@ -256,6 +341,28 @@ const getFileStream = function getFileStream(file, encoding) {
   });
 };
 
+/**
+ * function readStream (asynchronous)
+ * read a whole Readable stream into a Buffer, string chunks are converted with the encoding
+ *
+ * @param  {Readable} rstream  the stream to read
+ * @param  {String}   encoding the encoding of string chunks, utf8 by default
+ * @return {Promise}           Buffer or Error instance
+ */
+const readStream = function readStream(rstream, encoding) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    rstream.on('data', (chunk) => {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    });
+
+    rstream.on('end', () => resolve(Buffer.concat(chunks)));
+    rstream.on('error', err => reject(err));
+    rstream.resume();
+  });
+};
+
 /**
  * function getJSON (asynchronous)
  * read a file and parse data to JSON
@@ -318,13 +425,370 @@ const getJSONSync = function getJSONSync(file, ...args) {
   return data;
 };
 
+/**
+ * function mkdirp (asynchronous)
+ * create a directory and all its missing parents, an existing directory is not an error
+ *
+ * @param  {String} directory path to the directory
+ * @return {Promise}          directory or Error instance
+ */
+const mkdirp = function mkdirp(directory) {
+  return new Promise((resolve, reject) => {
+    const dir = path.resolve(directory);
+
+    fs.mkdir(dir, (err) => {
+      if (!err || err.code === 'EEXIST') {
+        resolve(dir);
+      } else if (err.code === 'ENOENT' && path.dirname(dir) !== dir) {
+        mkdirp(path.dirname(dir))
+        .then(() => mkdirp(dir))
+        .then(resolve)
+        .catch(reject);
+      } else {
+        reject(err);
+      }
+    });
+  });
+};
+
+/**
+ * function checkDirectory (asynchronous)
+ * create the directory if needed then check it is a readable and writable directory,
+ * a probe file is written and removed to detect read-only mounts
+ * all failures are reported as a single error with code ECACHEDIR, the original
+ * error being kept in the 'cause' property
+ *
+ * @param  {String} directory path to the directory
+ * @return {Promise}          directory or Error instance
+ */
+const checkDirectory = function checkDirectory(directory) {
+  const dir = path.resolve(directory);
+  const probeId = `${process.pid}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+  const probe = path.join(dir, `.probe_${probeId}`);
+
+  const step = (fn, ...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  return mkdirp(dir)
+  .then(() => step(fs.stat, dir))
+  .then((stats) => {
+    if (!stats.isDirectory()) {
+      const err = new Error(`${dir} is not a directory`);
+      err.code = 'ENOTDIR';
+      throw err;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    return step(fs.access, dir, fs.constants.R_OK | fs.constants.W_OK);
+  })
+  .then(() => step(fs.writeFile, probe, '', { flag: 'wx' }))
+  .then(() => step(fs.unlink, probe))
+  .then(() => dir)
+  .catch((cause) => {
+    const err = new Error(`cache directory ${dir} is not usable: ${cause.code || cause.message}`);
+    err.code = 'ECACHEDIR';
+    err.path = dir;
+    err.cause = cause;
+
+    throw err;
+  });
+};
+
+/**
+ *  temporary files are written in the cache directory then renamed into place,
+ *  their name holds the pid of the process writing them: +tmp_<pid>_<counter>_<random>
+ *  '+' is always escaped by toFileName so that no conf or data file can start with it
+ */
+const tmpPrefix = '+tmp_';
+let tmpCounter = 0;
+
+/**
+ * function tmpFile
+ *
+ * @param  {String} directory the directory of the temporary file
+ * @return {String}           a unique temporary file path
+ */
+const tmpFile = function tmpFile(directory) {
+  tmpCounter += 1;
+
+  const tmpId = `${process.pid}_${tmpCounter}_${crypto.randomBytes(4).toString('hex')}`;
+
+  return path.join(directory, `${tmpPrefix}${tmpId}`);
+};
+
+/**
+ * function syncFile (asynchronous)
+ * flush a file to the disk so that it survives a crash once renamed
+ *
+ * @param  {String} file path to the file
+ * @return {Promise}     file or Error instance
+ */
+const syncFile = function syncFile(file) {
+  return new Promise((resolve, reject) => {
+    fs.open(file, 'r+', (error, fd) => {
+      if (error) {
+        reject(error);
+      } else {
+        fs.fsync(fd, (syncError) => {
+          fs.close(fd, (err) => {
+            if (syncError || err) {
+              reject(syncError || err);
+            } else {
+              resolve(file);
+            }
+          });
+        });
+      }
+    });
+  });
+};
+
+/**
+ * function writeTmpFile (asynchronous)
+ * write data to a new temporary file in the directory of a file
+ *
+ * @param  {String} file     path to the file the temporary file will replace
+ * @param  {Object} data     a String or a Buffer
+ * @param  {String} encoding the encoding of string data, utf8 by default
+ * @return {Promise}         temporary file path or Error instance
+ */
+const writeTmpFile = function writeTmpFile(file, data, encoding) {
+  const tmp = tmpFile(path.dirname(file));
+
+  return new Promise((resolve, reject) => {
+    fs.writeFile(tmp, data, { encoding, flag: 'wx' }, (err) => {
+      if (err) {
+        fs.unlink(tmp, () => reject(err));
+      } else {
+        resolve(tmp);
+      }
+    });
+  });
+};
+
+/**
+ * function moveFile (asynchronous)
+ * move a temporary file already flushed into place atomically
+ * without override the file is linked so that an existing file is an EEXIST error
+ *
+ * @param  {String}  tmp      path to the temporary file
+ * @param  {String}  file     path to the file
+ * @param  {Boolean} override false to fail if the file exists, true by default
+ * @return {Promise}          file or Error instance
+ */
+const moveFile = function moveFile(tmp, file, override = true) {
+  return new Promise((resolve, reject) => {
+    if (override) {
+      fs.rename(tmp, file, err => (err ? reject(err) : resolve(file)));
+    } else {
+      fs.link(tmp, file, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          fs.unlink(tmp, () => resolve(file));
+        }
+      });
+    }
+  });
+};
+
+/**
+ * function commitFile (asynchronous)
+ * flush a temporary file and move it into place atomically, readers see either
+ * the previous file or the new one but never a partial one
+ * the temporary file is removed on failure
+ *
+ * @param  {String}  tmp      path to the temporary file
+ * @param  {String}  file     path to the file
+ * @param  {Boolean} override false to fail if the file exists, true by default
+ * @return {Promise}          file or Error instance
+ */
+const commitFile = function commitFile(tmp, file, override = true) {
+  return syncFile(tmp)
+  .then(() => moveFile(tmp, file, override))
+  .catch(err => new Promise((resolve, reject) => {
+    fs.unlink(tmp, () => reject(err));
+  }));
+};
+
+/**
+ * function writeFileAtomic (asynchronous)
+ * replace a file atomically with a temporary file
+ *
+ * @param  {String} file     path to the file
+ * @param  {Object} data     a String or a Buffer
+ * @param  {String} encoding the encoding of string data, utf8 by default
+ * @return {Promise}         file or Error instance
+ */
+const writeFileAtomic = function writeFileAtomic(file, data, encoding) {
+  return writeTmpFile(file, data, encoding)
+  .then(tmp => commitFile(tmp, file));
+};
+
+/**
+ * function writeFileAtomicSync (synchronous)
+ *
+ * @param  {String} file     path to the file
+ * @param  {Object} data     a String or a Buffer
+ * @param  {String} encoding the encoding of string data, utf8 by default
+ * @return {undefined}       or throws an error, the temporary file being removed
+ */
+const writeFileAtomicSync = function writeFileAtomicSync(file, data, encoding) {
+  const tmp = tmpFile(path.dirname(file));
+
+  try {
+    const fd = fs.openSync(tmp, 'wx');
+
+    try {
+      fs.writeFileSync(fd, data, { encoding });
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    try {
+      fs.unlinkSync(tmp);
+    } catch (err) {
+      // the temporary file may not have been created
+    }
+
+    throw e;
+  }
+};
+
+/**
+ * function isRunning
+ *
+ * @param  {Number}  pid a process id
+ * @return {Boolean}     true if the process exists
+ */
+const isRunning = function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+};
+
+/**
+ * function mergeOptions
+ * merge the options of a module with its defaults, options given are never trusted:
+ * unknown options are ignored and invalid values are replaced by default ones so that
+ * a wrong option never breaks a cache, options without validator are numbers >= 0
+ *
+ * @param  {Object} defaults   the default value of each option
+ * @param  {Object} options    the options given, anything else than an object is ignored
+ * @param  {Object} validators function(value) by option, true if the value is valid
+ * @return {Object}            the options to use
+ */
+const mergeOptions = function mergeOptions(defaults, options, validators = {}) {
+  const isCount = value => is.call(Number.prototype, Object(value))
+    && Number.isFinite(value) && value >= 0;
+
+  return Object.keys(defaults).reduce((merged, option) => {
+    const value = Object(options)[option];
+    const isValid = validators[option] || isCount;
+
+    return Object.assign(merged, { [option]: isValid(value) ? value : defaults[option] });
+  }, {});
+};
+
+/**
+ * function inBatches (asynchronous)
+ * run an asynchronous function on the items of an array batch by batch, a batch starts
+ * once the previous one is over and the event loop has been given back
+ *
+ * @param  {Array}    items     the items to process
+ * @param  {Number}   batchSize the maximum number of items of a batch
+ * @param  {Function} run       a function called with each batch, returning a Promise
+ * @return {Promise}            the results of run in the order of the batches or Error instance
+ */
+const inBatches = function inBatches(items, batchSize, run) {
+  const batches = [];
+  const results = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+
+  return batches.reduce((previous, batch) => previous
+  .then(() => run(batch))
+  .then(result => results.push(result))
+  .then(() => new Promise(resolve => setImmediate(resolve))), Promise.resolve())
+  .then(() => results);
+};
+
+/**
+ * function isStaleTmpFile
+ * test if a file name is a temporary file left by a process which is not running anymore,
+ * those of the current process and of running ones may be in use
+ *
+ * @param  {String}  file a file name
+ * @return {Boolean}      true if the file can be removed
+ */
+const isStaleTmpFile = function isStaleTmpFile(file) {
+  const pid = parseInt(file.slice(tmpPrefix.length), 10);
+
+  return file.indexOf(tmpPrefix) === 0
+    && !Number.isNaN(pid)
+    && pid !== process.pid
+    && !isRunning(pid);
+};
+
+/**
+ * function removeTmpFiles (asynchronous)
+ * remove the temporary files left in a directory by processes which are not running anymore,
+ * those of the current process and of running ones may be in use
+ *
+ * @param  {String} directory path to the directory
+ * @return {Promise}          removed file names or Error instance
+ */
+const removeTmpFiles = function removeTmpFiles(directory) {
+  return new Promise((resolve, reject) => {
+    fs.readdir(directory, (err, files) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(files);
+      }
+    });
+  })
+  .then(files => files.filter(isStaleTmpFile))
+  .then(tmpFiles => Promise.all(tmpFiles.map(file => new Promise((resolve) => {
+    fs.unlink(path.join(directory, file), err => resolve(err ? undefined : file));
+  }))))
+  .then(removed => removed.filter(file => file !== undefined));
+};
+
 // exports
 module.exports = {
   confExtension,
   is,
   encodings,
   time,
+  toFileName,
   getFileStream,
+  readStream,
   getJSON,
   getJSONSync,
+  mkdirp,
+  checkDirectory,
+  tmpPrefix,
+  tmpFile,
+  syncFile,
+  writeTmpFile,
+  moveFile,
+  commitFile,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  inBatches,
+  mergeOptions,
+  isRunning,
+  isStaleTmpFile,
+  removeTmpFiles,
 };
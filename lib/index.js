@@ -1,29 +1,97 @@
 /**
  * Cache Manager
  *
- * Exports:
- *  - get(name)         -> Promise({ confObj, rstream } or { err, confObj, rstream })
+ * Exports (the default instance, bound to the internal 'files' directory, with createCache,
+ * renderMetrics and metricsContentType, see Prometheus):
+ *  - createCache({
+ *      directory,
+ *      defaultTtl= 1h,
+ *      serializer,
+ *      serializers= {},
+ *      compress,
+ *      encryption,
+ *      deleteCorrupt= false,
+ *      lock= { wait: true, timeout: 5s, retryInterval: 25ms, stale: 30s },
+ *      maxBytes,
+ *      maxEntries,
+ *      eviction= 'lru',
+ *      sweeper= false,
+ *      memory= false,
+ *      store= 'fs',
+ *    })
+ *                      -> Object(a new cache instance with all the methods below)
+ *  - directory         the cache directory, undefined if the store has none
+ *  - ready()           -> Promise(undefined or Error instance with code ECACHEDIR)
+ *  - get(name, { decompress= true })
+ *                      -> Promise({ confObj, rstream, contentEncoding }
+ *                                 or { err, confObj, rstream })
  *  - getSync(name)     -> Object(confObj)
- *  - set({ name, data, encoding, time= 1h, relatedData= {}, override= true })
+ *  - getValue(name)    -> Promise(value as it was set or Error instance)
+ *  - getValueSync(name)
+ *                      -> value as it was set or undefined
+ *  - getBuffer(name)   -> Promise(Buffer or Error instance)
+ *  - getBufferSync(name)
+ *                      -> Buffer or undefined
+ *  - getData(name)     -> Promise(data (String or Buffer) or Error instance)
+ *  - getDataSync(name) -> data (String or Buffer) or undefined
+ *  - set({ name, data, encoding, time= 1h, relatedData= {}, override= true, serializer, compress,
+ *      ifVersion, pin })
  *                      -> Promise(Confirmation message (String) or Error instance)
  *  - setParallel(see 'set' params)
  *                      -> callback(err)
  *  - hasSync(name)     -> Boolean
+ *  - pin(name, pinned= true)
+ *                      -> Promise(Confirmation message (String) or Error instance)
+ *  - unpin(name)       -> Promise(Confirmation message (String) or Error instance)
+ *  - reencrypt(name)   -> Promise(confObj or Error instance with code EKEY or EDECRYPT)
+ *  - reencryptAll()    -> Promise({ reencrypted, failed } or Error instance)
  *  - reset(name)       -> Promise(Confirmation message (String) or Error instance)
  *  - resetSync(name)   -> Boolean
- *  - delete(name)      -> Promise(Confirmation message (String) or Error instance)
- *  - deleteSync(name)  -> Boolean
- *  - clear()           -> Promise(Confirmation message (String) or Error instance)
- *  - clearSync()       -> Boolean
+ *  - delete(name, { ifVersion })
+ *                      -> Promise(Confirmation message (String) or Error instance)
+ *  - deleteSync(name, { ifVersion })
+ *                      -> Boolean
+ *  - clear({ expiredOnly= false, prefix, olderThan, batchSize= 100 })
+ *                      -> Promise({ scanned, removed, skipped, failed } or Error instance)
+ *  - clearSync({ expiredOnly= false, prefix, olderThan })
+ *                      -> Object({ scanned, removed, skipped, failed })
+ *  - prune({ batchSize= 100 })
+ *                      -> Promise({ scanned, removed, skipped, failed } or Error instance)
+ *  - startSweeper({ interval= 1min, batchSize= 100 })
+ *                      -> undefined
+ *  - stopSweeper()     -> undefined
+ *  - stats()           -> Promise(counters, hitRatio, latency by operation, entries and bytes
+ *                                 or Error instance)
+ *  - resetStats()      -> undefined
+ *  - metrics({ prefix= 'cache_', labels= {} })
+ *                      -> Promise(the stats in the Prometheus text format or Error instance)
+ *  - use({ beforeGet, afterGet, beforeSet, afterSet, ..., onError })
+ *                      -> Object(the instance) or throws EHOOK
+ *  - middleware({ key, time, methods= ['GET'], statuses, maxBytes= 5MiB, header= 'X-Cache' })
+ *                      -> function(req, res, next) caching HTTP responses
+ *  - verify({ deep= false, batchSize= 100 })
+ *                      -> Promise({ scanned, entries, anomalies } or Error instance)
+ *  - repair({ quarantine, deep= false, batchSize= 100 })
+ *                      -> Promise({ scanned, entries, anomalies with their action } or Error)
  *
  * How it works:
- *  - stores data in 2 files :
- *    * a JSON conf file
+ *  - entries are persisted by a store adapter (see Store), the default 'fs' store
+ *    (see FileStore) saves each entry in 2 files of the cache directory :
+ *    * a JSON conf file holding metadata only
  *    {
  *      name,
- *      data,
+ *      serializer,
  *      encoding,
- *      relatedData,
+ *      size,
+ *      compression,
+ *      encryption,                    { algorithm, keyId, fields } if encrypted
+ *      integrity,                     { algorithm, hash, length } of the data file
+ *      version,                       incremented by each set and reencrypt of the entry
+ *      etag,                          "<version>-<hash of serialized data>"
+ *      lastAccess,                    last time data were read, if the instance has limits
+ *      hits,                          number of reads, if the instance has limits
+ *      pinned,                        true if the entry is never evicted
+ *      relatedData,                   in encryption.fields if encrypted
  *      file {
  *        path,
  *        saved,
@@ -33,537 +101,2703 @@
  *      expires
  *    },
  *    * and a file containing data only in order to get a stream from it
- *  - get data synchronously or asynchronously with Promises and Readable stream
- *  - internal 'files' directory must exist or an error will be catched
+ *  - files are written to temporary files then renamed into place, the conf file last,
+ *    temporary files left by crashed processes are removed when the instance is ready
+ *  - the 'memory' store keeps entries in the process memory, custom stores are objects
+ *    with the methods of the store contract
+ *  - writers (set, setParallel, reset, reencrypt, delete and clear) hold a per-entry lock,
+ *    a lock file shared by all processes using the directory with the 'fs' store,
+ *    an entry locked for too long is an error with code ELOCKED, sync methods never wait
+ *    for a lock (see Lock)
+ *  - set, setParallel and delete accept an ifVersion (version or etag) checked under the lock,
+ *    a write to an entry which has changed since is an error with code ECONFLICT
+ *  - the instance is an EventEmitter, reads (get, getBuffer, getValue and their sync versions)
+ *    emit 'hit', 'miss' or 'stale', writes emit 'set', 'reset' and 'delete' (clear included),
+ *    with { name, key, operation, duration } and the size or expires time of the entry,
+ *    failures emit an 'error' event (err, { operation, name, key, duration }) when listened to
+ *  - events are counted by the instance with the durations of operations, see Stats
+ *  - plugins added by use() run hooks around get, set, delete, reset and clear methods,
+ *    sync and async ones, to change their arguments and results (see Hooks)
+ *  - middleware() caches HTTP responses by method and URL with their status and headers
+ *    in relatedData, hits being streamed by get() (see Middleware)
+ *  - with maxBytes or maxEntries, entries are evicted once a write exceeds a limit in the order
+ *    of the eviction policy (see Eviction), an 'evict' event is emitted for each of them
+ *  - expired entries stay on disk until they are pruned, by prune() or by the optional sweeper
+ *    running prune() on an unref'd timer, an 'expire' event is emitted for each of them
+ *  - clear() and clearSync() only remove the files of entries, found by their conf files,
+ *    other files of the directory are left
+ *  - with the memory option, entries read are kept in a bounded in-memory tier (see Memory),
+ *    small payloads included, writes and deletes through the instance drop them
+ *  - the data file is checked against its integrity when read, a corrupt entry
+ *    is reported as an error with code ECORRUPT and deleted if deleteCorrupt is set
+ *  - data files and sensitive conf fields can be encrypted with AES-256-GCM,
+ *    the key ID is saved per entry so that keys can be rotated (see Encryption)
+ *  - conf files written with a copy of data by previous versions are rewritten
+ *    without it the first time they are read, under the entry lock (see FileStore)
+ *  - get data synchronously or asynchronously with Promises and Readable stream,
+ *    sync methods need the sync methods of the store
+ *  - names are escaped into keys (see Utils.toFileName) so that any not-empty string
+ *    is a valid name and no file can be read or written outside the cache directory
+ *  - each instance works in its own directory, created if needed and checked once
+ *    (readable, writable, not a file, not a read-only mount) before any async method runs,
+ *    a failure rejects with an error coded ECACHEDIR, the store is opened then
  *  -> relatedData could be an object used to build the effective data
  *    as a javascript object to transform into XML
  *  -> time are in milliseconds
  */
-const fs = require('fs');
 const path = require('path');
 const stream = require('stream');
 const EventEmitter = require('events');
 const debug = require('debug')('cache');
 const Utils = require('./Utils');
+const Serializers = require('./Serializers');
+const Compression = require('./Compression');
+const Encryption = require('./Encryption');
+const Integrity = require('./Integrity');
+const Lock = require('./Lock');
+const Eviction = require('./Eviction');
+const Memory = require('./Memory');
+const Store = require('./Store');
+const Stats = require('./Stats');
+const Prometheus = require('./Prometheus');
+const Hooks = require('./Hooks');
+const Middleware = require('./Middleware');
 
 const Readable = stream.Readable;
-const filesDirectory = path.join(__dirname, '../files');
+const defaultDirectory = path.join(__dirname, '../files');
 
 const {
-  confExtension,
   is,
   encodings,
   time: {
     second,
+    minute,
     hour,
     day,
   },
-  getFileStream,
-  getJSONSync,
-  getJSON,
+  readStream,
+  toFileName,
+  inBatches,
 } = Utils;
 
-// main functions export
-module.exports = {
-  /**
-   * function get (asynchronous)
-   * get the data in cache from the data file as a Readable stream
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Promise}     { confObj, rstream } or { err, confObj, rstream }
-   */
-  get(name) {
-    return new Promise((resolve, reject) => {
-      getJSON(path.join(filesDirectory, `${name}${confExtension}`))
-      .then((confObj) => {
-        const { file: { encoding, path: pathToFile }, expires } = confObj;
-        const now = Date.now();
+const {
+  algorithm,
+  createKeyring,
+  encrypt,
+  decrypt,
+  createEncrypt,
+  encryptField,
+  decryptField,
+} = Encryption;
 
-        getFileStream(pathToFile, encoding)
-        .then((rstream) => {
-          if (expires !== undefined && (expires - now) >= 0) {
-            resolve({ confObj, rstream });
-          } else {
-            const err = new Error(`file ${pathToFile} has expired`);
-            err.code = 'EXPIRED';
+const {
+  digest,
+  createDigest,
+  verify,
+  createVerify,
+  corruptError,
+} = Integrity;
 
-            reject({
-              err,
-              confObj,
-              rstream,
-            });
-          }
-        })
-        .catch(err => reject({ err, confObj, rstream: undefined }));
-      })
-      .catch(err => reject({ err, confObj: undefined, rstream: undefined }));
-    });
-  },
+const {
+  lockOptions,
+  createLocks,
+} = Lock;
 
-  /**
-   * function get (synchronous)
-   * get all properties of the 'name' configuration object
-   *
-   * @param  {String} name    the name given to the data to store in cache
-   * @return {Object} confObj the configuration object in cache
-   */
-  getSync(name) {
-    return getJSONSync(path.join(filesDirectory, `${name}${confExtension}`));
-  },
+const {
+  findPolicy,
+  evictionOrder,
+} = Eviction;
 
-  /**
-   * function set (asynchronous)
-   * set data in cache, a conf file and a data file will be created
-   * to set image in cache, set data with a binary buffer
-   *
-   * @param  {Object}      an object with these properties:
-   *                          - name
-   *                          - data
-   *                          - encoding= utf8
-   *                          - relatedData= {}
-   *                          - time, default= 1 * hour
-   *                          - override= true (throw EEXIST error code)
-   * @return {Promise}      confObj or Error instance
-   */
-  set({ name, data, encoding, time, override, relatedData = {} } = {}) {
-    return new Promise((resolve, reject) => {
-      // name must be a not null String and data must exist
-      if (is.call(String.prototype, Object(name)) && name.trim() !== '' && !!data) {
-        const isBufferData = Buffer.isBuffer(data);
-        const isOverriden = is.call(Boolean.prototype, Object(override)) ? override : true;
-        const flag = isOverriden ? 'w' : 'wx';
-        const dataFileName = `${name}${confExtension}_${name}`;
-        let dataEncoding;
-        let cacheTime = parseInt(time, 10);
+const { createMemory } = Memory;
 
-        if (Number.isNaN(cacheTime) || !(time >= second && time <= 365 * day)) {
-          cacheTime = hour;
-        }
+const {
+  storeError,
+  createStore,
+} = Store;
 
-        if (encoding !== undefined
-          && is.call(String.prototype, Object(encoding))
-          && encodings.indexOf(encoding.toLowerCase()) !== -1) {
-          dataEncoding = encoding;
-        } else if (isBufferData) {
-          dataEncoding = 'binary';
-        } else {
-          [dataEncoding] = encodings;
-        }
+const { createStats } = Stats;
 
-        // now set expired time and last modified
-        const lastModified = Date.now();
-        const expires = lastModified + cacheTime;
+const { contentType, renderMetrics } = Prometheus;
 
-        // the configuration object that will be saved in the JSON conf file
-        const confObj = {
-          name,
-          data,
-          relatedData,
-          lastModified,
-          expires,
-          file: {
-            path: path.join(filesDirectory, dataFileName),
-            saved: false,
-            encoding: dataEncoding,
-          },
-        };
+const { hookedMethods, createHooks } = Hooks;
 
-        // serialize data to save in data file if needed
-        let serialData;
+const { createMiddleware } = Middleware;
 
-        if (!is.call(String.prototype, Object(data)) && !isBufferData) {
-          serialData = JSON.stringify(data);
-        } else {
-          serialData = data;
-        }
+// conf object fields encrypted in conf files when encryption is enabled
+const sensitiveFields = ['relatedData'];
 
-        // first save the file with all data so it could be got in a read stream easily
-        fs.writeFile(
-          path.join(filesDirectory, dataFileName),
-          serialData,
-          {
-            flag,
-            encoding: dataEncoding,
-          },
-          (error) => {
-            if (!error) {
-              confObj.file.saved = true;
-            }
+const {
+  isSerializer,
+  serializerError,
+  resolveSerializer,
+  findSerializer,
+  registerSerializer,
+} = Serializers;
 
-            // now save conf file even if there was an error, file.saved would be equal to false
-            fs.writeFile(
-              path.join(filesDirectory, `${name}${confExtension}`),
-              JSON.stringify(confObj, null, 2),
-              {
-                flag,
-              },
-              (err) => {
-                if (err) {
-                  reject(err);
-                } else {
-                  resolve(confObj);
-                }
-              });
-          });
-      } else {
-        reject(new Error('name of the object to cache must be a not null string with data to cache'));
-      }
-    });
-  },
+/**
+ * function decodeValue
+ * give back the value saved in a data file with the serializer saved in its conf object
+ * conf objects without serializer are read as Buffers if binary and as strings otherwise
+ *
+ * @param  {Buffer} buffer      the data file content
+ * @param  {Object} confObj     the configuration object of the data
+ * @param  {Object} serializers custom serializers by name
+ * @return {Object}             the value as it was set
+ */
+const decodeValue = function decodeValue(buffer, confObj, serializers) {
+  // 'type' was saved before serializers, with the same 'string', 'buffer' or 'json' values
+  const { serializer, type, file: { encoding } = {} } = confObj;
+  let name = serializer || type;
 
-  /**
-   * function setParallel (streaming)
-   * set data in cache in parallel, a conf file and a data file will be created
-   *
-   * @param  {Object}               an object with these properties:
-   *                                   - name
-   *                                   - data
-   *                                   - encoding= utf8
-   *                                   - file, default= name
-   *                                   - time, default= 1 * hour
-   *                                   - override= true
-   * @param  {Function} callback    an optional callback(err, confObj)
-   */
-  setParallel({ name, data, encoding, file, time, override, relatedData = {} } = {}, callback) {
-    // if callback exists and is a function, we will call back, else debug
-    const hasCallback = is.call(Function.prototype, callback);
+  if (name === undefined) {
+    name = encoding === 'binary' ? 'buffer' : 'string';
+  }
 
-    // handle multiple streams events to proper callback result
-    const streamEvent = new EventEmitter();
-    streamEvent.wstreamsEnded = [];
-    streamEvent.hasCallbackedError = false;
+  const { decode } = findSerializer(name, serializers);
 
-    const isOverriden = is.call(Boolean.prototype, Object(override)) ? override : true;
-    const flags = isOverriden ? 'w' : 'wx';
+  try {
+    return decode(buffer, encoding);
+  } catch (e) {
+    throw serializerError(`"${confObj.name}" cannot be decoded with the ${name} serializer`, e);
+  }
+};
 
-    // name must be a not null String and data must exist
-    if (is.call(String.prototype, Object(name)) && name.trim() !== '' && !!data) {
-      const isBufferData = Buffer.isBuffer(data);
-      const dataFileName = `${name}${confExtension}_${name}`;
-      let cacheTime = parseInt(time, 10);
-      let dataEncoding;
+/**
+ * function decodeData
+ * give back data as saved in a data file, decoded with the file encoding
+ *
+ * @param  {Buffer} buffer  the data file content
+ * @param  {Object} confObj the configuration object of the data
+ * @return {Object}         a Buffer if binary, a String otherwise
+ */
+const decodeData = function decodeData(buffer, { file: { encoding } = {} }) {
+  return encoding === 'binary' ? buffer : buffer.toString(encoding);
+};
 
-      if (Number.isNaN(cacheTime) || !(time >= second && time <= 365 * day)) {
-        cacheTime = hour;
-      }
+/**
+ * function isSameData
+ * test if 2 conf objects describe the same data file, by their integrity
+ *
+ * @param  {Object}  confObj a configuration object
+ * @param  {Object}  other   another configuration object
+ * @return {Boolean}         true if the data file has not been replaced
+ */
+const isSameData = function isSameData(confObj, other) {
+  const { integrity } = Object(confObj);
+  const { integrity: otherIntegrity } = Object(other);
 
-      if (encoding !== undefined
-        && is.call(String.prototype, Object(encoding))
-        && encodings.indexOf(encoding.toLowerCase()) !== -1) {
-        dataEncoding = encoding;
-      } else if (isBufferData) {
-        dataEncoding = 'binary';
-      } else {
-        [dataEncoding] = encodings;
-      }
+  return Object(integrity).hash === Object(otherIntegrity).hash;
+};
 
-      // now set expired time and last modified
-      const lastModified = Date.now();
-      const expires = lastModified + cacheTime;
+/**
+ * function isSameEntry
+ * test if 2 conf objects describe the same write of an entry
+ *
+ * @param  {Object}  confObj a configuration object
+ * @param  {Object}  other   another configuration object
+ * @return {Boolean}         true if the entry has not been written since
+ */
+const isSameEntry = function isSameEntry(confObj, other) {
+  return Object(confObj).lastModified === Object(other).lastModified && isSameData(confObj, other);
+};
 
-      /**
-       *  the configuration object that will be saved in the JSON conf file
-       *  saved is set to true because if an error occurs on file stream, the error is callbacked
-       */
-      const confObj = {
-        name,
-        data,
-        relatedData,
-        lastModified,
-        expires,
-        file: {
-          path: path.join(filesDirectory, dataFileName),
-          saved: true,
-          encoding: dataEncoding,
-        },
-      };
+/**
+ * function entryBytes
+ * the disk usage of an entry: its conf file and its data file as written
+ *
+ * @param  {Object} confObj  the configuration object of the data
+ * @param  {Number} confSize the conf file size in bytes
+ * @return {Number}          the entry size in bytes
+ */
+const entryBytes = function entryBytes(confObj, confSize) {
+  const { integrity, size } = confObj;
 
-      // it is safer to use fs.createWriteStream if multiple save could be done on request
-      const dataFileWstream = fs.createWriteStream(
-        path.join(filesDirectory, dataFileName),
-        {
-          flags,
-          encoding: dataEncoding,
-        });
+  return confSize + (integrity ? integrity.length : (size || 0));
+};
 
-      const cacheFileWstream = fs.createWriteStream(
-        path.join(filesDirectory, `${name}${confExtension}`),
-        {
-          flags,
-        });
+/**
+ * function toLimit
+ * check a maxBytes or maxEntries option
+ *
+ * @param  {Number} limit the option value
+ * @return {Number}       the limit or undefined if there is none
+ */
+const toLimit = function toLimit(limit) {
+  return is.call(Number.prototype, Object(limit)) && limit > 0 ? limit : undefined;
+};
 
-      const dataRstream = new Readable({ objectMode: true, read() {} });
-      const cacheRstream = new Readable({ objectMode: true, read() {} });
+/**
+ * function matchesVersion
+ * test if the entry saved is the one expected by a compare-and-set write,
+ * a missing entry is version 0 and entries saved by previous versions have no version
+ *
+ * @param  {Object}  confObj   the saved configuration object, undefined if there is no entry
+ * @param  {Object}  ifVersion the expected version (Number) or etag (String), undefined for any
+ * @return {Boolean}           true if the write can be done
+ */
+const matchesVersion = function matchesVersion(confObj, ifVersion) {
+  if (ifVersion === undefined) {
+    return true;
+  }
 
-      // manage streams error events
-      dataFileWstream.on('error', err => streamEvent.emit('error', err));
-      cacheFileWstream.on('error', err => streamEvent.emit('error', err));
-      dataRstream.on('error', err => streamEvent.emit('error', err));
-      cacheRstream.on('error', err => streamEvent.emit('error', err));
+  if (confObj === undefined) {
+    return ifVersion === 0;
+  }
 
-      // manage error events by streamEvent by callbacking the first error found
-      streamEvent.on('error', (err) => {
-        if (!streamEvent.hasCallbackedError) {
-          if (hasCallback) {
-            callback(err);
-          } else {
-            debug(err);
-          }
+  return (confObj.version !== undefined && ifVersion === confObj.version)
+    || (confObj.etag !== undefined && ifVersion === confObj.etag);
+};
 
-          streamEvent.hasCallbackedError = true;
-        }
-      });
+/**
+ * function conflictError
+ *
+ * @param  {String} name      the entry name
+ * @param  {Object} ifVersion the expected version or etag
+ * @param  {Object} confObj   the saved configuration object, undefined if there is no entry
+ * @return {Error}            Error instance with code ECONFLICT
+ */
+const conflictError = function conflictError(name, ifVersion, confObj) {
+  const version = confObj === undefined ? 0 : confObj.version;
+  const err = new Error(`"${name}" is version ${version}, not ${ifVersion}`);
+  err.code = 'ECONFLICT';
+  err.expected = ifVersion;
+  err.version = version;
 
-      // finish events will be fired when rstream has ended piping to wstream
-      dataFileWstream.on('finish', () => {
-        streamEvent.emit('finish', 'data');
-      });
+  return err;
+};
 
-      cacheFileWstream.on('finish', () => {
-        streamEvent.emit('finish', 'cache');
-      });
+/**
+ * function nextVersion
+ * the version and the etag of a new entry, the etag is made of the version
+ * and of the hash of serialized data as an HTTP ETag
+ *
+ * @param  {Object} confObj    the saved configuration object, undefined if there is no entry
+ * @param  {Object} serialData the serialized data, a String or a Buffer
+ * @param  {String} encoding   the encoding of string data
+ * @return {Object}            { version, etag }
+ */
+const nextVersion = function nextVersion(confObj, serialData, encoding) {
+  const { version: savedVersion } = Object(confObj);
+  const version = (Number.isInteger(savedVersion) ? savedVersion : 0) + 1;
 
-      streamEvent.on('finish', (wstream) => {
-        if (!!wstream && streamEvent.wstreamsEnded.indexOf(wstream) === -1) {
-          streamEvent.wstreamsEnded.push(wstream);
-        }
+  return { version, etag: `"${version}-${digest(serialData, encoding).hash.slice(0, 16)}"` };
+};
 
-        if (streamEvent.wstreamsEnded.indexOf('cache') !== -1 && streamEvent.wstreamsEnded.indexOf('data') !== -1) {
-          if (hasCallback) {
-            callback(undefined, confObj);
-          } else {
-            debug(`${name} has been set`);
-          }
-        }
-      });
+/**
+ * function hasExpired
+ * test if a conf object has no expires time or if it is over
+ *
+ * @param  {Object}  confObj the configuration object of the data
+ * @return {Boolean}         true if data must not be served anymore
+ */
+const hasExpired = function hasExpired({ expires } = {}) {
+  return !(expires !== undefined && (expires - Date.now()) >= 0);
+};
 
-      // push data on readable streams and pipe them to writables
-      dataRstream.setEncoding(dataEncoding);
-      dataRstream.push(data);
-      dataRstream.push(null);
+/**
+ * function clearFilter
+ * the test of the entries to clear, an unreadable conf object only matches without options
+ *
+ * @param  {Object}   options { expiredOnly, prefix, olderThan }, see clear
+ * @return {Function}         (confObj) -> Boolean, true if the entry must be cleared
+ */
+const clearFilter = function clearFilter({ expiredOnly = false, prefix, olderThan } = {}) {
+  const hasPrefix = is.call(String.prototype, Object(prefix));
+  const age = toLimit(olderThan);
 
-      cacheRstream.push(JSON.stringify(confObj, null, 2));
-      cacheRstream.push(null);
+  return (confObj) => {
+    if (confObj === undefined) {
+      return expiredOnly !== true && !hasPrefix && age === undefined;
+    }
 
-      dataRstream.pipe(dataFileWstream);
-      cacheRstream.pipe(cacheFileWstream);
-    } else {
-      const errMessage = 'name of the object to cache must be a not null string with data to cache';
+    return (expiredOnly !== true || (confObj.expires !== undefined && hasExpired(confObj)))
+      && (!hasPrefix || String(confObj.name).indexOf(prefix) === 0)
+      && (age === undefined || Date.now() - confObj.lastModified >= age);
+  };
+};
 
-      if (hasCallback) {
-        callback(new Error(errMessage));
-      } else {
-        debug(errMessage);
-      }
-    }
-  },
+/**
+ * function pipeStream
+ * pipe a stream into another one, errors of the source are emitted by the destination
+ *
+ * @param  {Readable} source      the source stream
+ * @param  {Writable} destination the destination stream
+ * @return {Readable}             the destination stream
+ */
+const pipeStream = function pipeStream(source, destination) {
+  source.on('error', err => destination.emit('error', err));
+
+  return source.pipe(destination);
+};
+
+/**
+ * function createCache
+ * create an independent cache instance bound to its own directory
+ *
+ * @param  {Object}      an object with these properties:
+ *                          - directory= the package internal 'files' directory
+ *                          - defaultTtl= 1 * hour, used when no valid time is given to set
+ *                          - serializer, default= strings and Buffers as is, others in JSON
+ *                          - serializers= {}, custom serializers { encode, decode } by name
+ *                          - compress= no compression, 'gzip', 'deflate' or 'brotli'
+ *                          - encryption= no encryption, { keys, keyId } to encrypt entries
+ *                          - deleteCorrupt= false, true to delete entries failing their checks
+ *                          - lock= { wait, timeout, retryInterval, stale }, see Lock.defaults,
+ *                            wait: false to fail at once with ELOCKED when an entry is locked
+ *                          - maxBytes= no limit, the disk usage of all entries
+ *                          - maxEntries= no limit, the number of entries
+ *                          - eviction= 'lru', 'lfu', 'ttl', 'size' or { name, score }
+ *                          - sweeper= false, true or { interval, batchSize } to start the sweeper
+ *                          - memory= false, true or { maxEntries, maxBytes, maxItemBytes } to
+ *                            keep entries read in memory, see Memory.defaults
+ *                          - store= 'fs', 'memory' or a store adapter, see Store
+ * @return {Object}      a cache instance with the whole cache API or throws an EKEY error,
+ *                       an EPOLICY error or an ESTORE error
+ */
+const createCache = function createCache({
+  directory,
+  defaultTtl,
+  serializer: defaultSerializer,
+  serializers = {},
+  compress: defaultCompress,
+  encryption,
+  deleteCorrupt = false,
+  lock,
+  maxBytes,
+  maxEntries,
+  eviction,
+  sweeper = false,
+  memory = false,
+  store,
+} = {}) {
+  const customSerializers = Object.assign({}, serializers);
+  const keyring = encryption ? createKeyring(encryption) : null;
+  const lockSettings = lockOptions(lock);
+  const limits = { maxBytes: toLimit(maxBytes), maxEntries: toLimit(maxEntries) };
+  const hasLimits = limits.maxBytes !== undefined || limits.maxEntries !== undefined;
+  const policy = findPolicy(eviction);
+  const memoryTier = createMemory(memory);
+  const statistics = createStats();
+  const hooks = createHooks();
+  // the instance is an EventEmitter, events can be emitted before the API is assigned to it
+  const emitter = new EventEmitter();
+  let sweepTimer;
+  let isSweeping = false;
+  let filesDirectory;
+  let defaultCacheTime = parseInt(defaultTtl, 10);
+
+  if (is.call(String.prototype, Object(directory)) && directory.trim() !== '') {
+    filesDirectory = path.resolve(directory);
+  } else {
+    filesDirectory = defaultDirectory;
+  }
+
+  if (Number.isNaN(defaultCacheTime) || !(defaultTtl >= second && defaultTtl <= 365 * day)) {
+    defaultCacheTime = hour;
+  }
+
+  const storeAdapter = createStore(store, filesDirectory);
+
+  // the disk usage of an entry from its conf object, as scanned
+  const confBytes = confObj => entryBytes(confObj, Buffer
+  .byteLength(JSON.stringify(confObj, null, 2)));
 
   /**
-   * function hasSync (synchronous)
-   * test if data are in cache or not, taking into account expires time
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Boolean}     true if 'name' is in cache, false if not
+   * the entries and bytes of the store, counted by a scan then kept up to date by the writes
+   * and removals of the instance, so that writes do not scan the store, sizes by key are
+   * undefined until the first scan and the entries changed during a scan are counted again
+   * once it is done, entries written by other processes are counted by the next scan
    */
-  hasSync(name) {
-    let has;
-
-    const { expires, data, file } = getJSONSync(path.join(filesDirectory, `${name}${confExtension}`));
-    const now = Date.now();
-
-    if (expires !== undefined
-      && (expires - now) >= 0
-      && data !== undefined
-      && file !== undefined
-      && file.saved) {
-      has = true;
+  const usage = {
+    sizes: undefined,
+    bytes: 0,
+    changes: undefined,
+  };
+
+  // count an entry written with a conf object or removed (undefined)
+  const countEntry = (key, confObj) => {
+    if (usage.changes !== undefined) {
+      usage.changes.set(key, confObj);
+    }
+
+    if (usage.sizes === undefined) {
+      return;
+    }
+
+    const bytes = confObj !== undefined ? confBytes(confObj) : 0;
+
+    usage.bytes += bytes - (usage.sizes.get(key) || 0);
+
+    if (confObj !== undefined) {
+      usage.sizes.set(key, bytes);
     } else {
-      has = false;
+      usage.sizes.delete(key);
     }
+  };
 
-    return has;
-  },
+  // the store, with the entries its methods write or remove counted once they succeed
+  const entryStore = Object.create(storeAdapter);
 
-  /**
-   * function reset (asynchronous)
-   * reset expire time by setting the new one running from now with
-   * the original cache time set
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Promise}     Confirmation message (String) or Error instance
-   */
-  reset(name) {
-    return new Promise((resolve, reject) => {
-      getJSON(path.join(filesDirectory, `${name}${confExtension}`))
-      .then((confObj) => {
-        if (!!confObj && !!confObj.expires && confObj.lastModified) {
-          // prevent from object mutation if confObj need to be somewhere reused
-          const newConfObj = Object.assign({}, confObj);
+  ['write', 'writeMeta', 'writeMetaSync', 'remove', 'removeSync']
+  .filter(method => is.call(Function.prototype, storeAdapter[method]))
+  .forEach((method) => {
+    const count = (key, confObj) => countEntry(key, method.indexOf('remove') === 0
+      ? undefined : confObj);
 
-          // get the original cache time
-          const cacheTime = confObj.expires - confObj.lastModified;
-          const now = Date.now();
+    entryStore[method] = (key, ...args) => {
+      const result = storeAdapter[method].apply(entryStore, [key, ...args]);
 
-          newConfObj.expires = now + cacheTime;
-          newConfObj.lastModified = now;
+      if (method.slice(-4) === 'Sync') {
+        count(key, args[0]);
 
-          fs.writeFile(path.join(filesDirectory, `${name}${confExtension}`), JSON.stringify(newConfObj, null, 2), (err) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(`${name} has been reseted from cache`);
-            }
-          });
-        } else {
-          reject(new Error(`no data, expired time or lastModified properties found in "${name}" object in cache`));
-        }
-      })
-      .catch(err => reject(err));
-    });
-  },
+        return result;
+      }
 
-  /**
-   * function reset (synchronous)
-   * reset expire time by setting the new one running from now with
-   * the original cache time set
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Boolean}     true if reseted, false if not
-   */
-  resetSync(name) {
-    const confObj = getJSONSync(path.join(filesDirectory, `${name}${confExtension}`), undefined);
-    let reseted;
+      return result.then((value) => {
+        count(key, args[0]);
 
-    if (!!confObj && !!confObj.expires && !!confObj.lastModified) {
-      // prevent from object mutation if confObj need to be somewhere reused
-      const newConfObj = Object.assign({}, confObj);
+        return value;
+      });
+    };
+  });
 
-      // get the original cache time
-      const cacheTime = confObj.expires - confObj.lastModified;
-      const now = Date.now();
+  // stores without locks are not shared with other processes, locks are held in this one
+  const locks = is.call(Function.prototype, entryStore.lock) ? entryStore : createLocks();
 
-      newConfObj.expires = now + cacheTime;
-      newConfObj.lastModified = now;
+  // where the payload of an entry is saved, saved in file.path and used in messages
+  const locate = key => (is.call(Function.prototype, entryStore.location)
+    ? entryStore.location(key)
+    : key);
 
-      try {
-        fs.writeFileSync(path.join(filesDirectory, `${name}${confExtension}`), JSON.stringify(newConfObj, null, 2));
-        reseted = true;
-      } catch (e) {
-        reseted = false;
+  // a synchronous method of the store, an ESTORE error is thrown if the store has none
+  const storeSync = (method) => {
+    if (!is.call(Function.prototype, entryStore[method])) {
+      throw storeError(`the ${entryStore.name || 'custom'} store has no ${method} method`);
+    }
+
+    return (...args) => entryStore[method](...args);
+  };
+
+  // a conf object which is missing or cannot be parsed, other errors (EMFILE...) are thrown
+  const isMissing = err => err.code === 'ENOENT' || is.call(SyntaxError.prototype, err);
+
+  // the conf object saved, undefined if there is none or if it is not valid JSON
+  const readSavedConf = key => entryStore.readMeta(key)
+  .catch((err) => {
+    if (!isMissing(err)) {
+      throw err;
+    }
+
+    return undefined;
+  });
+
+  const readSavedConfSync = (key) => {
+    try {
+      return storeSync('readMetaSync')(key);
+    } catch (e) {
+      if (!isMissing(e)) {
+        throw e;
       }
-    } else {
-      reseted = false;
+
+      return undefined;
     }
+  };
 
-    return reseted;
-  },
+  // milliseconds elapsed since a time given by Utils.time.hrnow()
+  const elapsed = started => Utils.time.hrnow() - started;
 
-  /**
-   * function delete (asynchronous)
-   * definitely delete data in cache (data file and conf file)
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Promise}     Confirmation message (String) or Error instance
-   */
-  delete(name) {
-    return new Promise((resolve, reject) => {
-      const confFile = path.join(filesDirectory, `${name}${confExtension}`);
-
-      getJSON(confFile)
-      .then(({ file: { path: pathToFile } }) => {
-        fs.unlink(pathToFile, (error) => {
-          if (error) {
-            reject(error);
-          } else {
-            fs.unlink(confFile, (err) => {
-              if (err) {
-                reject(err);
-              } else {
-                resolve(`${confFile} and ${pathToFile} has been definitely deleted`);
-              }
-            });
-          }
-        });
-      })
-      .catch(err => reject(err));
-    });
-  },
+  // count a lifecycle event then emit it
+  const emit = (event, details) => {
+    statistics.record(event, details);
+    emitter.emit(event, details);
+  };
+
+  // emit a lifecycle event of an entry with its name, key and the duration of the operation
+  const notify = (event, name, started, details) => emit(event, Object.assign(
+    { name, key: toFileName(name) },
+    details,
+    { duration: elapsed(started) }));
+
+  // 'error' events are only emitted when listened to, the EventEmitter would throw otherwise
+  const notifyError = (operation, name, started, err) => {
+    const details = {
+      operation,
+      name,
+      key: toFileName(name),
+      duration: elapsed(started),
+    };
+
+    statistics.record('error', details);
+
+    if (emitter.listenerCount('error') > 0) {
+      emitter.emit('error', err, details);
+    }
+  };
+
+  // a miss for a missing entry, an error otherwise, stale entries are notified where found
+  const notifyFailedRead = (operation, name, started, err) => {
+    if (err.code === 'ENOENT') {
+      notify('miss', name, started, { operation });
+    } else if (err.code !== 'EXPIRED') {
+      notifyError(operation, name, started, err);
+    }
+  };
+
+  // the size of the data and the bytes of the payload of an entry, given by hit and set events
+  const sizeOf = ({ size, integrity }) => ({ size, bytes: integrity ? integrity.length : size });
+
+  // the item of an entry held by the memory tier, undefined if there is none
+  const recall = name => (memoryTier.enabled ? memoryTier.get(toFileName(name)) : undefined);
+
+  // keep an entry read since mark in memory, its payload is only kept if it is small
+  const remember = (name, confObj, payload, since) => memoryTier.enabled
+    && memoryTier.set(toFileName(name), confObj, payload, since);
+
+  // drop the item of an entry once it has been written or removed
+  const forget = key => memoryTier.delete(key);
+
+  // the conf object and a copy of the payload of an entry held in memory, undefined if none
+  const recallPayload = (name) => {
+    const item = recall(name);
+
+    return item !== undefined && item.payload !== undefined
+      ? { confObj: item.confObj, payload: Buffer.from(item.payload) }
+      : undefined;
+  };
 
   /**
-   * function deleteSync (synchronous)
-   * definitely delete data in cache (data file and conf file)
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Boolean}     true if deleted, false if not
+   * run a write while holding the lock of an entry, the lock is released
+   * whatever the result, an ELOCKED error rejects if it cannot be acquired
    */
-  deleteSync(name) {
-    let deleted;
+  const withLock = (key, write, settings = lockSettings) => locks.lock(key, settings)
+  .then(entryLock => Promise.resolve()
+    .then(write)
+    .then((result) => {
+      entryLock.release();
+
+      return result;
+    }, (err) => {
+      entryLock.release();
+
+      throw err;
+    }));
+
+  // the synchronous version never waits, it throws an ELOCKED error if the entry is locked
+  const withLockSync = (key, write, settings = lockSettings) => {
+    const entryLock = locks.lockSync(key, settings);
 
     try {
-      const confFile = path.join(filesDirectory, `${name}${confExtension}`);
-      const { file: { path: pathToFile } } = getJSONSync(confFile);
-      fs.unlinkSync(pathToFile);
-      fs.unlinkSync(confFile);
-      deleted = true;
-    } catch (e) {
-      deleted = false;
+      return write();
+    } finally {
+      entryLock.release();
     }
+  };
 
-    return deleted;
-  },
+  // bookkeeping writes never wait for a lock, a locked entry is being written anyway
+  const noWaitSettings = Object.assign({}, lockSettings, { wait: false });
 
   /**
-   * function clear (asynchronous)
-   * definitely clear all data in cache (data files and conf files)
-   *
-   * @return {Promise}     Confirmation message (String) or Error instance
+   * give its version to a new entry once its lock is held and its saved conf object read,
+   * the saved version must match ifVersion if given or an ECONFLICT error is thrown
    */
-  clear() {
-    return new Promise((resolve, reject) => {
-      fs.readdir(filesDirectory, (error, files) => {
-        if (error) {
-          reject(error);
-        } else {
-          const nbFiles = files.length;
+  const versionConf = (savedConf, confObj, ifVersion, serialData) => {
+    if (!matchesVersion(savedConf, ifVersion)) {
+      throw conflictError(confObj.name, ifVersion, savedConf);
+    }
 
-          if (nbFiles <= 0) {
-            resolve('cache is already cleared');
-          } else {
-            for (let i = 0; i < nbFiles; i += 1) {
-              ((index) => {
-                fs.unlink(path.join(filesDirectory, files[index]), (err) => {
-                  if (err) {
-                    reject(err);
-                  } else if (index === nbFiles - 1) {
-                    resolve(`${nbFiles} files have been removed from cache`);
-                  }
-                });
-              })(i);
-            }
-          }
-        }
-      });
+    return Object.assign(confObj, nextVersion(savedConf, serialData, confObj.encoding), {
+      // an entry set again without pin keeps being pinned
+      pinned: confObj.pinned === undefined ? Object(savedConf).pinned === true : confObj.pinned,
     });
-  },
+  };
+
+  if (isSerializer(defaultSerializer)) {
+    registerSerializer(defaultSerializer, customSerializers);
+  }
 
   /**
-   * function clearSync (synchronous)
-   * definitely clear all data in cache (data files and conf files)
-   *
-   * @param  {String} name the name given to the data to store in cache
-   * @return {Boolean}     true if all has been cleared, false if not
+   * encode data with the entry serializer or the instance one, the serializer name is
+   * saved in the conf object and inline serializers are kept to decode data later,
+   * unless their name is given to another serializer (see Serializers.registerSerializer)
    */
-  clearSync() {
-    let cleared;
+  const serialize = (data, serializer) => {
+    const entrySerializer = resolveSerializer(
+      serializer === undefined ? defaultSerializer : serializer,
+      data,
+      customSerializers);
+    let serialData;
+
+    if (isSerializer(serializer)) {
+      registerSerializer(serializer, customSerializers);
+    }
 
     try {
-      const files = fs.readdirSync(filesDirectory);
-      files.forEach(file => fs.unlinkSync(path.join(filesDirectory, file)));
-      cleared = true;
+      serialData = entrySerializer.encode(data);
     } catch (e) {
-      cleared = false;
+      throw serializerError(`data cannot be encoded with the ${entrySerializer.name} serializer`, e);
     }
 
-    return cleared;
-  },
-};
+    if (!is.call(String.prototype, Object(serialData)) && !Buffer.isBuffer(serialData)) {
+      throw serializerError(`the ${entrySerializer.name} serializer must encode to a string or a Buffer`);
+    }
+
+    return { serializerName: entrySerializer.name, serialData };
+  };
+
+  /**
+   * the conf object saved in the conf file, sensitive fields of an encrypted entry
+   * are moved to encryption.fields and encrypted with the entry key
+   */
+  const sealConf = (confObj) => {
+    const { name, encryption: entryEncryption } = confObj;
+
+    if (!entryEncryption) {
+      return confObj;
+    }
+
+    const sealed = Object.assign({}, confObj);
+    const fields = {};
+
+    sensitiveFields
+    .filter(field => confObj[field] !== undefined)
+    .forEach((field) => {
+      const aad = `${field}:${name}`;
+
+      fields[field] = encryptField(keyring, confObj[field], aad, entryEncryption.keyId);
+      delete sealed[field];
+    });
+
+    sealed.encryption = Object.assign({}, entryEncryption, { fields });
+
+    return sealed;
+  };
+
+  // the conf object with its sensitive fields decrypted, throws an EKEY or EDECRYPT error
+  const openConf = (confObj) => {
+    const { name, encryption: entryEncryption } = Object(confObj);
+
+    if (!entryEncryption || !entryEncryption.fields) {
+      return confObj;
+    }
+
+    const { fields, keyId } = entryEncryption;
+    const opened = Object.assign({}, confObj, {
+      encryption: { algorithm: entryEncryption.algorithm, keyId },
+    });
+
+    Object.keys(fields).forEach((field) => {
+      opened[field] = decryptField(keyring, keyId, fields[field], `${field}:${name}`);
+    });
+
+    return opened;
+  };
+
+  // compress then encrypt serialized data, resolves with the data file content
+  const encodePayload = (serialData, dataEncoding, { name, compression, encryption: entry }) => (
+    compression
+      ? Compression.compress(compression, serialData, dataEncoding)
+      : Promise.resolve(serialData))
+  .then((payload) => {
+    if (!entry) {
+      return payload;
+    }
+
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, dataEncoding);
+
+    return encrypt(keyring, buffer, `data:${name}`, entry.keyId);
+  });
+
+  // the conf object of an entry, conf files of previous versions are converted by the store
+  const readConf = name => entryStore.readMeta(toFileName(name));
+
+  // {} if there is no entry unless another default is given
+  const readConfSync = (name, ...args) => {
+    try {
+      return storeSync('readMetaSync')(toFileName(name));
+    } catch (e) {
+      if (args.length < 1) {
+        return {};
+      }
+
+      return args[0];
+    }
+  };
+
+  /**
+   * the store is opened once, the 'fs' store creates and checks the directory and removes
+   * temporary files left by crashed processes, async methods wait for it
+   */
+  let isReady = false;
+  const readyPromise = Promise.resolve()
+  .then(() => entryStore.open())
+  .then(() => {
+    isReady = true;
+  });
+
+  // a failure is reported by ready() and each async method, not as an unhandled rejection
+  readyPromise.catch(err => debug(err));
+
+  // a payload saved which does not match the integrity of the conf object saved
+  const isCorrupt = (key, savedConf) => entryStore.readData(key, savedConf)
+  .then((buffer) => {
+    verify(savedConf.integrity, buffer);
+
+    return false;
+  })
+  .catch(err => err.code === 'ECORRUPT');
+
+  const isCorruptSync = (key, savedConf) => {
+    try {
+      verify(savedConf.integrity, storeSync('readDataSync')(key, savedConf));
+    } catch (e) {
+      return e.code === 'ECORRUPT';
+    }
+
+    return false;
+  };
+
+  /**
+   * corrupt entries are deleted at once when deleteCorrupt is set, synchronously so that
+   * the entry is gone when the ECORRUPT error is received
+   * the entry is deleted under its lock, skipped if it is locked, once its payload has been
+   * checked again against the conf object saved: it is kept if it has been replaced since
+   * its conf object was read or if it is not corrupt anymore
+   */
+  const handleCorrupt = (name, err, confObj) => {
+    if (deleteCorrupt && !!err && err.code === 'ECORRUPT') {
+      const key = toFileName(name);
+      const isSync = is.call(Function.prototype, entryStore.readMetaSync)
+        && is.call(Function.prototype, entryStore.readDataSync)
+        && is.call(Function.prototype, entryStore.removeSync);
+      const removed = () => {
+        forget(key);
+        debug(`${name} is corrupt and has been deleted`);
+      };
+
+      // stores without sync methods remove the entry asynchronously
+      if (!isSync) {
+        withLock(key, () => readSavedConf(key)
+        .then(savedConf => isSameData(savedConf, confObj) && isCorrupt(key, savedConf))
+        .then(corrupt => corrupt && entryStore.remove(key).then(removed)), noWaitSettings)
+        .catch(e => debug(e));
+      } else {
+        try {
+          withLockSync(key, () => {
+            const savedConf = readSavedConfSync(key);
+
+            if (isSameData(savedConf, confObj) && isCorruptSync(key, savedConf)) {
+              entryStore.removeSync(key);
+              removed();
+            }
+          }, noWaitSettings);
+        } catch (e) {
+          debug(e);
+        }
+      }
+    }
+  };
+
+  // the data file content checked, decrypted and authenticated if needed but still compressed
+  const readFilePayload = (name, confObj) => entryStore.readData(toFileName(name), confObj)
+  .then((buffer) => {
+    const { name: entryName, encryption: entry, integrity } = confObj;
+
+    if (integrity) {
+      verify(integrity, buffer);
+    }
+
+    return entry ? decrypt(keyring, entry.keyId, buffer, `data:${entryName}`) : buffer;
+  })
+  .catch((err) => {
+    handleCorrupt(name, err, confObj);
+
+    throw err;
+  });
+
+  // the data file content, checked, decrypted and decompressed if needed
+  const readPayload = (name, confObj) => readFilePayload(name, confObj)
+  .then((buffer) => {
+    const { compression } = confObj;
+
+    return compression ? Compression.decompress(compression, buffer) : buffer;
+  });
+
+  const readPayloadSync = (name, confObj) => {
+    const {
+      name: entryName,
+      compression,
+      encryption: entry,
+      integrity,
+    } = confObj;
+    let buffer = storeSync('readDataSync')(toFileName(name), confObj);
+
+    try {
+      if (integrity) {
+        verify(integrity, buffer);
+      }
+    } catch (e) {
+      handleCorrupt(name, e, confObj);
+
+      throw e;
+    }
+
+    if (entry) {
+      buffer = decrypt(keyring, entry.keyId, buffer, `data:${entryName}`);
+    }
+
+    return compression ? Compression.decompressSync(compression, buffer) : buffer;
+  };
+
+  // a stream of a payload read at once, decoded with the encoding if given
+  const bufferStream = (buffer, encoding) => {
+    const rstream = new Readable({ read() {} });
+
+    if (encoding !== undefined) {
+      rstream.setEncoding(encoding);
+    }
+
+    rstream.push(buffer);
+    rstream.push(null);
+
+    return rstream;
+  };
+
+  // truncated payloads are found before streaming them if the store gives their size
+  const checkLength = (key, confObj) => {
+    const { integrity } = confObj;
+
+    if (!integrity || !is.call(Function.prototype, entryStore.size)) {
+      return Promise.resolve();
+    }
+
+    return entryStore.size(key, confObj)
+    .then((size) => {
+      if (size !== integrity.length) {
+        throw corruptError(`data file length is ${size} instead of ${integrity.length}`);
+      }
+    });
+  };
+
+  /**
+   * the data file stream decoded with the file encoding, compressed data are decompressed
+   * unless the raw compressed stream is asked (a stream of Buffers), decoded data are streamed
+   * as Buffers as well when decode is false
+   * encrypted data are read, checked and authenticated before being streamed, other ones
+   * are checked while streamed: the length first then the hash, the stream emits an
+   * ECORRUPT error at the end if it does not match
+   */
+  const getDataStream = (name, confObj, decompress, decode = true) => {
+    const {
+      compression,
+      encryption: entry,
+      integrity,
+      file: { encoding } = {},
+    } = confObj;
+    const key = toFileName(name);
+    const isDecoded = (!compression || decompress) && decode;
+
+    if (entry) {
+      return readFilePayload(name, confObj)
+      .then(buffer => (compression && decompress
+        ? Compression.decompress(compression, buffer)
+        : buffer))
+      .then(buffer => bufferStream(buffer, isDecoded ? encoding || 'utf8' : undefined));
+    }
+
+    if (!compression && !integrity) {
+      return entryStore.createReadStream(key, confObj)
+      .then(rstream => (decode ? rstream.setEncoding(encoding || 'utf8') : rstream));
+    }
+
+    return checkLength(key, confObj)
+    .then(() => entryStore.createReadStream(key, confObj))
+    .then((fileStream) => {
+      let rstream = fileStream;
+
+      if (integrity) {
+        const onCorrupt = err => handleCorrupt(name, err, confObj);
+
+        rstream = pipeStream(rstream, createVerify(integrity, onCorrupt));
+      }
+
+      if (compression && decompress) {
+        rstream = pipeStream(rstream, Compression.createDecompress(compression));
+      }
+
+      if (isDecoded) {
+        rstream.setEncoding(encoding || 'utf8');
+      }
+
+      return rstream;
+    })
+    .catch((err) => {
+      handleCorrupt(name, err, confObj);
+
+      throw err;
+    });
+  };
+
+  /**
+   * a reader may read a conf file just before an entry is replaced and its data file just after,
+   * the data file is then read once more with the new conf object before reporting ECORRUPT
+   */
+  const retryIfReplaced = (name, confObj, read) => read(confObj)
+  .catch((err) => {
+    if (!err || err.code !== 'ECORRUPT') {
+      throw err;
+    }
+
+    return readConf(name)
+    .then(openConf)
+    .then((current) => {
+      if (isSameData(current, confObj)) {
+        throw err;
+      }
+
+      return read(current);
+    }, () => {
+      throw err;
+    });
+  });
+
+  const retryIfReplacedSync = (name, confObj, read) => {
+    try {
+      return read(confObj);
+    } catch (e) {
+      const current = e.code === 'ECORRUPT' ? readConfSync(name, undefined) : undefined;
+
+      if (current === undefined || isSameData(current, confObj)) {
+        throw e;
+      }
+
+      return read(openConf(current));
+    }
+  };
+
+  // the reads of entries not saved yet, { confObj, hits, lastAccess } by key
+  const accesses = new Map();
+  let accessTimer;
+
+  // the reads of an entry not saved yet, undefined if none or if it has been written since
+  const pendingAccess = (key, confObj) => {
+    const access = accesses.get(key);
+
+    return access !== undefined && isSameEntry(access.confObj, confObj) ? access : undefined;
+  };
+
+  // a conf object counting the reads of its entry not saved yet
+  const withAccesses = (key, confObj) => {
+    const access = pendingAccess(key, confObj);
+
+    return access === undefined ? confObj : Object.assign({}, confObj, {
+      lastAccess: access.lastAccess,
+      hits: (confObj.hits || 0) + access.hits,
+    });
+  };
+
+  /**
+   * save the reads of an entry in its conf file, dropped if the entry is locked or has been
+   * written since it was read, reads made while saving are kept for the next save
+   */
+  const saveAccess = (key) => {
+    const access = accesses.get(key);
+    let saved;
+
+    return withLock(key, () => entryStore.readMeta(key)
+    .then((savedConf) => {
+      const pending = pendingAccess(key, savedConf);
+
+      if (pending === undefined) {
+        return undefined;
+      }
+
+      return entryStore.writeMeta(key, withAccesses(key, savedConf))
+      .then(() => {
+        saved = pending;
+      });
+    }), noWaitSettings)
+    .catch(err => debug(err))
+    .then(() => {
+      const current = accesses.get(key);
+
+      if (current === (saved === undefined ? access : saved)) {
+        accesses.delete(key);
+      } else if (saved !== undefined && current !== undefined
+        && pendingAccess(key, saved.confObj) === current) {
+        accesses.set(key, Object.assign({}, current, { hits: current.hits - saved.hits }));
+      }
+    });
+  };
+
+  const saveAccesses = () => {
+    accessTimer = undefined;
+
+    return inBatches(Array.from(accesses.keys()), 100, batch => Promise.all(batch.map(saveAccess)));
+  };
+
+  /**
+   * count a read of an entry when the instance has limits, reads are kept in memory and saved
+   * in conf files in the background at most once a second so that a read never waits for a write
+   */
+  const touch = (name, confObj) => {
+    if (!hasLimits) {
+      return;
+    }
+
+    const key = toFileName(name);
+    const access = pendingAccess(key, confObj);
+
+    accesses.set(key, {
+      confObj,
+      hits: (access === undefined ? 0 : access.hits) + 1,
+      lastAccess: Date.now(),
+    });
+
+    if (accessTimer === undefined) {
+      accessTimer = setTimeout(() => saveAccesses().catch(err => debug(err)), second);
+      accessTimer.unref();
+    }
+  };
+
+  /**
+   * an entry of the store as given to eviction policies, with its key and conf object,
+   * undefined if its conf object cannot be read, its bytes are counted as in the 'fs' store
+   */
+  const scanEntry = key => readSavedConf(key)
+  .then((savedConf) => {
+    if (savedConf === undefined) {
+      return undefined;
+    }
+
+    const confObj = withAccesses(key, savedConf);
+
+    return {
+      key,
+      confObj,
+      name: confObj.name,
+      bytes: confBytes(savedConf),
+      hits: confObj.hits || 0,
+      lastAccess: confObj.lastAccess || confObj.lastModified || 0,
+      lastModified: confObj.lastModified,
+      expires: confObj.expires,
+      pinned: confObj.pinned === true,
+    };
+  });
+
+  // count the usage of the store again from the entries scanned then changed during the scan
+  const recount = (entries) => {
+    const { changes } = usage;
+
+    usage.sizes = new Map(entries.map(({ key, bytes }) => [key, bytes]));
+    usage.bytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+    usage.changes = undefined;
+    changes.forEach((confObj, key) => countEntry(key, confObj));
+  };
+
+  let scanning;
+
+  /**
+   * every entry of the store, read 100 at a time, conf objects which are missing or
+   * not valid JSON are left out, the scans asked while one runs get its entries
+   *
+   * @return {Promise} the entries or Error instance if a conf object cannot be read
+   */
+  const scanEntries = () => {
+    if (scanning === undefined) {
+      usage.changes = new Map();
+      scanning = entryStore.list()
+      .then(keys => inBatches(keys, 100, batch => Promise.all(batch.map(scanEntry))))
+      .then(batches => batches.reduce((entries, batch) => entries
+      .concat(batch.filter(entry => entry !== undefined)), []))
+      .then((entries) => {
+        scanning = undefined;
+        recount(entries);
+
+        return entries;
+      }, (err) => {
+        scanning = undefined;
+        usage.changes = undefined;
+        throw err;
+      });
+    }
+
+    return scanning;
+  };
+
+  // remove an evicted entry unless it has been written, read or pinned since it was scanned
+  const evictEntry = ({
+    key,
+    confObj,
+    bytes,
+    hits,
+    lastAccess,
+  }) => withLock(key, () => readSavedConf(key)
+  .then((savedConf) => {
+    if (!isSameEntry(savedConf, confObj)
+      || withAccesses(key, savedConf).lastAccess !== confObj.lastAccess
+      || savedConf.pinned === true) {
+      return false;
+    }
+
+    return entryStore.remove(key).then(() => {
+      forget(key);
+
+      return true;
+    });
+  }), noWaitSettings)
+  .then((evicted) => {
+    if (evicted) {
+      emit('evict', {
+        name: confObj.name,
+        key,
+        bytes,
+        hits,
+        lastAccess,
+      });
+    }
+
+    return evicted ? confObj.name : undefined;
+  }, (err) => {
+    debug(err);
+
+    return undefined;
+  });
+
+  /**
+   * evict entries in the order of the instance policy until the instance is within its limits,
+   * the entry just written and pinned entries are kept
+   *
+   * @return {Promise} the names of the evicted entries
+   */
+  const evictEntries = (keptName) => {
+    if (!hasLimits) {
+      return Promise.resolve([]);
+    }
+
+    const isOverLimits = (bytes, count) => (limits.maxBytes !== undefined
+      && bytes > limits.maxBytes) || (limits.maxEntries !== undefined && count > limits.maxEntries);
+
+    // the store is scanned once before the usage is counted, then only when over the limits
+    return (usage.sizes === undefined ? scanEntries() : Promise.resolve())
+    .then(() => (isOverLimits(usage.bytes, usage.sizes.size) ? scanEntries() : []))
+    .then((entries) => {
+      let bytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+      let count = entries.length;
+
+      const evicted = evictionOrder(policy, entries.filter(({ name }) => name !== keptName))
+      .filter((entry) => {
+        if (!isOverLimits(bytes, count)) {
+          return false;
+        }
+
+        bytes -= entry.bytes;
+        count -= 1;
+
+        return true;
+      });
+
+      return Promise.all(evicted.map(evictEntry));
+    })
+    .then(names => names.filter(name => name !== undefined))
+    .catch((err) => {
+      debug(err);
+
+      return [];
+    });
+  };
+
+  /**
+   * remove an expired entry unless it has been written or reset since it was scanned
+   *
+   * @return {Promise} 'removed', 'skipped' if locked or changed, 'failed' on errors
+   */
+  const expireEntry = ({ key, confObj }) => withLock(key, () => readSavedConf(key)
+  .then((savedConf) => {
+    if (!isSameEntry(savedConf, confObj) || !hasExpired(savedConf)) {
+      return 'skipped';
+    }
+
+    return entryStore.remove(key)
+    .then(() => {
+      forget(key);
+
+      return 'removed';
+    });
+  }), noWaitSettings)
+  .catch((err) => {
+    debug(err);
+
+    return err.code === 'ELOCKED' ? 'skipped' : 'failed';
+  })
+  .then((result) => {
+    // emitted once the lock is released so that listeners can write the entry
+    if (result === 'removed') {
+      emit('expire', { name: confObj.name, key, expires: confObj.expires });
+    }
+
+    return result;
+  });
+
+  /**
+   * remove expired entries batch by batch, conf objects of a batch are read in parallel
+   * and the event loop is given back between batches
+   *
+   * @return {Promise} { scanned, removed, skipped, failed } names
+   */
+  const pruneExpired = (batchSize) => {
+    const report = {
+      scanned: 0,
+      removed: [],
+      skipped: [],
+      failed: [],
+    };
+
+    // the entries whose conf object cannot be read are reported as failed by key
+    const scanExpired = key => scanEntry(key)
+    .catch((err) => {
+      debug(err);
+      report.failed.push(key);
+
+      return undefined;
+    });
+
+    return entryStore.list()
+    .then(keys => inBatches(keys, batchSize, batch => Promise.all(batch.map(scanExpired))
+    .then((entries) => {
+      const expired = entries.filter(entry => entry !== undefined
+        && entry.expires !== undefined && hasExpired(entry));
+
+      report.scanned += batch.length;
+
+      return Promise.all(expired.map(entry => expireEntry(entry)
+        .then(result => report[result].push(entry.name))));
+    })))
+    .then(() => report);
+  };
+
+  /**
+   * remove an entry if it still matches once its lock is held, a conf object
+   * which cannot be read is given as undefined to matches
+   *
+   * @return {Promise} 'removed', 'skipped' if it does not match anymore, 'failed' on errors
+   */
+  const clearEntry = (key, matches) => withLock(key, () => entryStore.readMeta(key)
+  .then(confObj => matches(confObj), err => err.code !== 'ENOENT' && matches(undefined))
+  .then((isMatching) => {
+    if (!isMatching) {
+      return 'skipped';
+    }
+
+    return entryStore.remove(key)
+    .then(() => {
+      forget(key);
+
+      return 'removed';
+    });
+  }))
+  .catch((err) => {
+    debug(err);
+
+    return 'failed';
+  });
+
+  /**
+   * clear the entries matching the options batch by batch, files which do not belong
+   * to an entry are left, at most batchSize entries are removed at once
+   * entries whose conf object cannot be read are reported by key
+   *
+   * @return {Promise} { scanned, removed, skipped, failed } names
+   */
+  const clearEntries = (options, batchSize) => {
+    const matches = clearFilter(options);
+    const report = {
+      scanned: 0,
+      removed: [],
+      skipped: [],
+      failed: [],
+    };
+
+    return entryStore.list()
+    .then(keys => inBatches(keys, batchSize, batch => Promise.all(batch
+    .map(key => scanEntry(key)
+    .catch((err) => {
+      debug(err);
+
+      return undefined;
+    })
+    .then((entry) => {
+      const started = Utils.time.hrnow();
+      const confObj = entry !== undefined ? entry.confObj : undefined;
+      const name = entry !== undefined ? entry.name : key;
+
+      report.scanned += 1;
+
+      return (matches(confObj) ? clearEntry(key, matches) : Promise.resolve('skipped'))
+      .then((result) => {
+        if (result === 'removed') {
+          notify('delete', name, started, { key, operation: 'clear' });
+        }
+
+        report[result].push(name);
+      });
+    })))))
+    .then(() => report);
+  };
+
+  /**
+   * the conf object and the whole data file content of an entry which has not expired,
+   * from memory if it is held there, the read is notified as a hit, a stale entry or a miss
+   */
+  const readEntry = (name, operation, started = Utils.time.hrnow()) => readyPromise
+  .then(() => {
+    const item = recallPayload(name);
+    const since = memoryTier.mark();
+
+    if (item !== undefined && !hasExpired(item.confObj)) {
+      const { confObj, payload: buffer } = item;
+
+      touch(name, confObj);
+
+      return { confObj, buffer };
+    }
+
+    return readConf(name)
+    .then((confObj) => {
+      if (hasExpired(confObj)) {
+        const err = new Error(`file ${locate(toFileName(name))} has expired`);
+        err.code = 'EXPIRED';
+
+        notify('stale', name, started, { operation, expires: confObj.expires });
+
+        throw err;
+      }
+
+      return retryIfReplaced(name, confObj, entryConf => readPayload(name, entryConf)
+      .then((buffer) => {
+        remember(name, entryConf, buffer, since);
+
+        touch(name, entryConf);
+
+        return { confObj: entryConf, buffer };
+      }));
+    });
+  })
+  .then((entry) => {
+    notify('hit', name, started, Object.assign({ operation }, sizeOf(entry.confObj)));
+
+    return entry;
+  }, (err) => {
+    notifyFailedRead(operation, name, started, err);
+
+    throw err;
+  });
+
+  // the conf object of an entry from memory, or from its conf file and then kept in memory
+  const recallConfSync = (name) => {
+    const item = recall(name);
+    const since = memoryTier.mark();
+
+    if (item !== undefined) {
+      return item.confObj;
+    }
+
+    const confObj = readConfSync(name);
+
+    if (confObj.lastModified !== undefined) {
+      remember(name, confObj, undefined, since);
+    }
+
+    return confObj;
+  };
+
+  // same as readEntry, undefined if not in cache or has expired
+  const readEntrySync = (name, operation) => {
+    const started = Utils.time.hrnow();
+    const item = recallPayload(name);
+    const since = memoryTier.mark();
+    let entry;
+
+    if (item !== undefined && !hasExpired(item.confObj)) {
+      touch(name, item.confObj);
+      notify('hit', name, started, Object.assign({ operation }, sizeOf(item.confObj)));
+
+      return { confObj: item.confObj, buffer: item.payload };
+    }
+
+    try {
+      const confObj = readConfSync(name, undefined);
+
+      if (confObj === undefined) {
+        notify('miss', name, started, { operation });
+      } else if (hasExpired(confObj)) {
+        notify('stale', name, started, { operation, expires: confObj.expires });
+      } else {
+        entry = retryIfReplacedSync(name, confObj, entryConf => ({
+          confObj: entryConf,
+          buffer: readPayloadSync(name, entryConf),
+        }));
+
+        remember(name, entry.confObj, entry.buffer, since);
+        touch(name, entry.confObj);
+        notify('hit', name, started, Object.assign({ operation }, sizeOf(entry.confObj)));
+      }
+    } catch (e) {
+      notifyFailedRead(operation, name, started, e);
+      entry = undefined;
+    }
+
+    return entry;
+  };
+
+  // the EventEmitter with the whole cache API
+  const instance = Object.assign(emitter, {
+    // the absolute path to the directory holding conf files and data files, if the store has one
+    directory: entryStore.directory,
+
+    /**
+     * function ready (asynchronous)
+     * resolve once the store has been opened, the cache directory of the 'fs' store
+     * created if needed and checked
+     *
+     * @return {Promise}     undefined or Error instance with code ECACHEDIR
+     */
+    ready() {
+      return readyPromise;
+    },
+
+    /**
+     * function get (asynchronous)
+     * get the data in cache from the data file as a Readable stream
+     * compressed data are decompressed unless decompress is false, the stream then gives
+     * the compressed Buffers to send with the contentEncoding HTTP header
+     * data are decoded with the file encoding unless decode is false, the stream then gives
+     * the Buffers of the data as set, to send as is
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @param  {Object}      an optional object with these properties:
+     *                          - decompress= true
+     *                          - decode= true
+     * @return {Promise}     { confObj, rstream, contentEncoding } or { err, confObj, rstream }
+     */
+    get(name, { decompress = true, decode = true } = {}) {
+      const started = Utils.time.hrnow();
+
+      return readyPromise
+      .catch(err => Promise.reject({ err, confObj: undefined, rstream: undefined }))
+      .then(() => new Promise((resolve, reject) => {
+        const pathToFile = locate(toFileName(name));
+        const item = recallPayload(name);
+        const since = memoryTier.mark();
+        // payloads are kept in memory decompressed
+        const isDecoded = confObj => decompress || !confObj.compression;
+        const isHit = item !== undefined && !hasExpired(item.confObj) && isDecoded(item.confObj);
+        const decodedStream = (buffer, { file: { encoding } = {} }) => bufferStream(
+          buffer,
+          decode ? encoding || 'utf8' : undefined);
+
+        // small entries missing from memory are read at once to be kept there
+        const readDataStream = (confObj) => {
+          const { integrity, size } = confObj;
+
+          if (!isDecoded(confObj) || !memoryTier.fits(integrity ? integrity.length : size)) {
+            return getDataStream(name, confObj, decompress, decode);
+          }
+
+          return readPayload(name, confObj)
+          .then((buffer) => {
+            remember(name, confObj, buffer, since);
+
+            return decodedStream(buffer, confObj);
+          });
+        };
+
+        (isHit ? Promise.resolve(item.confObj) : readConf(name))
+        .then(openConf)
+        .then((entryConf) => {
+          const now = Date.now();
+
+          retryIfReplaced(name, entryConf, confObj => (isHit
+            ? Promise.resolve(decodedStream(item.payload, confObj))
+            : readDataStream(confObj))
+            .then(rstream => ({ confObj, rstream })))
+          .then(({ confObj, rstream }) => {
+            const { compression, expires } = confObj;
+
+            if (expires !== undefined && (expires - now) >= 0) {
+              touch(name, confObj);
+              resolve({
+                confObj,
+                rstream,
+                contentEncoding: decompress ? undefined : Compression.contentEncoding(compression),
+              });
+            } else {
+              const err = new Error(`file ${pathToFile} has expired`);
+              err.code = 'EXPIRED';
+
+              notify('stale', name, started, { operation: 'get', expires });
+
+              reject({
+                err,
+                confObj,
+                rstream,
+              });
+            }
+          })
+          .catch(err => reject({ err, confObj: entryConf, rstream: undefined }));
+        })
+        .catch(err => reject({ err, confObj: undefined, rstream: undefined }));
+      }))
+      .then((result) => {
+        notify('hit', name, started, Object.assign({ operation: 'get' }, sizeOf(result.confObj)));
+
+        return result;
+      }, (failure) => {
+        notifyFailedRead('get', name, started, failure.err);
+
+        throw failure;
+      });
+    },
+
+    /**
+     * function get (synchronous)
+     * get all properties of the 'name' configuration object
+     *
+     * sensitive fields of encrypted entries are decrypted, an EKEY or EDECRYPT error is thrown
+     * if they cannot be, hits and lastAccess count the reads not saved yet
+     *
+     * @param  {String} name    the name given to the data to store in cache
+     * @return {Object} confObj the configuration object in cache
+     */
+    getSync(name) {
+      return withAccesses(toFileName(name), openConf(recallConfSync(name)));
+    },
+
+    /**
+     * function getBuffer (asynchronous)
+     * get the data in cache as a Buffer, read from the data file stream
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Promise}     Buffer or Error instance (code EXPIRED if has expired)
+     */
+    getBuffer(name) {
+      return readEntry(name, 'getBuffer').then(({ buffer }) => buffer);
+    },
+
+    /**
+     * function getBufferSync (synchronous)
+     * get the data in cache as a Buffer
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Buffer}      data or undefined if not in cache or has expired
+     */
+    getBufferSync(name) {
+      const { buffer } = readEntrySync(name, 'getBufferSync') || {};
+
+      return buffer;
+    },
+
+    /**
+     * function getValue (asynchronous)
+     * get the data in cache as it was set: JavaScript Objects are parsed,
+     * Buffers are given back as Buffers and strings as strings
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Promise}     value or Error instance (code EXPIRED if has expired)
+     */
+    getValue(name) {
+      return readEntry(name, 'getValue')
+      .then(({ confObj, buffer }) => decodeValue(buffer, confObj, customSerializers));
+    },
+
+    /**
+     * function getValueSync (synchronous)
+     * get the data in cache as it was set
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Object}      value or undefined if not in cache, has expired or cannot be parsed
+     */
+    getValueSync(name) {
+      const entry = readEntrySync(name, 'getValueSync');
+      let value;
+
+      try {
+        value = entry ? decodeValue(entry.buffer, entry.confObj, customSerializers) : undefined;
+      } catch (e) {
+        value = undefined;
+      }
+
+      return value;
+    },
+
+    /**
+     * function getData (asynchronous)
+     * get the data saved in the data file, even if it has expired
+     * data are decompressed and decoded with the file encoding,
+     * binary data are returned as a Buffer
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Promise}     data (String or Buffer) or Error instance
+     */
+    getData(name) {
+      return readyPromise
+      .then(() => {
+        const item = recallPayload(name);
+        const since = memoryTier.mark();
+
+        if (item !== undefined) {
+          touch(name, item.confObj);
+
+          return decodeData(item.payload, item.confObj);
+        }
+
+        return readConf(name)
+        .then(confObj => retryIfReplaced(name, confObj, entryConf => readPayload(name, entryConf)
+          .then((buffer) => {
+            remember(name, entryConf, buffer, since);
+
+            touch(name, entryConf);
+
+            return decodeData(buffer, entryConf);
+          })));
+      });
+    },
+
+    /**
+     * function getDataSync (synchronous)
+     * get the data saved in the data file, even if it has expired
+     * data are decoded with the file encoding, binary data are returned as a Buffer
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {String}      data (String or Buffer) or undefined if not found
+     */
+    getDataSync(name) {
+      const item = recallPayload(name);
+      const since = memoryTier.mark();
+      let data;
+
+      if (item !== undefined) {
+        touch(name, item.confObj);
+
+        return decodeData(item.payload, item.confObj);
+      }
+
+      try {
+        data = retryIfReplacedSync(name, readConfSync(name), (confObj) => {
+          const buffer = readPayloadSync(name, confObj);
+
+          remember(name, confObj, buffer, since);
+          touch(name, confObj);
+
+          return decodeData(buffer, confObj);
+        });
+      } catch (e) {
+        data = undefined;
+      }
+
+      return data;
+    },
+
+    /**
+     * function set (asynchronous)
+     * set data in cache, a conf file and a data file will be created
+     * to set image in cache, set data with a binary buffer
+     *
+     * @param  {Object}      an object with these properties:
+     *                          - name
+     *                          - data
+     *                          - encoding= utf8
+     *                          - relatedData= {}
+     *                          - time, default= defaultTtl (1 * hour)
+     *                          - override= true (throw EEXIST error code)
+     *                          - serializer= the instance one, a name or { name, encode, decode }
+     *                          - compress= the instance one, 'gzip', 'deflate', 'brotli' or false
+     *                          - ifVersion, the version or etag saved (0 if none) or ECONFLICT
+     *                          - pin, true to never evict the entry, the saved one by default
+     * @return {Promise}      confObj or Error instance
+     */
+    set({
+      name,
+      data,
+      encoding,
+      time,
+      override,
+      serializer,
+      compress,
+      ifVersion,
+      pin,
+      relatedData = {},
+    } = {}) {
+      const started = Utils.time.hrnow();
+
+      return readyPromise
+      .then(() => new Promise((resolve, reject) => {
+        // name must be a not null String and data must exist, falsy values included
+        if (is.call(String.prototype, Object(name)) && name.trim() !== '' && data !== undefined) {
+          // serialize data to save in data file, an ESERIALIZER error rejects the promise
+          const { serializerName, serialData } = serialize(data, serializer);
+          const compression = Compression
+          .findCodec(compress === undefined ? defaultCompress : compress);
+          const isBufferData = Buffer.isBuffer(serialData);
+          const isOverriden = is.call(Boolean.prototype, Object(override)) ? override : true;
+          const key = toFileName(name);
+          let dataEncoding;
+          let cacheTime = parseInt(time, 10);
+
+          if (Number.isNaN(cacheTime) || !(time >= second && time <= 365 * day)) {
+            cacheTime = defaultCacheTime;
+          }
+
+          if (encoding !== undefined
+            && is.call(String.prototype, Object(encoding))
+            && encodings.indexOf(encoding.toLowerCase()) !== -1) {
+            dataEncoding = encoding;
+          } else if (isBufferData) {
+            dataEncoding = 'binary';
+          } else {
+            [dataEncoding] = encodings;
+          }
+
+          // now set expired time and last modified
+          const lastModified = Date.now();
+          const expires = lastModified + cacheTime;
+
+          // the metadata-only configuration object that will be saved in the JSON conf file
+          const confObj = {
+            name,
+            serializer: serializerName,
+            encoding: dataEncoding,
+            size: isBufferData ? serialData.length : Buffer.byteLength(serialData, dataEncoding),
+            compression,
+            encryption: keyring ? { algorithm, keyId: keyring.keyId } : null,
+            integrity: null,
+            version: null,
+            etag: null,
+            relatedData,
+            lastModified,
+            lastAccess: lastModified,
+            hits: 0,
+            pinned: is.call(Boolean.prototype, Object(pin)) ? pin : undefined,
+            expires,
+            file: {
+              path: locate(key),
+              saved: false,
+              encoding: dataEncoding,
+            },
+          };
+
+          // compress and encrypt data if needed then save the entry with all data
+          // so it could be got in a read stream easily, its integrity is saved in the conf object
+          encodePayload(serialData, dataEncoding, confObj)
+          .then((payload) => {
+            const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, dataEncoding);
+
+            confObj.integrity = digest(buffer);
+            confObj.file.saved = true;
+
+            // the entry lock keeps other writers from writing in between
+            // and from changing the version between its check and the write
+            return withLock(key, () => readSavedConf(key)
+            .then((savedConf) => {
+              versionConf(savedConf, confObj, ifVersion, serialData);
+
+              return entryStore.write(key, sealConf(confObj), buffer, { override: isOverriden });
+            })
+            .then(() => forget(key)));
+          })
+          .then(() => evictEntries(name))
+          .then(() => resolve(confObj))
+          .catch(err => reject(err));
+        } else {
+          reject(new Error('name of the object to cache must be a not null string with data to cache'));
+        }
+      }))
+      .then((confObj) => {
+        notify('set', name, started, Object.assign({
+          operation: 'set',
+          version: confObj.version,
+        }, sizeOf(confObj)));
+
+        return confObj;
+      }, (err) => {
+        notifyError('set', name, started, err);
+
+        throw err;
+      });
+    },
+
+    /**
+     * function setParallel (streaming)
+     * set data in cache in parallel, a conf file and a data file will be created
+     *
+     * @param  {Object}               an object with these properties:
+     *                                   - name
+     *                                   - data
+     *                                   - encoding= utf8
+     *                                   - file, default= name
+     *                                   - time, default= defaultTtl (1 * hour)
+     *                                   - override= true
+     *                                   - serializer= the instance serializer
+     *                                   - compress= the instance compression
+     *                                   - ifVersion, the version or etag saved (0 if none)
+     *                                   - pin, true to never evict the entry
+     * @param  {Function} callback    an optional callback(err, confObj)
+     */
+    setParallel(params, callback) {
+      const {
+        name,
+        data,
+        encoding,
+        time,
+        override,
+        serializer,
+        compress,
+        ifVersion,
+        pin,
+        relatedData = {},
+      } = params || {};
+
+      // if callback exists and is a function, we will call back, else debug
+      const hasCallback = is.call(Function.prototype, callback);
+      const started = Utils.time.hrnow();
+
+      // wait for the store to be opened before writing in it
+      if (!isReady) {
+        readyPromise.then(() => instance.setParallel(params, callback), (err) => {
+          notifyError('setParallel', name, started, err);
+
+          if (hasCallback) {
+            callback(err);
+          } else {
+            debug(err);
+          }
+        });
+
+        return;
+      }
+
+      const isOverriden = is.call(Boolean.prototype, Object(override)) ? override : true;
+
+      let serialized;
+      let compression;
+      let error;
+
+      // name must be a not null String and data must exist, falsy values included
+      if (is.call(String.prototype, Object(name)) && name.trim() !== '' && data !== undefined) {
+        try {
+          serialized = serialize(data, serializer);
+          compression = Compression.findCodec(compress === undefined ? defaultCompress : compress);
+        } catch (e) {
+          error = e;
+        }
+      } else {
+        const errMessage = 'name of the object to cache must be a not null string with data to cache';
+        error = new Error(errMessage);
+      }
+
+      if (!error) {
+        const { serializerName, serialData } = serialized;
+        const isBufferData = Buffer.isBuffer(serialData);
+        const key = toFileName(name);
+        let cacheTime = parseInt(time, 10);
+        let dataEncoding;
+
+        if (Number.isNaN(cacheTime) || !(time >= second && time <= 365 * day)) {
+          cacheTime = defaultCacheTime;
+        }
+
+        if (encoding !== undefined
+          && is.call(String.prototype, Object(encoding))
+          && encodings.indexOf(encoding.toLowerCase()) !== -1) {
+          dataEncoding = encoding;
+        } else if (isBufferData) {
+          dataEncoding = 'binary';
+        } else {
+          [dataEncoding] = encodings;
+        }
+
+        // now set expired time and last modified
+        const lastModified = Date.now();
+        const expires = lastModified + cacheTime;
+
+        /**
+         *  the metadata-only configuration object that will be saved in the JSON conf file
+         *  once the data file has been written, with the integrity of the data file
+         */
+        const confObj = {
+          name,
+          serializer: serializerName,
+          encoding: dataEncoding,
+          size: isBufferData ? serialData.length : Buffer.byteLength(serialData, dataEncoding),
+          compression,
+          encryption: keyring ? { algorithm, keyId: keyring.keyId } : null,
+          integrity: null,
+          version: null,
+          etag: null,
+          relatedData,
+          lastModified,
+          lastAccess: lastModified,
+          hits: 0,
+          pinned: is.call(Boolean.prototype, Object(pin)) ? pin : undefined,
+          expires,
+          file: {
+            path: locate(key),
+            saved: true,
+            encoding: dataEncoding,
+          },
+        };
+
+        // push data on the readable stream and read it back through zlib if compressed,
+        // through a cipher if encrypted and through the digest
+        const dataRstream = new Readable({ read() {} });
+        const digestStream = createDigest();
+        let payloadRstream = dataRstream;
+
+        if (compression) {
+          payloadRstream = pipeStream(payloadRstream, Compression.createCompress(compression));
+        }
+
+        if (keyring) {
+          payloadRstream = pipeStream(payloadRstream, createEncrypt(keyring, `data:${name}`));
+        }
+
+        dataRstream.push(isBufferData ? serialData : Buffer.from(serialData, dataEncoding));
+        dataRstream.push(null);
+
+        // the entry is only written once its payload has been entirely encoded,
+        // while holding the entry lock to check and give the version
+        readStream(pipeStream(payloadRstream, digestStream))
+        .then((payload) => {
+          confObj.integrity = digestStream.integrity;
+
+          return withLock(key, () => readSavedConf(key)
+          .then((savedConf) => {
+            versionConf(savedConf, confObj, ifVersion, serialData);
+
+            return entryStore.write(key, sealConf(confObj), payload, { override: isOverriden });
+          })
+          .then(() => forget(key)));
+        })
+        .then(() => evictEntries(name))
+        .then(() => {
+          notify('set', name, started, Object.assign({
+            operation: 'setParallel',
+            version: confObj.version,
+          }, sizeOf(confObj)));
+
+          if (hasCallback) {
+            callback(undefined, confObj);
+          } else {
+            debug(`${name} has been set`);
+          }
+        }, (err) => {
+          notifyError('setParallel', name, started, err);
+
+          if (hasCallback) {
+            callback(err);
+          } else {
+            debug(err);
+          }
+        });
+      } else {
+        notifyError('setParallel', name, started, error);
+
+        if (hasCallback) {
+          callback(error);
+        } else {
+          debug(error);
+        }
+      }
+    },
+
+    /**
+     * function hasSync (synchronous)
+     * test if data are in cache or not, taking into account expires time
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Boolean}     true if 'name' is in cache, false if not
+     */
+    hasSync(name) {
+      let has;
+
+      const { expires, file } = recallConfSync(name);
+      const now = Date.now();
+
+      if (expires !== undefined
+        && (expires - now) >= 0
+        && file !== undefined
+        && file.saved) {
+        has = true;
+      } else {
+        has = false;
+      }
+
+      return has;
+    },
+
+    /**
+     * function reset (asynchronous)
+     * reset expire time by setting the new one running from now with
+     * the original cache time set
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Promise}     Confirmation message (String) or Error instance
+     */
+    reset(name) {
+      const started = Utils.time.hrnow();
+
+      return readyPromise
+      .then(() => new Promise((resolve, reject) => {
+        const key = toFileName(name);
+
+        // the conf object is read and written back under the entry lock
+        withLock(key, () => readConf(name)
+        .then((confObj) => {
+          if (!!confObj && !!confObj.expires && confObj.lastModified) {
+            // prevent from object mutation if confObj need to be somewhere reused
+            const newConfObj = Object.assign({}, confObj);
+
+            // get the original cache time
+            const cacheTime = confObj.expires - confObj.lastModified;
+            const now = Date.now();
+
+            newConfObj.expires = now + cacheTime;
+            newConfObj.lastModified = now;
+
+            return entryStore.writeMeta(key, newConfObj)
+            .then(() => {
+              forget(key);
+
+              return newConfObj;
+            });
+          }
+
+          throw new Error(`no data, expired time or lastModified properties found in "${name}" object in cache`);
+        }))
+        .then(({ expires }) => {
+          notify('reset', name, started, { operation: 'reset', expires });
+          resolve(`${name} has been reseted from cache`);
+        })
+        .catch((err) => {
+          notifyError('reset', name, started, err);
+          reject(err);
+        });
+      }));
+    },
+
+    /**
+     * function reset (synchronous)
+     * reset expire time by setting the new one running from now with
+     * the original cache time set
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Boolean}     true if reseted, false if not
+     */
+    resetSync(name) {
+      const started = Utils.time.hrnow();
+      const key = toFileName(name);
+      let reseted;
+
+      try {
+        reseted = withLockSync(key, () => {
+          const confObj = readConfSync(name, undefined);
+
+          if (!!confObj && !!confObj.expires && !!confObj.lastModified) {
+            // prevent from object mutation if confObj need to be somewhere reused
+            const newConfObj = Object.assign({}, confObj);
+
+            // get the original cache time
+            const cacheTime = confObj.expires - confObj.lastModified;
+            const now = Date.now();
+
+            newConfObj.expires = now + cacheTime;
+            newConfObj.lastModified = now;
+
+            storeSync('writeMetaSync')(key, newConfObj);
+            forget(key);
+            notify('reset', name, started, { operation: 'resetSync', expires: newConfObj.expires });
+
+            return true;
+          }
+
+          return false;
+        });
+      } catch (e) {
+        notifyError('resetSync', name, started, e);
+        reseted = false;
+      }
+
+      return reseted;
+    },
+
+    /**
+     * function pin (asynchronous)
+     * keep an entry from being evicted, whatever the eviction policy
+     *
+     * @param  {String}  name   the name given to the data to store in cache
+     * @param  {Boolean} pinned false to let the entry be evicted again, true by default
+     * @return {Promise}        Confirmation message (String) or Error instance
+     */
+    pin(name, pinned = true) {
+      return readyPromise
+      .then(() => {
+        const key = toFileName(name);
+
+        return withLock(key, () => entryStore.readMeta(key)
+        .then((savedConf) => {
+          const pinnedConf = Object.assign(savedConf, { pinned: pinned === true });
+
+          return entryStore.writeMeta(key, pinnedConf);
+        })
+        .then(() => forget(key)));
+      })
+      .then(() => `${name} has been ${pinned === true ? 'pinned' : 'unpinned'}`);
+    },
+
+    /**
+     * function unpin (asynchronous)
+     * let a pinned entry be evicted again
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Promise}     Confirmation message (String) or Error instance
+     */
+    unpin(name) {
+      return instance.pin(name, false);
+    },
+
+    /**
+     * function reencrypt (asynchronous)
+     * encrypt an entry with the current key, data and sensitive fields are decrypted
+     * with the key saved in the conf object, not encrypted entries are encrypted
+     * entries already encrypted with the current key are left as is
+     * the entry is read and written again under its lock so that no write is lost,
+     * its version and its etag are bumped as data are unchanged but the entry is not
+     *
+     * @param  {String} name the name given to the data to store in cache
+     * @return {Promise}     the new conf object or Error instance (EKEY, EDECRYPT, ...)
+     */
+    reencrypt(name) {
+      const key = toFileName(name);
+
+      return readyPromise
+      .then(() => withLock(key, () => readConf(name)
+      .then((confObj) => {
+        const { compression, encryption: entry } = confObj;
+
+        if (!keyring) {
+          const err = new Error('entries cannot be re-encrypted without an encryption key');
+          err.code = 'EKEY';
+
+          throw err;
+        }
+
+        if (!!entry && entry.keyId === keyring.keyId) {
+          return openConf(confObj);
+        }
+
+        const newConfObj = Object.assign({}, openConf(confObj), {
+          encryption: { algorithm, keyId: keyring.keyId },
+          file: Object.assign({}, confObj.file, { path: locate(key) }),
+        });
+
+        return readFilePayload(name, confObj)
+        .then(payload => (compression
+          ? Compression.decompress(compression, payload)
+          : Promise.resolve(payload))
+          .then((serialData) => {
+            const encrypted = encrypt(keyring, payload, `data:${newConfObj.name}`);
+
+            Object.assign(newConfObj, nextVersion(confObj, serialData), {
+              integrity: digest(encrypted),
+            });
+
+            return entryStore.write(key, sealConf(newConfObj), encrypted);
+          }))
+        .then(() => {
+          forget(key);
+
+          return newConfObj;
+        });
+      })));
+    },
+
+    /**
+     * function reencryptAll (asynchronous)
+     * re-encrypt one by one every entry which is not encrypted with the current key
+     *
+     * @return {Promise}     { reencrypted, failed } names or Error instance
+     */
+    reencryptAll() {
+      const report = { reencrypted: [], failed: [] };
+
+      return readyPromise
+      .then(() => entryStore.list())
+      .then(keys => keys.reduce((previous, key) => previous
+        .then(() => entryStore.readMeta(key))
+        .then(({ name, encryption: entry }) => {
+          if (!!entry && !!keyring && entry.keyId === keyring.keyId) {
+            return undefined;
+          }
+
+          return instance.reencrypt(name)
+          .then(() => report.reencrypted.push(name), (err) => {
+            debug(err);
+            report.failed.push(name);
+          });
+        })
+        .catch(err => debug(err)), Promise.resolve()))
+      .then(() => report);
+    },
+
+    /**
+     * function delete (asynchronous)
+     * definitely delete data in cache (data file and conf file)
+     *
+     * @param  {String} name      the name given to the data to store in cache
+     * @param  {Object} an object with these properties:
+     *                   - ifVersion, the version or etag saved or ECONFLICT
+     * @return {Promise}          Confirmation message (String) or Error instance
+     */
+    delete(name, { ifVersion } = {}) {
+      const started = Utils.time.hrnow();
+
+      return readyPromise
+      .then(() => new Promise((resolve, reject) => {
+        const key = toFileName(name);
+
+        // the conf object must exist, the store only removes data files named after the key
+        withLock(key, () => entryStore.readMeta(key)
+        .then((savedConf) => {
+          if (!matchesVersion(savedConf, ifVersion)) {
+            throw conflictError(name, ifVersion, savedConf);
+          }
+
+          return entryStore.remove(key);
+        })
+        .then(() => forget(key)))
+        .then(() => {
+          notify('delete', name, started, { operation: 'delete' });
+          resolve(`${locate(key)} has been definitely deleted`);
+        })
+        .catch((err) => {
+          notifyError('delete', name, started, err);
+          reject(err);
+        });
+      }));
+    },
+
+    /**
+     * function deleteSync (synchronous)
+     * definitely delete data in cache (data file and conf file)
+     *
+     * @param  {String} name      the name given to the data to store in cache
+     * @param  {Object} an object with these properties:
+     *                   - ifVersion, the version or etag saved, not deleted if it differs
+     * @return {Boolean}          true if deleted, false if not
+     */
+    deleteSync(name, { ifVersion } = {}) {
+      const started = Utils.time.hrnow();
+      let deleted;
+
+      try {
+        const key = toFileName(name);
+
+        // the conf object must exist, the store only removes data files named after the key
+        deleted = withLockSync(key, () => {
+          const savedConf = readSavedConfSync(key);
+
+          if (savedConf !== undefined && matchesVersion(savedConf, ifVersion)) {
+            storeSync('removeSync')(key);
+            forget(key);
+            notify('delete', name, started, { operation: 'deleteSync' });
+
+            return true;
+          }
+
+          return false;
+        });
+      } catch (e) {
+        notifyError('deleteSync', name, started, e);
+        deleted = false;
+      }
+
+      return deleted;
+    },
+
+    /**
+     * function clear (asynchronous)
+     * definitely clear the entries of the cache (data files and conf files),
+     * the files of an entry are removed under its lock, other files are left
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - expiredOnly= false, only clear expired entries
+     *                          - prefix, only clear entries whose name starts with it
+     *                          - olderThan, only clear entries set or reset at least
+     *                            olderThan milliseconds ago
+     *                          - batchSize= 100, entries removed at once
+     * @return {Promise}     { scanned, removed, skipped, failed } or Error instance
+     */
+    clear({
+      expiredOnly,
+      prefix,
+      olderThan,
+      batchSize,
+    } = {}) {
+      return readyPromise
+      .then(() => clearEntries(
+        { expiredOnly, prefix, olderThan },
+        Math.ceil(toLimit(batchSize) || 100)));
+    },
+
+    /**
+     * function clearSync (synchronous)
+     * definitely clear the entries of the cache (data files and conf files),
+     * locked entries are not waited for and fail
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - expiredOnly= false, see clear
+     *                          - prefix, see clear
+     *                          - olderThan, see clear
+     * @return {Object}      { scanned, removed, skipped, failed }
+     */
+    clearSync(options) {
+      const matches = clearFilter(options);
+      const report = {
+        scanned: 0,
+        removed: [],
+        skipped: [],
+        failed: [],
+      };
+      let keys = [];
+
+      try {
+        keys = storeSync('listSync')();
+      } catch (e) {
+        debug(e);
+      }
+
+      keys.forEach((key) => {
+        const started = Utils.time.hrnow();
+        let confObj;
+        let result = 'skipped';
+
+        // a conf object which cannot be read is given as undefined to matches
+        try {
+          confObj = readSavedConfSync(key);
+        } catch (e) {
+          debug(e);
+        }
+
+        const name = confObj !== undefined ? confObj.name : key;
+
+        report.scanned += 1;
+
+        try {
+          if (matches(confObj)) {
+            result = withLockSync(key, () => {
+              let savedConf;
+
+              try {
+                savedConf = storeSync('readMetaSync')(key);
+              } catch (e) {
+                if (e.code === 'ENOENT') {
+                  return 'skipped';
+                }
+              }
+
+              if (!matches(savedConf)) {
+                return 'skipped';
+              }
+
+              storeSync('removeSync')(key);
+              forget(key);
+
+              return 'removed';
+            });
+          }
+        } catch (e) {
+          debug(e);
+          result = 'failed';
+        }
+
+        if (result === 'removed') {
+          notify('delete', name, started, { key, operation: 'clearSync' });
+        }
+
+        report[result].push(name);
+      });
+
+      return report;
+    },
+
+    /**
+     * function prune (asynchronous)
+     * remove expired entries (data files and conf files) batch by batch,
+     * entries locked or written since they were read are skipped
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - batchSize= 100, conf files read at once
+     * @return {Promise}     { scanned, removed, skipped, failed } or Error instance
+     */
+    prune({ batchSize } = {}) {
+      return readyPromise
+      .then(() => pruneExpired(Math.ceil(toLimit(batchSize) || 100)));
+    },
+
+    /**
+     * function startSweeper
+     * prune expired entries periodically, the timer does not keep the process running
+     * and a sweep does not start before the previous one is over
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - interval= 1 * minute
+     *                          - batchSize= 100, see prune
+     */
+    startSweeper({ interval, batchSize } = {}) {
+      instance.stopSweeper();
+
+      sweepTimer = setInterval(() => {
+        if (!isSweeping) {
+          isSweeping = true;
+
+          instance.prune({ batchSize })
+          .then(({ removed }) => removed.length > 0 && debug(`${removed.length} expired entries removed`))
+          .catch(err => debug(err))
+          .then(() => {
+            isSweeping = false;
+          });
+        }
+      }, toLimit(interval) || minute);
+
+      sweepTimer.unref();
+    },
+
+    /**
+     * function stopSweeper
+     * stop the sweeper, a sweep in progress ends normally
+     */
+    stopSweeper() {
+      if (sweepTimer !== undefined) {
+        clearInterval(sweepTimer);
+        sweepTimer = undefined;
+      }
+    },
+
+    /**
+     * function stats (asynchronous)
+     * the statistics of the instance since it was created or since resetStats(), counted
+     * from its events, with the entries of the store scanned as for eviction:
+     *  - hits, misses and stale (expired) reads, with the hitRatio of hits among them
+     *  - writes, resets, deletes, expirations, evictions and errors
+     *  - bytesRead and bytesWritten, payloads as written (compressed and encrypted)
+     *  - latency, { count, mean, p50, p95, p99 } in milliseconds by operation (method name),
+     *    percentiles of the latest durations, an entry removed by clear is an operation
+     *  - entries and bytes, the entries of the store and their conf objects and payloads,
+     *    rejected if a conf object cannot be read
+     *  - oldestAge, milliseconds since the oldest entry was set or reset, 0 without entries
+     *
+     * @return {Promise}     the statistics and since, when they started, or Error instance
+     */
+    stats() {
+      return readyPromise
+      .then(() => scanEntries())
+      .then((entries) => {
+        const now = Date.now();
+
+        return Object.assign(statistics.snapshot(), {
+          entries: entries.length,
+          bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+          oldestAge: entries.reduce((oldest, { lastModified = now }) => Math
+          .max(oldest, now - lastModified), 0),
+        });
+      });
+    },
+
+    /**
+     * function resetStats (synchronous)
+     * start the statistics of the instance over, entries and bytes are always scanned
+     */
+    resetStats() {
+      statistics.reset();
+    },
+
+    /**
+     * function metrics (asynchronous)
+     * the stats of the instance in the Prometheus text exposition format, to be served
+     * with the metricsContentType header, see Prometheus
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - prefix= 'cache_', the prefix of metric names
+     *                          - labels= {}, label values by name added to every sample
+     * @return {Promise}     the metrics (String) or Error instance (EMETRICS if the options
+     *                       are not valid)
+     */
+    metrics({ prefix, labels } = {}) {
+      return renderMetrics(instance, { prefix, labels });
+    },
+
+    /**
+     * function use (synchronous)
+     * add the hooks of a plugin around the methods of the instance, see Hooks
+     *
+     * @param  {Object} plugin hooks by name: before<Kind>(context), after<Kind>(result, context)
+     *                         with Get, Set, Delete, Reset or Clear as kind,
+     *                         and onError(err, context)
+     * @return {Object}        the instance, or throws an EHOOK error if a hook is not valid
+     */
+    use(plugin) {
+      hooks.use(plugin);
+
+      return instance;
+    },
+
+    /**
+     * function middleware (synchronous)
+     * an HTTP middleware serving cached responses and caching the ones of the handler
+     * called by next, for Node http servers and Express-style apps, see Middleware
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - key, function(req) giving the key, method and URL by default
+     *                          - time, the ttl of responses, the instance one by default
+     *                          - methods= ['GET'], the request methods cached
+     *                          - statuses= [200, 203, 204, 300, 301, 308], statuses cached
+     *                          - maxBytes= 5MiB, the largest body cached
+     *                          - header= 'X-Cache', set to HIT or MISS, false for none
+     * @return {Function}    the middleware (req, res, next)
+     */
+    middleware(options) {
+      return createMiddleware(instance, options);
+    },
+
+    /**
+     * function verify (asynchronous)
+     * check the consistency of the cache directory, each anomaly is reported
+     * { type, key, name, message, files } with one of these types:
+     *  - 'bad-conf', the conf file cannot be parsed
+     *  - 'unsaved', the conf file says the data file has not been saved
+     *  - 'missing-data', the conf file has no data file
+     *  - 'corrupt', the data file does not match its integrity
+     *  - 'orphan-data', the data file has no conf file
+     *  - 'tmp', a temporary file left by a process which is not running anymore
+     *  - 'unknown', a file which does not belong to the cache
+     * the 'memory' store never has anomalies, custom stores need a verify method
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - deep= false, true to check data file hashes and not only lengths
+     *                          - batchSize= 100, entries checked at once
+     * @return {Promise}     { scanned, entries, anomalies } or Error instance (ESTORE if the
+     *                       store cannot be verified)
+     */
+    verify({ deep = false, batchSize } = {}) {
+      return readyPromise
+      .then(() => {
+        if (!is.call(Function.prototype, entryStore.verify)) {
+          throw storeError(`the ${entryStore.name || 'custom'} store cannot be verified`);
+        }
+
+        return entryStore.verify({
+          deep: deep === true,
+          batchSize: Math.ceil(toLimit(batchSize) || 100),
+        });
+      });
+    },
+
+    /**
+     * function repair (asynchronous)
+     * verify the cache directory and remove the files of each anomaly, or move them
+     * to a quarantine directory, 'unknown' files are left
+     * each anomaly of the report gets an action: 'removed', 'quarantined', 'skipped' or 'failed'
+     *
+     * @param  {Object}      an optional object with these properties:
+     *                          - quarantine, a directory to move broken files to
+     *                          - deep= false, see verify
+     *                          - batchSize= 100, see verify
+     * @return {Promise}     { scanned, entries, anomalies } or Error instance
+     */
+    repair({ quarantine, deep = false, batchSize } = {}) {
+      const quarantineDirectory = is.call(String.prototype, Object(quarantine)) && quarantine.trim() !== ''
+        ? path.resolve(quarantine) : undefined;
+
+      // the entries of the anomalies repaired are dropped from memory
+      const repairAnomaly = anomaly => (is.call(Function.prototype, entryStore.repair)
+        ? entryStore.repair(anomaly, {
+          deep: deep === true,
+          quarantine: quarantineDirectory,
+          lock: noWaitSettings,
+        })
+        : Promise.resolve('skipped'))
+      .then((action) => {
+        if (anomaly.key !== undefined) {
+          forget(anomaly.key);
+        }
+
+        return action;
+      });
+
+      return instance.verify({ deep, batchSize })
+      .then(report => report.anomalies.reduce((previous, anomaly) => previous
+        .then(() => repairAnomaly(anomaly))
+        .then((action) => {
+          Object.assign(anomaly, { action });
+        }), Promise.resolve())
+      .then(() => report));
+    },
+  });
+
+  // the hooked methods call the methods above between the hooks of plugins, if there are any
+  Object.keys(hookedMethods).forEach(kind => hookedMethods[kind]
+  .filter(method => method !== 'setParallel')
+  .forEach((method) => {
+    const call = instance[method];
+    const run = method.slice(-4) === 'Sync' ? hooks.runSync : hooks.run;
+
+    instance[method] = (...args) => (hooks.has(kind)
+      ? run(kind, method, args, call)
+      : call(...args));
+  }));
+
+  // setParallel waits for the store before its hooks so that it never runs them twice
+  const writeParallel = instance.setParallel;
+  const writeParallelPromise = params => new Promise((resolve, reject) => {
+    writeParallel(params, (err, confObj) => (err ? reject(err) : resolve(confObj)));
+  });
+
+  instance.setParallel = (params, callback) => {
+    const hasCallback = is.call(Function.prototype, callback);
+
+    if (!hooks.has('Set')) {
+      writeParallel(params, callback);
+
+      return;
+    }
+
+    readyPromise.catch(() => undefined)
+    .then(() => hooks.run('Set', 'setParallel', [params], writeParallelPromise))
+    .then((confObj) => {
+      if (hasCallback) {
+        callback(undefined, confObj);
+      } else {
+        debug(`${confObj.name} has been set`);
+      }
+    }, (err) => {
+      if (hasCallback) {
+        callback(err);
+      } else {
+        debug(err);
+      }
+    });
+  };
+
+  if (sweeper) {
+    instance.startSweeper(sweeper === true ? {} : sweeper);
+  }
+
+  return instance;
+};
+
+// the default instance keeps the original behaviour, createCache builds other instances
+const cache = createCache();
+cache.createCache = createCache;
+cache.renderMetrics = renderMetrics;
+cache.metricsContentType = contentType;
+
+module.exports = cache;
@@ -0,0 +1,93 @@
+const { expect } = require('./common');
+const zlib = require('zlib');
+const Compression = require('../lib/Compression');
+
+const {
+  codecs,
+  findCodec,
+  contentEncoding,
+  compress,
+  decompress,
+  decompressSync,
+  createCompress,
+  createDecompress,
+} = Compression;
+
+const text = 'compress me '.repeat(100);
+
+describe('Compression', function() {
+  describe('#findCodec()', function() {
+    it('should return null when there is no compression', function() {
+      expect(findCodec()).to.be.null;
+      expect(findCodec(null)).to.be.null;
+      expect(findCodec(false)).to.be.null;
+      expect(findCodec('none')).to.be.null;
+    });
+
+    it('should return the name of supported codecs', function() {
+      expect(findCodec('gzip')).to.equal('gzip');
+      expect(findCodec('deflate')).to.equal('deflate');
+    });
+
+    it('should throw an ECOMPRESS error for unsupported codecs', function() {
+      expect(() => findCodec('lzma')).to.throw(Error).with.property('code', 'ECOMPRESS');
+      expect(() => findCodec('toString')).to.throw(Error).with.property('code', 'ECOMPRESS');
+      expect(() => findCodec(true)).to.throw(Error).with.property('code', 'ECOMPRESS');
+    });
+  });
+
+  describe('#contentEncoding()', function() {
+    it('should return the HTTP Content-Encoding of a codec', function() {
+      expect(contentEncoding('gzip')).to.equal('gzip');
+      expect(contentEncoding('deflate')).to.equal('deflate');
+      expect(contentEncoding()).to.be.undefined;
+
+      if (codecs.brotli) {
+        expect(contentEncoding('brotli')).to.equal('br');
+      }
+    });
+  });
+
+  describe('#compress()', function() {
+    it('should round-trip strings and Buffers with every codec', function(done) {
+      Promise.all(Object.keys(codecs).map(name => compress(name, text, 'utf8')
+        .then(buffer => decompress(name, buffer))
+        .then(buffer => buffer.toString())))
+      .then((values) => {
+        values.forEach(value => expect(value).to.equal(text));
+
+        return compress('gzip', Buffer.from(text));
+      })
+      .then((buffer) => {
+        expect(buffer.length).to.be.below(text.length);
+        expect(zlib.gunzipSync(buffer).toString()).to.equal(text);
+        expect(decompressSync('gzip', buffer).toString()).to.equal(text);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should reject when data cannot be decompressed', function(done) {
+      expect(decompress('gzip', Buffer.from(text))).to.be.rejectedWith(Error).and.notify(done);
+    });
+  });
+
+  describe('#createCompress()', function() {
+    it('should create compression and decompression streams', function(done) {
+      const compressStream = createCompress('deflate');
+      const decompressStream = createDecompress('deflate');
+      let content = '';
+
+      decompressStream.setEncoding('utf8');
+      decompressStream.on('data', (chunk) => { content += chunk; });
+      decompressStream.on('end', () => {
+        expect(content).to.equal(text);
+        done();
+      });
+      decompressStream.on('error', err => done(err));
+
+      compressStream.pipe(decompressStream);
+      compressStream.end(text);
+    });
+  });
+});
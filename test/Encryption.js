@@ -0,0 +1,87 @@
+const { expect } = require('./common');
+const crypto = require('crypto');
+const Encryption = require('../lib/Encryption');
+
+const {
+  createKeyring,
+  encrypt,
+  decrypt,
+  createEncrypt,
+  encryptField,
+  decryptField,
+} = Encryption;
+
+const keyring = createKeyring({ keys: { old: 'old secret', current: crypto.randomBytes(32) }, keyId: 'current' });
+
+describe('Encryption', function() {
+  describe('#createKeyring()', function() {
+    it('should use the only key when no keyId is given', function() {
+      expect(createKeyring({ keys: { k1: 'secret' } })).to.have.property('keyId', 'k1');
+    });
+
+    it('should throw an EKEY error if keys or keyId are not valid', function() {
+      expect(() => createKeyring()).to.throw(Error).with.property('code', 'EKEY');
+      expect(() => createKeyring({ keys: { k1: '' } })).to.throw(Error).with.property('code', 'EKEY');
+      expect(() => createKeyring({ keys: { k1: 'a', k2: 'b' } })).to.throw(Error).with.property('code', 'EKEY');
+      expect(() => createKeyring({ keys: { k1: 'a' }, keyId: 'k2' })).to.throw(Error).with.property('code', 'EKEY');
+    });
+  });
+
+  describe('#encrypt()', function() {
+    it('should round-trip data with the current key or an old one', function() {
+      const data = Buffer.from('secret data');
+      const encrypted = encrypt(keyring, data, 'data:name');
+      const old = encrypt(keyring, data, 'data:name', 'old');
+
+      expect(encrypted.indexOf(data)).to.equal(-1);
+      expect(encrypted.length).to.equal(data.length + 28);
+      expect(decrypt(keyring, 'current', encrypted, 'data:name').equals(data)).to.be.true;
+      expect(decrypt(keyring, 'old', old, 'data:name').equals(data)).to.be.true;
+    });
+
+    it('should throw an EDECRYPT error if data, key or aad do not match', function() {
+      const encrypted = encrypt(keyring, Buffer.from('secret data'), 'data:name');
+      const tampered = Buffer.from(encrypted);
+
+      tampered[15] ^= 1; // eslint-disable-line no-bitwise
+
+      expect(() => decrypt(keyring, 'current', tampered, 'data:name')).to.throw(Error).with.property('code', 'EDECRYPT');
+      expect(() => decrypt(keyring, 'old', encrypted, 'data:name')).to.throw(Error).with.property('code', 'EDECRYPT');
+      expect(() => decrypt(keyring, 'current', encrypted, 'data:other')).to.throw(Error).with.property('code', 'EDECRYPT');
+      expect(() => decrypt(keyring, 'current', encrypted.slice(0, 20), 'data:name')).to.throw(Error).with.property('code', 'EDECRYPT');
+    });
+
+    it('should throw an EKEY error if the key is unknown or missing', function() {
+      const encrypted = encrypt(keyring, Buffer.from('secret data'), 'data:name');
+
+      expect(() => decrypt(keyring, 'unknown', encrypted, 'data:name')).to.throw(Error).with.property('code', 'EKEY');
+      expect(() => decrypt(null, 'current', encrypted, 'data:name')).to.throw(Error).with.property('code', 'EKEY');
+    });
+  });
+
+  describe('#createEncrypt()', function() {
+    it('should encrypt a stream in the same format as encrypt', function(done) {
+      const encryptStream = createEncrypt(keyring, 'data:name');
+      const chunks = [];
+
+      encryptStream.on('data', chunk => chunks.push(chunk));
+      encryptStream.on('end', () => {
+        expect(decrypt(keyring, 'current', Buffer.concat(chunks), 'data:name').toString()).to.equal('secret data');
+        done();
+      });
+      encryptStream.on('error', err => done(err));
+
+      encryptStream.write(Buffer.from('secret '));
+      encryptStream.end(Buffer.from('data'));
+    });
+  });
+
+  describe('#encryptField()', function() {
+    it('should round-trip JSON values', function() {
+      const field = encryptField(keyring, { user: 1 }, 'relatedData:name');
+
+      expect(field).to.be.a('string');
+      expect(decryptField(keyring, 'current', field, 'relatedData:name')).to.deep.equal({ user: 1 });
+    });
+  });
+});
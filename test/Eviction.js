@@ -0,0 +1,63 @@
+const { expect } = require('./common');
+const Eviction = require('../lib/Eviction');
+
+const {
+  policies,
+  isPolicy,
+  findPolicy,
+  evictionOrder,
+} = Eviction;
+
+const now = Date.now();
+
+// hot and small, cold and huge, soon expired, pinned
+const entries = [
+  { name: 'hot', bytes: 100, hits: 50, lastAccess: now - 10, expires: now + 3000 },
+  { name: 'huge', bytes: 100000, hits: 2, lastAccess: now - 20, expires: now + 2000 },
+  { name: 'soon', bytes: 1000, hits: 5, lastAccess: now - 5, expires: now + 1000 },
+  { name: 'pinned', bytes: 1, hits: 0, lastAccess: now - 100, expires: now, pinned: true },
+];
+
+const order = policy => evictionOrder(findPolicy(policy), entries, now).map(({ name }) => name);
+
+describe('Eviction', function() {
+  describe('policies', function() {
+    it('should evict in the order of each built-in policy and never pinned entries', function() {
+      expect(order('lru')).to.deep.equal(['huge', 'hot', 'soon']);
+      expect(order('lfu')).to.deep.equal(['huge', 'soon', 'hot']);
+      expect(order('ttl')).to.deep.equal(['soon', 'huge', 'hot']);
+      expect(order('size')).to.deep.equal(['huge', 'soon', 'hot']);
+    });
+
+    it('should evict least recently used entries first when scores are equal', function() {
+      const sameHits = entries.map(entry => Object.assign({}, entry, { hits: 1 }));
+
+      expect(evictionOrder(findPolicy('lfu'), sameHits, now).map(({ name }) => name))
+      .to.deep.equal(['huge', 'hot', 'soon']);
+    });
+  });
+
+  describe('#isPolicy()', function() {
+    it('should return true only for objects with a score function', function() {
+      expect(isPolicy(policies.lru)).to.be.true;
+      expect(isPolicy({ score: 1 })).to.be.false;
+      expect(isPolicy('lru')).to.be.false;
+    });
+  });
+
+  describe('#findPolicy()', function() {
+    it('should find built-in policies by name and accept custom ones', function() {
+      const largestFirst = { name: 'largest', score: ({ bytes }) => -bytes };
+
+      expect(findPolicy()).to.have.property('name', 'lru');
+      expect(findPolicy('lfu')).to.have.property('score', policies.lfu.score);
+      expect(findPolicy(largestFirst)).to.have.property('name', 'largest');
+      expect(order(largestFirst)).to.deep.equal(['huge', 'soon', 'hot']);
+    });
+
+    it('should throw an EPOLICY error for unknown policies', function() {
+      expect(() => findPolicy('mru')).to.throw(Error).with.property('code', 'EPOLICY');
+      expect(() => findPolicy('toString')).to.throw(Error).with.property('code', 'EPOLICY');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('./common');
+const Hooks = require('../lib/Hooks');
+
+const {
+  hookedMethods,
+  hookNames,
+  createHooks,
+} = Hooks;
+
+describe('Hooks', function() {
+  describe('hookNames', function() {
+    it('should have before and after hooks of each kind and onError', function() {
+      expect(hookNames).to.include.members(['beforeGet', 'afterSet', 'beforeClear', 'onError']);
+      expect(hookNames).to.have.length((2 * Object.keys(hookedMethods).length) + 1);
+    });
+  });
+
+  describe('#createHooks()', function() {
+    it('should throw an EHOOK error for invalid plugins and add none of their hooks', function() {
+      const hooks = createHooks();
+
+      [null, 'plugin', { beforeFetch() {} }, { beforeGet() {}, afterGet: true }].forEach((plugin) => {
+        expect(() => hooks.use(plugin)).to.throw(Error).with.property('code', 'EHOOK');
+      });
+      expect(hooks.has('Get')).to.be.false;
+    });
+
+    it('should run before hooks in order and after hooks in reverse order', function(done) {
+      const hooks = createHooks();
+      const calls = [];
+
+      hooks.use({
+        beforeGet: (context) => {
+          calls.push('before first');
+
+          return [`a:${context.args[0]}`];
+        },
+        afterGet: (result) => {
+          calls.push('after first');
+
+          return Promise.resolve(`${result}!`);
+        },
+      });
+      hooks.use({
+        beforeGet: context => Promise.resolve().then(() => {
+          calls.push('before second');
+
+          return [`b:${context.args[0]}`];
+        }),
+        afterGet: (result, context) => {
+          calls.push(`after second ${context.operation}`);
+
+          return undefined;
+        },
+      });
+
+      expect(hooks.has('Get')).to.be.true;
+      expect(hooks.has('Set')).to.be.false;
+
+      hooks.run('Get', 'getValue', ['name'], (name) => {
+        calls.push(`call ${name}`);
+
+        return Promise.resolve(name.toUpperCase());
+      })
+      .then((result) => {
+        expect(result).to.equal('B:A:NAME!');
+        expect(calls).to.deep.equal([
+          'before first',
+          'before second',
+          'call b:a:name',
+          'after second getValue',
+          'after first',
+        ]);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should call onError hooks with the failure and keep failing', function(done) {
+      const hooks = createHooks();
+      const failures = [];
+      const failure = new Error('not valid');
+
+      hooks.use({
+        beforeSet: () => {
+          throw failure;
+        },
+        onError: (err, { operation, args }) => failures.push({ err, operation, args }),
+      });
+
+      hooks.run('Set', 'set', [{ name: 'entry' }], () => {
+        throw new Error('set should not be called');
+      })
+      .then(() => {
+        throw new Error('the hook should fail the call');
+      }, (err) => {
+        expect(err).to.equal(failure);
+        expect(failures).to.deep.equal([{ err: failure, operation: 'set', args: [{ name: 'entry' }] }]);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should run sync hooks and throw an EHOOK error for Promises', function() {
+      const hooks = createHooks();
+
+      hooks.use({
+        beforeDelete: ({ args: [name] }) => [`tenant:${name}`],
+        afterDelete: result => !result,
+      });
+
+      expect(hooks.runSync('Delete', 'deleteSync', ['entry'], name => name === 'tenant:entry'))
+      .to.be.false;
+
+      hooks.use({ beforeReset: () => Promise.resolve() });
+
+      expect(() => hooks.runSync('Reset', 'resetSync', ['entry'], () => true))
+      .to.throw(Error).with.property('code', 'EHOOK');
+      expect(() => hooks.runSync('Reset', 'resetSync', ['entry'], () => true))
+      .to.throw(/resetSync/);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require('./common');
+const crypto = require('crypto');
+const Integrity = require('../lib/Integrity');
+
+const {
+  digest,
+  createDigest,
+  verify,
+  createVerify,
+} = Integrity;
+
+const data = Buffer.from('data to check');
+const integrity = {
+  algorithm: 'sha256',
+  hash: crypto.createHash('sha256').update(data).digest('hex'),
+  length: data.length,
+};
+
+describe('Integrity', function() {
+  describe('#digest()', function() {
+    it('should compute the hash and the length of strings and Buffers', function() {
+      expect(digest(data)).to.deep.equal(integrity);
+      expect(digest(data.toString('base64'), 'base64')).to.deep.equal(integrity);
+    });
+  });
+
+  describe('#createDigest()', function() {
+    it('should compute the integrity of the data going through it', function(done) {
+      const digestStream = createDigest();
+
+      digestStream.on('data', () => {});
+      digestStream.on('end', () => {
+        expect(digestStream.integrity).to.deep.equal(integrity);
+        done();
+      });
+
+      digestStream.write(data.slice(0, 4));
+      digestStream.end(data.slice(4));
+    });
+  });
+
+  describe('#verify()', function() {
+    it('should return the buffer if it matches', function() {
+      expect(verify(integrity, data)).to.equal(data);
+    });
+
+    it('should throw an ECORRUPT error if the length or the hash do not match', function() {
+      const altered = Buffer.from(data);
+
+      altered[0] = 0;
+
+      expect(() => verify(integrity, data.slice(1))).to.throw(Error).with.property('code', 'ECORRUPT');
+      expect(() => verify(integrity, altered)).to.throw(Error).with.property('code', 'ECORRUPT');
+    });
+  });
+
+  describe('#createVerify()', function() {
+    it('should let matching data go through', function(done) {
+      const verifyStream = createVerify(integrity);
+      const chunks = [];
+
+      verifyStream.on('data', chunk => chunks.push(chunk));
+      verifyStream.on('end', () => {
+        expect(Buffer.concat(chunks).equals(data)).to.be.true;
+        done();
+      });
+      verifyStream.on('error', err => done(err));
+
+      verifyStream.end(data);
+    });
+
+    it('should emit an ECORRUPT error at the end if data do not match', function(done) {
+      let corrupt;
+      const verifyStream = createVerify(integrity, (err) => {
+        corrupt = err;
+      });
+
+      verifyStream.on('data', () => {});
+      verifyStream.on('error', (err) => {
+        expect(err.code).to.equal('ECORRUPT');
+        expect(corrupt).to.equal(err);
+        done();
+      });
+
+      verifyStream.end(data.slice(1));
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require('./common');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Lock = require('../lib/Lock');
+
+const {
+  lockPrefix,
+  defaults,
+  lockOptions,
+  acquire,
+  acquireSync,
+  createLocks,
+} = Lock;
+
+// a pid above the Linux maximum, no process can have it
+const deadPid = 4194304;
+
+describe('Lock', function() {
+  let directory;
+  let lockFile;
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+    lockFile = path.join(directory, `${lockPrefix}entry`);
+  });
+
+  afterEach(function() {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (e) {
+      // released
+    }
+  });
+
+  describe('#lockOptions()', function() {
+    it('should replace missing and invalid options by the defaults', function() {
+      expect(lockOptions()).to.deep.equal(defaults);
+      expect(lockOptions({ wait: 'no', timeout: -1, stale: NaN, retryInterval: 10 }))
+      .to.deep.equal(Object.assign({}, defaults, { retryInterval: 10 }));
+      expect(lockOptions({ wait: false, timeout: 0 })).to.include({ wait: false, timeout: 0 });
+    });
+  });
+
+  describe('#acquire()', function() {
+    it('should create a lock file owned by the process until it is released', function(done) {
+      acquire(lockFile)
+      .then((lock) => {
+        const owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+
+        expect(owner).to.include({ pid: process.pid, hostname: os.hostname(), token: lock.token });
+
+        lock.release();
+        expect(fs.existsSync(lockFile)).to.be.false;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should fail at once with an ELOCKED error when not waiting', function(done) {
+      const lock = acquireSync(lockFile);
+
+      acquire(lockFile, { wait: false })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err).to.have.property('code', 'ELOCKED');
+        expect(err).to.have.property('path', lockFile);
+        expect(err.owner).to.have.property('pid', process.pid);
+        lock.release();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should fail with an ELOCKED error once the timeout is over', function(done) {
+      const lock = acquireSync(lockFile);
+      const start = Date.now();
+
+      acquire(lockFile, { timeout: 60, retryInterval: 10 })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err).to.have.property('code', 'ELOCKED');
+        expect(Date.now() - start).to.be.at.least(60);
+        lock.release();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should acquire the lock once it is released', function(done) {
+      const lock = acquireSync(lockFile);
+
+      setTimeout(() => lock.release(), 30);
+
+      acquire(lockFile, { retryInterval: 10 })
+      .then((next) => {
+        expect(next.token).to.not.equal(lock.token);
+        next.release();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should remove the lock of a process which is not running anymore', function(done) {
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: deadPid, hostname: os.hostname() }));
+
+      acquire(lockFile, { wait: false })
+      .then((lock) => {
+        expect(JSON.parse(fs.readFileSync(lockFile, 'utf8'))).to.have.property('pid', process.pid);
+        lock.release();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should only remove the lock of another host once it is stale', function(done) {
+      const past = (Date.now() - (2 * defaults.stale)) / 1000;
+
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: deadPid, hostname: `not-${os.hostname()}` }));
+
+      acquire(lockFile, { wait: false })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err).to.have.property('code', 'ELOCKED');
+        fs.utimesSync(lockFile, past, past);
+
+        return acquire(lockFile, { wait: false });
+      })
+      .then((lock) => {
+        lock.release();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should not remove a lock taken by another process since it was found stale', function(done) {
+      const { renameSync } = fs;
+
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: deadPid, hostname: os.hostname() }));
+
+      // another process breaks the stale lock and takes it just before it is moved aside
+      fs.renameSync = (...args) => {
+        fs.renameSync = renameSync;
+        fs.unlinkSync(lockFile);
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: 'other' }));
+
+        return renameSync(...args);
+      };
+
+      acquire(lockFile, { wait: false })
+      .then((lock) => {
+        lock.release();
+
+        throw new Error('should have been rejected');
+      }, err => err)
+      .then((err) => {
+        fs.renameSync = renameSync;
+        expect(err).to.have.property('code', 'ELOCKED');
+        expect(err).to.have.deep.property('owner.token', 'other');
+        expect(fs.readdirSync(directory)).to.deep.equal([path.basename(lockFile)]);
+        done();
+      })
+      .catch((err) => {
+        fs.renameSync = renameSync;
+        done(err);
+      });
+    });
+
+    it('should refresh a lock while it is held so that it never gets stale', function(done) {
+      acquire(lockFile, { stale: 100 })
+      .then(lock => new Promise(resolve => setTimeout(resolve, 250))
+        .then(() => acquire(lockFile, { wait: false, stale: 100 }))
+        .then(() => done(new Error('should have been rejected')), (err) => {
+          expect(err).to.have.property('code', 'ELOCKED');
+          expect(Date.now() - fs.statSync(lockFile).mtime.getTime()).to.be.below(100);
+          lock.release();
+          done();
+        }))
+      .catch(err => done(err));
+    });
+  });
+
+  describe('#acquireSync()', function() {
+    it('should throw an ELOCKED error if the lock is held', function() {
+      const lock = acquireSync(lockFile);
+
+      expect(() => acquireSync(lockFile)).to.throw(Error).with.property('code', 'ELOCKED');
+      lock.release();
+      acquireSync(lockFile).release();
+    });
+
+    it('should not remove a lock taken over by another owner when released', function() {
+      const lock = acquireSync(lockFile);
+
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, token: 'other' }));
+      lock.release();
+
+      expect(fs.existsSync(lockFile)).to.be.true;
+    });
+  });
+
+  describe('#createLocks()', function() {
+    it('should hold locks by key in the process without any file', function(done) {
+      const locks = createLocks();
+      const lock = locks.lockSync('entry');
+
+      expect(() => locks.lockSync('entry')).to.throw(Error).with.property('code', 'ELOCKED');
+      expect(fs.readdirSync(directory)).to.deep.equal([]);
+
+      locks.lock('entry', { wait: false })
+      .then(() => {
+        throw new Error('the lock should be held');
+      }, (err) => {
+        expect(err).to.have.property('code', 'ELOCKED');
+        setTimeout(() => lock.release(), 50);
+
+        return locks.lock('entry', { timeout: 1000 });
+      })
+      .then((waited) => {
+        waited.release();
+        locks.lockSync('entry').release();
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
+  after(function() {
+    fs.rmdirSync(directory);
+  });
+});
@@ -0,0 +1,181 @@
+const { expect } = require('./common');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogStore = require('../lib/LogStore');
+
+const {
+  segmentPrefix,
+  defaults,
+  logOptions,
+  createLogStore,
+} = LogStore;
+
+const entry = (name, expires = Date.now() + 60000) => ({ name, expires });
+
+describe('LogStore', function() {
+  let directory;
+  let store;
+
+  // a store on the same directory, as a process started again would open it
+  const reopen = (options) => {
+    store.close();
+    store = createLogStore(directory, options);
+
+    return store.open();
+  };
+
+  const segmentFiles = () => fs.readdirSync(directory)
+  .filter(file => file.indexOf(segmentPrefix) === 0);
+
+  beforeEach(function(done) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+    store = createLogStore(directory, { compactInterval: 0 });
+    store.open()
+    .then(() => done())
+    .catch(err => done(err));
+  });
+
+  describe('#logOptions()', function() {
+    it('should replace missing and invalid options by the defaults', function() {
+      expect(logOptions()).to.deep.equal(defaults);
+      expect(logOptions({ segmentBytes: -1, compactRatio: 'half', compactInterval: 0 }))
+      .to.deep.equal(Object.assign({}, defaults, { compactInterval: 0 }));
+    });
+  });
+
+  describe('#open()', function() {
+    it('should rebuild the index by replaying the segments', function(done) {
+      Promise.all([
+        store.write('a', entry('a'), Buffer.from('first')),
+        store.write('b', entry('b'), Buffer.from('b')),
+      ])
+      .then(() => store.write('a', entry('a'), Buffer.from('second')))
+      .then(() => store.writeMeta('a', Object.assign(entry('a'), { hits: 2 })))
+      .then(() => store.remove('b'))
+      .then(() => reopen())
+      .then(() => Promise.all([store.list(), store.readMeta('a'), store.readData('a')]))
+      .then(([keys, meta, data]) => {
+        expect(keys).to.deep.equal(['a']);
+        expect(meta).to.have.property('hits', 2);
+        expect(data.toString()).to.equal('second');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should truncate a record cut by a crash', function(done) {
+      store.write('a', entry('a'), Buffer.from('kept'))
+      .then(() => {
+        const [file] = segmentFiles();
+        const { size } = fs.statSync(path.join(directory, file));
+
+        // the beginning of a record whose payload has not been written
+        fs.appendFileSync(path.join(directory, file), Buffer.from([0, 0, 0, 2, 0, 0, 0, 9, 123]));
+
+        return reopen().then(() => {
+          expect(fs.statSync(path.join(directory, file)).size).to.equal(size);
+
+          return store.readData('a');
+        });
+      })
+      .then((data) => {
+        expect(data.toString()).to.equal('kept');
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
+  describe('#compact()', function() {
+    it('should reclaim overwritten, removed and expired records', function(done) {
+      const payload = Buffer.alloc(100, 'x');
+
+      reopen({ compactInterval: 0, segmentBytes: 500 })
+      .then(() => [1, 2, 3, 4, 5].reduce((previous, version) => previous
+        .then(() => store.write('a', entry('a'), Buffer.from(`version ${version}`))),
+      Promise.resolve()))
+      .then(() => Promise.all([
+        store.write('b', entry('b'), payload),
+        store.write('expired', entry('expired', Date.now() - 1000), payload),
+        store.write('removed', entry('removed'), payload),
+      ]))
+      .then(() => store.remove('removed'))
+      .then(() => {
+        const usage = store.usage();
+
+        expect(segmentFiles()).to.have.length.above(1);
+        expect(usage.reclaimable).to.be.above(usage.bytes / 2);
+
+        return store.compact();
+      })
+      .then(({ segments, reclaimed }) => {
+        expect(segments).to.be.above(1);
+        expect(reclaimed).to.be.above(0);
+        expect(segmentFiles()).to.have.length(1);
+        expect(store.usage()).to.include({ entries: 2, reclaimable: 0 });
+
+        return reopen();
+      })
+      .then(() => Promise.all([store.list(), store.readData('a'), store.readData('b')]))
+      .then(([keys, a, b]) => {
+        expect(keys.sort()).to.deep.equal(['a', 'b']);
+        expect(a.toString()).to.equal('version 5');
+        expect(b).to.deep.equal(payload);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep the records written while compacting', function(done) {
+      store.write('a', entry('a'), Buffer.from('old'))
+      .then(() => {
+        const compacting = store.compact();
+
+        store.write('a', entry('a'), Buffer.from('new'));
+
+        return compacting;
+      })
+      .then(() => reopen())
+      .then(() => store.readData('a'))
+      .then((data) => {
+        expect(data.toString()).to.equal('new');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep the payloads of entries reset while compacting', function(done) {
+      const reset = entry('k', Date.now() + 120000);
+
+      store.write('k', entry('k'), Buffer.from('payload'))
+      .then(() => {
+        const compacting = store.compact();
+
+        // once the payload is being read from the sealed segment
+        return Promise.resolve()
+        .then(() => store.writeMetaSync('k', reset))
+        .then(() => compacting);
+      })
+      .then(({ segments }) => {
+        expect(segments).to.equal(1);
+        expect(store.readDataSync('k').toString()).to.equal('payload');
+
+        return reopen();
+      })
+      .then(() => Promise.all([store.readMeta('k'), store.readData('k')]))
+      .then(([meta, data]) => {
+        expect(meta).to.deep.equal(reset);
+        expect(data.toString()).to.equal('payload');
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
+  afterEach(function() {
+    store.close();
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  });
+});
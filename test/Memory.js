@@ -0,0 +1,80 @@
+const { expect } = require('./common');
+const Memory = require('../lib/Memory');
+
+const {
+  defaults,
+  memoryOptions,
+  createMemory,
+} = Memory;
+
+const confObj = { name: 'entry' };
+const confBytes = Buffer.byteLength(JSON.stringify(confObj));
+
+describe('Memory', function() {
+  describe('#memoryOptions()', function() {
+    it('should replace missing and invalid options by the defaults', function() {
+      expect(memoryOptions()).to.deep.equal(defaults);
+      expect(memoryOptions({ maxEntries: -1, maxBytes: 'a lot', maxItemBytes: 10 }))
+      .to.deep.equal(Object.assign({}, defaults, { maxItemBytes: 10 }));
+    });
+  });
+
+  describe('#createMemory()', function() {
+    it('should keep nothing when disabled', function() {
+      const memory = createMemory(false);
+
+      memory.set('a', confObj, Buffer.from('a'), memory.mark());
+
+      expect(memory.enabled).to.be.false;
+      expect(memory.fits(0)).to.be.false;
+      expect(memory.get('a')).to.be.undefined;
+    });
+
+    it('should keep a copy of small payloads only', function() {
+      const memory = createMemory({ maxItemBytes: 4 });
+      const payload = Buffer.from('abcd');
+
+      memory.set('small', confObj, payload, memory.mark());
+      memory.set('large', confObj, Buffer.from('abcde'), memory.mark());
+      payload.write('z');
+
+      expect(memory.get('small')).to.have.property('payload').that.deep.equals(Buffer.from('abcd'));
+      expect(memory.get('large')).to.have.property('confObj', confObj);
+      expect(memory.get('large').payload).to.be.undefined;
+      expect(memory.usage()).to.deep.equal({ entries: 2, bytes: (2 * confBytes) + 4 });
+    });
+
+    it('should drop the least recently used items beyond its bounds', function() {
+      const memory = createMemory({ maxEntries: 2, maxBytes: (3 * confBytes) + 2 });
+
+      ['a', 'b'].forEach(key => memory.set(key, confObj, Buffer.from(key), memory.mark()));
+      memory.get('a');
+      memory.set('c', confObj, Buffer.from('c'), memory.mark());
+
+      expect(memory.get('b')).to.be.undefined;
+      expect(memory.usage()).to.have.property('entries', 2);
+
+      memory.set('d', confObj, Buffer.from('dd'), memory.mark());
+
+      expect(memory.get('a')).to.be.undefined;
+      expect(memory.get('c')).to.not.be.undefined;
+      expect(memory.usage()).to.deep.equal({ entries: 2, bytes: (2 * confBytes) + 3 });
+    });
+
+    it('should not keep an item read before a write', function() {
+      const memory = createMemory(true);
+      const since = memory.mark();
+
+      memory.set('a', confObj, Buffer.from('a'), since);
+      memory.delete('a');
+      memory.set('a', confObj, Buffer.from('old a'), since);
+
+      expect(memory.get('a')).to.be.undefined;
+
+      memory.set('a', confObj, Buffer.from('a'), memory.mark());
+      memory.clear();
+
+      expect(memory.usage()).to.deep.equal({ entries: 0, bytes: 0 });
+    });
+  });
+});
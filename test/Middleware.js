@@ -0,0 +1,280 @@
+const { expect } = require('./common');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const cache = require('../lib');
+const Middleware = require('../lib/Middleware');
+
+const {
+  defaults,
+  middlewareOptions,
+  createMiddleware,
+} = Middleware;
+
+describe('Middleware', function() {
+  let server;
+  let instance;
+  let renders;
+  let respond;
+
+  // send a request to the server, resolve with { status, headers, body, bytes }
+  const request = (path, method = 'GET', headers = {}) => new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path,
+      method,
+      headers,
+    }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        const bytes = Buffer.concat(chunks);
+
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: bytes.toString(),
+          bytes,
+        });
+      });
+    });
+
+    req.on('error', reject);
+    req.end();
+  });
+
+  // the entries are saved once the responses have been sent
+  const saved = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  const listen = (middleware) => {
+    server = http.createServer((req, res) => middleware(req, res, () => {
+      renders += 1;
+      respond(req, res);
+    }));
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  };
+
+  beforeEach(function() {
+    instance = cache.createCache({ store: 'memory' });
+    renders = 0;
+    respond = (req, res) => {
+      res.setHeader('Content-Type', 'application/xml');
+      res.write('<page>');
+      res.end(`${req.url}</page>`);
+    };
+  });
+
+  describe('#middlewareOptions()', function() {
+    it('should replace missing and invalid options by the defaults', function() {
+      expect(middlewareOptions()).to.deep.equal(defaults);
+      expect(middlewareOptions({ methods: ['get', 'head'], maxBytes: -1, header: false }))
+      .to.include({ maxBytes: defaults.maxBytes, header: false })
+      .and.to.have.property('methods').that.deep.equals(['GET', 'HEAD']);
+    });
+  });
+
+  describe('#createMiddleware()', function() {
+    it('should serve the responses saved on misses from the cache', function(done) {
+      listen(instance.middleware())
+      .then(() => request('/page?id=1'))
+      .then((miss) => {
+        expect(miss).to.include({ status: 200, body: '<page>/page?id=1</page>' });
+        expect(miss.headers).to.have.property('x-cache', 'MISS');
+
+        return saved().then(() => request('/page?id=1'));
+      })
+      .then((hit) => {
+        expect(renders).to.equal(1);
+        expect(hit).to.include({ status: 200, body: '<page>/page?id=1</page>' });
+        expect(hit.headers).to.include({
+          'x-cache': 'HIT',
+          'content-type': 'application/xml',
+          age: '0',
+        });
+        expect(instance.getSync('GET /page?id=1')).to.have.deep.property('relatedData.status', 200);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should serve the same bytes on hits as on misses from the fs store', function(done) {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      const bodies = {
+        '/text': Buffer.from('<city>Besançon, Zürich, 東京</city>'),
+        '/binary': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80, 0xc3, 0x28]),
+      };
+      const paths = Object.keys(bodies);
+      let misses;
+
+      instance = cache.createCache({ directory });
+      respond = (req, res) => {
+        res.setHeader('Content-Length', bodies[req.url].length);
+        res.end(bodies[req.url]);
+      };
+
+      listen(instance.middleware())
+      .then(() => Promise.all(paths.map(path => request(path))))
+      .then((responses) => {
+        misses = responses;
+
+        return saved().then(() => Promise.all(paths.map(path => request(path))));
+      })
+      .then((hits) => {
+        expect(renders).to.equal(2);
+        hits.forEach((hit, i) => {
+          expect(hit.headers).to.have.property('x-cache', 'HIT');
+          expect(hit.headers).to.have.property('content-length', String(bodies[paths[i]].length));
+          expect(hit.bytes.equals(misses[i].bytes)).to.be.true;
+          expect(hit.bytes.equals(bodies[paths[i]])).to.be.true;
+        });
+
+        instance.clearSync();
+        fs.rmdirSync(directory);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should bypass other methods, error statuses and private responses', function(done) {
+      respond = (req, res) => {
+        const [, status, header] = req.url.split('/');
+
+        res.statusCode = Number(status);
+
+        if (header === 'cookie') {
+          res.setHeader('Set-Cookie', 'session=secret');
+        } else if (header === 'private') {
+          res.setHeader('Cache-Control', 'private, max-age=60');
+        }
+
+        res.end(`${renders}`);
+      };
+
+      const paths = ['/200/cookie', '/200/private', '/500/none', '/404/none'];
+
+      listen(createMiddleware(instance))
+      .then(() => request('/200/none', 'POST'))
+      .then((posted) => {
+        expect(posted.headers).to.not.have.property('x-cache');
+
+        return Promise.all(paths.map(path => request(path)));
+      })
+      .then(saved)
+      .then(() => Promise.all(paths.map(path => request(path))))
+      .then((responses) => {
+        expect(renders).to.equal(9);
+        expect(responses.map(({ headers }) => headers['x-cache'])).to.deep.equal(['MISS', 'MISS', 'MISS', 'MISS']);
+        expect(responses.map(({ status }) => status)).to.deep.equal([200, 200, 500, 404]);
+
+        return instance.stats();
+      })
+      .then(({ entries }) => {
+        expect(entries).to.equal(0);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should serve responses to the requests with the same values of the varied headers', function(done) {
+      const english = { 'Accept-Language': 'en' };
+      const french = { 'Accept-Language': 'fr' };
+
+      respond = (req, res) => {
+        res.setHeader('Vary', req.url === '/any' ? '*' : 'Accept-Language');
+        res.end(`${req.url} ${req.headers['accept-language']}`);
+      };
+
+      listen(instance.middleware())
+      .then(() => request('/page', 'GET', english))
+      .then(saved)
+      .then(() => request('/page', 'GET', french))
+      .then((miss) => {
+        expect(miss).to.include({ body: '/page fr' });
+        expect(miss.headers).to.have.property('x-cache', 'MISS');
+
+        return saved().then(() => Promise.all([request('/page', 'GET', french), request('/any', 'GET', english)]));
+      })
+      .then(([hit, any]) => {
+        expect(hit).to.include({ body: '/page fr' });
+        expect(hit.headers).to.include({ 'x-cache': 'HIT', vary: 'Accept-Language' });
+        expect(instance.getSync('GET /page')).to.have.deep.property('relatedData.vary')
+        .that.deep.equals({ 'accept-language': 'fr' });
+        expect(any.headers).to.have.property('x-cache', 'MISS');
+
+        return saved().then(() => request('/any', 'GET', english));
+      })
+      .then((any) => {
+        expect(any.headers).to.have.property('x-cache', 'MISS');
+        expect(renders).to.equal(4);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should save the headers of responses without getHeaders', function(done) {
+      // Node 6 responses have no getHeaders but their headers in _headers
+      respond = (req, res) => {
+        const { getHeaders } = res;
+
+        Object.defineProperty(res, '_headers', { get: () => getHeaders.call(res) });
+        res.getHeaders = undefined;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end('page');
+      };
+
+      listen(instance.middleware())
+      .then(() => request('/page'))
+      .then(saved)
+      .then(() => request('/page'))
+      .then((hit) => {
+        expect(hit.headers).to.include({ 'x-cache': 'HIT', 'content-type': 'text/plain' });
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should use the key, time, statuses and header given', function(done) {
+      const middleware = instance.middleware({
+        key: req => req.url.split('?')[0],
+        time: 5000,
+        statuses: [404],
+        header: 'X-Page-Cache',
+      });
+
+      respond = (req, res) => {
+        res.statusCode = 404;
+        res.end(Buffer.from('not found'));
+      };
+
+      listen(middleware)
+      .then(() => request('/missing?first'))
+      .then(saved)
+      .then(() => request('/missing?second'))
+      .then((hit) => {
+        const { expires, lastModified } = instance.getSync('/missing');
+
+        expect(renders).to.equal(1);
+        expect(hit).to.include({ status: 404, body: 'not found' });
+        expect(hit.headers).to.have.property('x-page-cache', 'HIT');
+        expect(hit.headers).to.not.have.property('x-cache');
+        expect(expires - lastModified).to.equal(5000);
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
+  afterEach(function(done) {
+    if (server) {
+      server.close(() => done());
+      server = undefined;
+    } else {
+      done();
+    }
+  });
+});
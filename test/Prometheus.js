@@ -0,0 +1,112 @@
+const { expect } = require('./common');
+const Prometheus = require('../lib/Prometheus');
+const { createStats, durationBuckets } = require('../lib/Stats');
+
+const {
+  contentType,
+  metricsOptions,
+  formatMetrics,
+  renderMetrics,
+} = Prometheus;
+
+// the stats of an instance as given by its stats() method
+const statsOf = (record) => {
+  const stats = createStats();
+
+  record(stats);
+
+  return Object.assign(stats.snapshot(), { entries: 2, bytes: 1024, oldestAge: 1500 });
+};
+
+describe('Prometheus', function() {
+  describe('#metricsOptions()', function() {
+    it('should check the prefix and the label names', function() {
+      expect(metricsOptions()).to.deep.equal({ prefix: 'cache_', labels: {} });
+      expect(metricsOptions({ prefix: 'app_', labels: { cache: 'pages', shard: 1 } }))
+      .to.deep.equal({ prefix: 'app_', labels: { cache: 'pages', shard: '1' } });
+
+      [
+        { prefix: 'my-app' },
+        { prefix: 1 },
+        { labels: 'pages' },
+        { labels: { 'cache-name': 'pages' } },
+        { labels: { __name__: 'pages' } },
+        { labels: { le: '1' } },
+      ].forEach(options => expect(() => metricsOptions(options)).to.throw(Error)
+      .with.property('code', 'EMETRICS'));
+    });
+  });
+
+  describe('#formatMetrics()', function() {
+    it('should render counters, gauges and histograms in the text format', function() {
+      const stats = statsOf((recorder) => {
+        recorder.record('hit', { operation: 'get', duration: 0.2, bytes: 10 });
+        recorder.record('miss', { operation: 'get', duration: 3 });
+        recorder.record('set', { operation: 'set', duration: 20000, bytes: 20 });
+      });
+      const lines = formatMetrics([{ stats, labels: { cache: 'pa"ges\\n' } }], 'app_').split('\n');
+      const labels = 'cache="pa\\"ges\\\\n"';
+
+      expect(lines).to.include.members([
+        '# HELP app_reads_total Entries read by get, getValue, getBuffer and their sync versions, by result.',
+        '# TYPE app_reads_total counter',
+        `app_reads_total{${labels},result="hit"} 1`,
+        `app_reads_total{${labels},result="miss"} 1`,
+        `app_reads_total{${labels},result="stale"} 0`,
+        `app_writes_total{${labels}} 1`,
+        `app_written_bytes_total{${labels}} 20`,
+        '# TYPE app_entries gauge',
+        `app_entries{${labels}} 2`,
+        `app_bytes{${labels}} 1024`,
+        `app_oldest_entry_age_seconds{${labels}} 1.5`,
+        '# TYPE app_operation_duration_seconds histogram',
+        `app_operation_duration_seconds_bucket{${labels},operation="get",le="0.0005"} 1`,
+        `app_operation_duration_seconds_bucket{${labels},operation="get",le="0.0025"} 1`,
+        `app_operation_duration_seconds_bucket{${labels},operation="get",le="0.005"} 2`,
+        `app_operation_duration_seconds_bucket{${labels},operation="get",le="+Inf"} 2`,
+        `app_operation_duration_seconds_count{${labels},operation="get"} 2`,
+        `app_operation_duration_seconds_bucket{${labels},operation="set",le="5"} 0`,
+        `app_operation_duration_seconds_bucket{${labels},operation="set",le="+Inf"} 1`,
+        `app_operation_duration_seconds_sum{${labels},operation="set"} 20`,
+      ]);
+      expect(lines.filter(line => line.indexOf('app_operation_duration_seconds_bucket') === 0))
+      .to.have.length(2 * (durationBuckets.length + 1));
+      expect(lines[lines.length - 1]).to.equal('');
+    });
+
+    it('should give each family once for several instances', function() {
+      const stats = statsOf(() => undefined);
+      const text = formatMetrics([
+        { stats, labels: { cache: 'pages' } },
+        { stats, labels: { cache: 'images' } },
+      ]);
+
+      expect(text.match(/# TYPE cache_entries gauge/g)).to.have.length(1);
+      expect(text).to.contain('cache_entries{cache="pages"} 2\ncache_entries{cache="images"} 2\n');
+      expect(text).to.not.contain('cache_operation_duration_seconds_bucket');
+    });
+  });
+
+  describe('#renderMetrics()', function() {
+    it('should render the stats of caches with their labels', function(done) {
+      const stats = statsOf(() => undefined);
+      const cache = { stats: () => Promise.resolve(stats) };
+
+      expect(contentType).to.match(/^text\/plain; version=0\.0\.4/);
+
+      renderMetrics([{ cache, labels: { cache: 'pages' } }, { cache }], { labels: { app: 'web' } })
+      .then((text) => {
+        expect(text).to.contain('cache_entries{app="web",cache="pages"} 2\ncache_entries{app="web"} 2\n');
+
+        return renderMetrics(cache, { prefix: 'bad prefix' });
+      })
+      .then(() => {
+        throw new Error('the prefix should not be valid');
+      }, (err) => {
+        expect(err).to.have.property('code', 'EMETRICS');
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+});
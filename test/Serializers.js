@@ -0,0 +1,101 @@
+const { expect } = require('./common');
+const Serializers = require('../lib/Serializers');
+
+const {
+  builtins,
+  isSerializer,
+  resolveSerializer,
+  findSerializer,
+  registerSerializer,
+} = Serializers;
+
+const upper = {
+  name: 'upper',
+  encode: value => value.toUpperCase(),
+  decode: buffer => buffer.toString().toLowerCase(),
+};
+
+describe('Serializers', function() {
+  describe('builtins', function() {
+    it('should round-trip strings, Buffers and JSON', function() {
+      const { string, buffer, json } = builtins;
+
+      expect(string.decode(Buffer.from(string.encode('str')), 'utf8')).to.equal('str');
+      expect(buffer.decode(buffer.encode(Buffer.from('buf'))).toString()).to.equal('buf');
+      expect(json.decode(Buffer.from(json.encode({ a: [1] })), 'utf8')).to.deep.equal({ a: [1] });
+    });
+
+    it('should round-trip Dates and Maps with v8', function() {
+      const { v8 } = builtins;
+      const date = new Date();
+      const value = v8.decode(v8.encode({ date, map: new Map([[1, 2]]) }));
+
+      expect(value.date.getTime()).to.equal(date.getTime());
+      expect(value.map.get(1)).to.equal(2);
+    });
+
+    it('should throw when a value cannot be encoded', function() {
+      expect(() => builtins.string.encode(5)).to.throw(TypeError);
+      expect(() => builtins.buffer.encode('str')).to.throw(TypeError);
+      expect(() => builtins.json.encode(undefined)).to.throw(TypeError);
+    });
+  });
+
+  describe('#isSerializer()', function() {
+    it('should return true only for objects with encode and decode functions', function() {
+      expect(isSerializer(upper)).to.be.true;
+      expect(isSerializer({ encode() {} })).to.be.false;
+      expect(isSerializer()).to.be.false;
+      expect(isSerializer('json')).to.be.false;
+    });
+  });
+
+  describe('#findSerializer()', function() {
+    it('should find custom serializers first then built-in ones', function() {
+      expect(findSerializer('upper', { upper })).to.have.property('name', 'upper');
+      expect(findSerializer('json', { upper })).to.have.property('encode', builtins.json.encode);
+    });
+
+    it('should throw an ESERIALIZER error for unknown names', function() {
+      expect(() => findSerializer('unknown')).to.throw(Error).with.property('code', 'ESERIALIZER');
+      expect(() => findSerializer('toString')).to.throw(Error).with.property('code', 'ESERIALIZER');
+    });
+  });
+
+  describe('#resolveSerializer()', function() {
+    it('should keep strings and Buffers as is and use JSON otherwise by default', function() {
+      expect(resolveSerializer(undefined, 'str')).to.have.property('name', 'string');
+      expect(resolveSerializer(undefined, Buffer.from('buf'))).to.have.property('name', 'buffer');
+      expect(resolveSerializer(undefined, 0)).to.have.property('name', 'json');
+    });
+
+    it('should only accept strings and Buffers with raw', function() {
+      expect(resolveSerializer('raw', 'str')).to.have.property('name', 'string');
+      expect(() => resolveSerializer('raw', {})).to.throw(Error).with.property('code', 'ESERIALIZER');
+    });
+
+    it('should accept names and inline serializers', function() {
+      expect(resolveSerializer('upper', 'str', { upper })).to.have.property('name', 'upper');
+      expect(resolveSerializer(upper, 'str')).to.have.property('name', 'upper');
+      expect(() => resolveSerializer({ encode() {}, decode() {} }, 'str')).to.throw(Error).with.property('code', 'ESERIALIZER');
+    });
+  });
+
+  describe('#registerSerializer()', function() {
+    it('should keep inline serializers by name', function() {
+      const custom = {};
+
+      expect(registerSerializer(upper, custom)).to.deep.equal({ upper });
+      expect(registerSerializer(Object.assign({}, upper), custom)).to.deep.equal({ upper });
+    });
+
+    it('should refuse names given to other serializers', function() {
+      const other = { name: 'upper', encode: value => value, decode: buffer => buffer.toString() };
+
+      ['upper', 'json', 'raw'].forEach((name) => {
+        expect(() => registerSerializer(Object.assign({}, other, { name }), { upper }))
+        .to.throw(Error).with.property('code', 'ESERIALIZER');
+      });
+    });
+  });
+});
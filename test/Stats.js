@@ -0,0 +1,91 @@
+const { expect } = require('./common');
+const Stats = require('../lib/Stats');
+
+const {
+  sampleSize,
+  durationBuckets,
+  counters,
+  percentile,
+  createStats,
+} = Stats;
+
+describe('Stats', function() {
+  describe('#percentile()', function() {
+    it('should give the nearest-rank percentile of sorted durations', function() {
+      const sorted = Array.from({ length: 100 }, (value, i) => i + 1);
+
+      expect(percentile(sorted, 50)).to.equal(50);
+      expect(percentile(sorted, 95)).to.equal(95);
+      expect(percentile(sorted, 99)).to.equal(99);
+      expect(percentile([3], 99)).to.equal(3);
+      expect(percentile([], 50)).to.equal(0);
+    });
+  });
+
+  describe('#createStats()', function() {
+    it('should count events and the bytes of hits and sets', function() {
+      const stats = createStats();
+
+      stats.record('hit', { operation: 'get', duration: 1, bytes: 10 });
+      stats.record('hit', { operation: 'getValue', duration: 2, bytes: 5 });
+      stats.record('miss', { operation: 'get', duration: 3 });
+      stats.record('stale', { operation: 'get', duration: 4 });
+      stats.record('set', { operation: 'set', duration: 5, bytes: 20 });
+      stats.record('evict', { name: 'old', bytes: 100 });
+      stats.record('unknown', {});
+
+      const snapshot = stats.snapshot();
+
+      expect(snapshot).to.include({
+        hits: 2,
+        misses: 1,
+        stale: 1,
+        writes: 1,
+        evictions: 1,
+        errors: 0,
+        bytesRead: 15,
+        bytesWritten: 20,
+        hitRatio: 0.5,
+      });
+      expect(Object.keys(snapshot.latency).sort()).to.deep.equal(['get', 'getValue', 'set']);
+      expect(snapshot.latency.get).to.include({
+        count: 3,
+        sum: 8,
+        mean: 8 / 3,
+        p50: 3,
+        p99: 4,
+      });
+      expect(snapshot.latency.get.buckets).to.have.length(durationBuckets.length);
+      expect(snapshot.latency.get.buckets.slice(0, 4)).to.deep.equal([0, 1, 1, 3]);
+      Object.keys(counters).forEach(event => expect(snapshot).to.have.property(counters[event]));
+    });
+
+    it('should keep the latest durations of each operation only', function() {
+      const stats = createStats();
+
+      for (let i = 0; i < sampleSize; i += 1) {
+        stats.record('hit', { operation: 'get', duration: 1000 });
+      }
+
+      for (let i = 0; i < sampleSize; i += 1) {
+        stats.record('hit', { operation: 'get', duration: 1 });
+      }
+
+      expect(stats.snapshot().latency.get).to.include({
+        count: 2 * sampleSize,
+        mean: 500.5,
+        p99: 1,
+      });
+    });
+
+    it('should start over when reset', function() {
+      const stats = createStats();
+
+      stats.record('miss', { operation: 'get', duration: 1 });
+      stats.reset();
+
+      expect(stats.snapshot()).to.include({ misses: 0, hitRatio: 0 });
+      expect(stats.snapshot().latency).to.deep.equal({});
+    });
+  });
+});
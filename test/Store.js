@@ -0,0 +1,224 @@
+const { expect } = require('./common');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Store = require('../lib/Store');
+const { readStream } = require('../lib/Utils');
+
+const {
+  stores,
+  requiredMethods,
+  isStore,
+  createStore,
+} = Store;
+
+const confObj = { name: 'entry', size: 4 };
+
+describe('Store', function() {
+  Object.keys(stores).forEach((storeName) => {
+    describe(`${storeName} store`, function() {
+      let directory;
+      let store;
+
+      beforeEach(function(done) {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+        store = createStore(storeName, directory);
+        store.open()
+        .then(() => done())
+        .catch(err => done(err));
+      });
+
+      it('should write, read, list and remove entries by key', function(done) {
+        // conf objects are written with the location of their payload as the cache does
+        const entryConf = store.location
+          ? Object.assign({}, confObj, { file: { path: store.location('entry') } })
+          : confObj;
+
+        store.write('entry', entryConf, Buffer.from('data'))
+        .then(() => Promise.all([
+          store.readMeta('entry'),
+          store.readData('entry'),
+          store.createReadStream('entry').then(rstream => readStream(rstream)),
+          store.list(),
+        ]))
+        .then(([meta, data, streamed, keys]) => {
+          expect(meta).to.deep.equal(entryConf);
+          expect(data.toString()).to.equal('data');
+          expect(streamed.toString()).to.equal('data');
+          expect(keys).to.deep.equal(['entry']);
+
+          return store.writeMeta('entry', Object.assign({}, meta, { hits: 1 }));
+        })
+        .then(() => Promise.all([store.readMeta('entry'), store.readData('entry')]))
+        .then(([meta, data]) => {
+          expect(meta).to.have.property('hits', 1);
+          expect(data.toString()).to.equal('data');
+
+          return Promise.all([store.remove('entry'), store.list()]);
+        })
+        .then(([removed]) => {
+          expect(removed).to.be.true;
+
+          return Promise.all([store.remove('entry'), store.list()]);
+        })
+        .then(([removed, keys]) => {
+          expect(removed).to.be.false;
+          expect(keys).to.deep.equal([]);
+          done();
+        })
+        .catch(err => done(err));
+      });
+
+      it('should reject missing entries with ENOENT and kept ones with EEXIST', function(done) {
+        Promise.all([
+          store.readMeta('missing').catch(err => err),
+          store.readData('missing').catch(err => err),
+        ])
+        .then((errors) => {
+          errors.forEach(err => expect(err).to.have.property('code', 'ENOENT'));
+
+          return store.write('entry', confObj, Buffer.from('data'));
+        })
+        .then(() => store.write('entry', confObj, Buffer.from('other'), { override: false }))
+        .then(() => {
+          throw new Error('the entry should not be overridden');
+        }, (err) => {
+          expect(err).to.have.property('code', 'EEXIST');
+
+          return store.readData('entry');
+        })
+        .then((data) => {
+          expect(data.toString()).to.equal('data');
+          done();
+        })
+        .catch(err => done(err));
+      });
+
+      it('should have synchronous methods', function() {
+        store.lockSync('entry').release();
+
+        expect(() => store.readMetaSync('entry')).to.throw(Error).with.property('code', 'ENOENT');
+        expect(store.listSync()).to.deep.equal([]);
+        expect(store.removeSync('entry')).to.be.false;
+      });
+
+      afterEach(function() {
+        if (store.close) {
+          store.close();
+        }
+
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+      });
+    });
+  });
+
+  describe('fs store data files', function() {
+    let directory;
+    let store;
+
+    beforeEach(function(done) {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      store = createStore('fs', directory);
+      store.open()
+      .then(() => done())
+      .catch(err => done(err));
+    });
+
+    it('should give readers the payload of the conf object read while it is written', function(done) {
+      const writeEntry = n => store.write('entry', {
+        name: 'entry',
+        n,
+        file: { path: store.location('entry') },
+      }, Buffer.from(`data ${n}`));
+      // a data file removed after its conf object has been read is missing, never mismatched
+      const readEntry = () => store.readMeta('entry')
+      .then(meta => store.readData('entry', meta)
+        .then(data => expect(data.toString()).to.equal(`data ${meta.n}`)))
+      .catch((err) => {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      });
+      let writing = true;
+      const readWhileWriting = () => readEntry().then(() => writing && readWhileWriting());
+      const writeAll = () => Array.from({ length: 50 }, (value, i) => i + 1)
+      .reduce((previous, n) => previous.then(() => writeEntry(n)), Promise.resolve())
+      .then(() => {
+        writing = false;
+      });
+
+      writeEntry(0)
+      .then(() => Promise.all([writeAll(), readWhileWriting(), readWhileWriting()]))
+      .then(() => store.readMeta('entry'))
+      .then((meta) => {
+        expect(meta).to.have.property('n', 50);
+        expect(fs.readdirSync(directory).sort()).to.deep.equal([
+          'entry_conf.json',
+          path.basename(meta.file.path),
+        ]);
+
+        return store.remove('entry');
+      })
+      .then(() => {
+        expect(fs.readdirSync(directory)).to.be.empty;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should read the data files of conf objects written before write ids', function(done) {
+      fs.writeFileSync(path.join(directory, 'entry_conf.json'), JSON.stringify(confObj));
+      fs.writeFileSync(path.join(directory, 'entry_conf.json_entry'), 'data');
+
+      store.readData('entry')
+      .then((data) => {
+        expect(data.toString()).to.equal('data');
+
+        return store.write('entry', confObj, Buffer.from('other'));
+      })
+      .then(() => store.readMeta('entry'))
+      .then((meta) => {
+        expect(fs.readdirSync(directory).sort()).to.deep.equal([
+          'entry_conf.json',
+          path.basename(meta.file.path),
+        ]);
+
+        return store.readData('entry', meta);
+      })
+      .then((data) => {
+        expect(data.toString()).to.equal('other');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    afterEach(function() {
+      fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+      fs.rmdirSync(directory);
+    });
+  });
+
+  describe('#isStore()', function() {
+    it('should return true only for objects with all the required methods', function() {
+      const adapter = {};
+
+      requiredMethods.forEach((method) => {
+        adapter[method] = () => Promise.resolve();
+      });
+
+      expect(isStore(adapter)).to.be.true;
+      expect(isStore(Object.assign({}, adapter, { list: undefined }))).to.be.false;
+      expect(isStore('memory')).to.be.false;
+    });
+  });
+
+  describe('#createStore()', function() {
+    it('should throw an ESTORE error for unknown stores and incomplete adapters', function() {
+      expect(() => createStore('redis')).to.throw(Error).with.property('code', 'ESTORE');
+      expect(() => createStore({ open() {} })).to.throw(/readMeta/)
+      .with.property('code', 'ESTORE');
+      expect(() => createStore('toString')).to.throw(Error).with.property('code', 'ESTORE');
+    });
+  });
+});
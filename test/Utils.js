@@ -1,4 +1,6 @@
 const { expect } = require('./common');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const Utils = require('../lib/Utils');
 const ReadStream = require('stream').Readable;
@@ -8,6 +10,20 @@ const {
   getFileSync,
   getJSON,
   getFileStream,
+  readStream,
+  toFileName,
+  mkdirp,
+  checkDirectory,
+  tmpPrefix,
+  tmpFile,
+  writeTmpFile,
+  commitFile,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  inBatches,
+  mergeOptions,
+  isStaleTmpFile,
+  removeTmpFiles,
   time,
 } = Utils;
 
@@ -301,6 +317,60 @@ describe('Utils', function() {
     });
   });
 
+  describe('#toFileName()', function() {
+    it('should keep simple names readable', function() {
+      expect(toFileName('test')).to.equal('test');
+      expect(toFileName('my-file_1.xml')).to.equal('my-file_1.xml');
+    });
+
+    it('should escape path separators, NUL, reserved characters and a trailing dot', function() {
+      expect(toFileName('../a/b')).to.equal('..%2Fa%2Fb');
+      expect(toFileName('a\\b')).to.equal('a%5Cb');
+      expect(toFileName('\u0000')).to.equal('%00');
+      expect(toFileName('a:b*c?')).to.equal('a%3Ab%2Ac%3F');
+      expect(toFileName('..')).to.equal('.%2E');
+      expect(toFileName('é')).to.equal('%E9');
+      expect(toFileName('\u20AC')).to.equal('%u20AC');
+    });
+
+    it('should escape a trailing conf extension so that data files never end like conf files', function() {
+      expect(toFileName('a_conf.json')).to.equal('a_conf%2Ejson');
+      expect(toFileName('a_conf.json_a')).to.equal('a_conf.json_a');
+      expect(toFileName('a_conf%2Ejson')).to.not.equal(toFileName('a_conf.json'));
+    });
+
+    it('should never map two different names to the same file name', function() {
+      expect(toFileName('%2F')).to.not.equal(toFileName('/'));
+      expect(toFileName('%u20AC')).to.not.equal(toFileName('\u20AC'));
+    });
+
+    it('should escape upper-case letters so that names differing by case never share a file on case-insensitive file systems', function() {
+      expect(toFileName('Page')).to.equal('%50age');
+      expect(toFileName('ABC')).to.equal('%41%42%43');
+      expect(toFileName('Page').toLowerCase()).to.not.equal(toFileName('page').toLowerCase());
+      expect(toFileName('%50age')).to.not.equal(toFileName('Page'));
+    });
+
+    it('should escape the names reserved by Windows', function() {
+      expect(toFileName('con')).to.equal('%63on');
+      expect(toFileName('Nul')).to.equal('%4Eul');
+      expect(toFileName('nul.txt')).to.equal('%6Eul.txt');
+      expect(toFileName('com1')).to.equal('%63om1');
+      expect(toFileName('lpt9.tar.gz')).to.equal('%6Cpt9.tar.gz');
+      expect(toFileName('aux')).to.not.equal(toFileName('%61ux'));
+      expect(toFileName('console')).to.equal('console');
+      expect(toFileName('com10')).to.equal('com10');
+    });
+
+    it('should hash long names into a short file name', function() {
+      const long = toFileName('x'.repeat(1000));
+
+      expect(long.length).to.be.below(101);
+      expect(long).to.contain('~');
+      expect(long).to.not.equal(toFileName(`${'x'.repeat(999)}y`));
+    });
+  });
+
   describe('#getFileStream()', function() {
     context('when file exists', function() {
       it('should resolve a stream', function(done) {
@@ -311,6 +381,38 @@ describe('Utils', function() {
         })
         .catch(err => done(err));
       });
+
+      it('should resolve a stream that still flows', function(done) {
+        getFileStream(goodJson)
+        .then((rstream) => {
+          let content = '';
+
+          rstream.on('data', (chunk) => {
+            content += chunk;
+          });
+
+          rstream.on('end', () => {
+            expect(content).to.equal(fs.readFileSync(goodJson, 'utf8'));
+            done();
+          });
+
+          rstream.resume();
+        })
+        .catch(err => done(err));
+      });
+
+      it('should resolve a stream of Buffers with the buffer encoding', function(done) {
+        getFileStream(goodJson, 'buffer')
+        .then((rstream) => {
+          rstream.once('data', (chunk) => {
+            expect(Buffer.isBuffer(chunk)).to.be.true;
+            done();
+          });
+
+          rstream.resume();
+        })
+        .catch(err => done(err));
+      });
     });
 
     context('when file does not exist', function() {
@@ -320,6 +422,19 @@ describe('Utils', function() {
     });
   });
 
+  describe('#readStream()', function() {
+    it('should resolve with the whole content as a Buffer', function(done) {
+      getFileStream(goodJson)
+      .then(rstream => readStream(rstream))
+      .then((buffer) => {
+        expect(Buffer.isBuffer(buffer)).to.be.true;
+        expect(buffer.equals(fs.readFileSync(goodJson))).to.be.true;
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
   describe('#getJSON()', function() {
     context('when file has a correct JSON format', function() {
       it('should resolve with a JavaScript Object', function(done) {
@@ -400,4 +515,236 @@ describe('Utils', function() {
       });
     });
   });
+
+  describe('#mkdirp()', function() {
+    let tmpDirectory;
+
+    before(function() {
+      tmpDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+    });
+
+    it('should create a directory and its missing parents', function(done) {
+      const nested = path.join(tmpDirectory, 'a', 'b', 'c');
+
+      mkdirp(nested)
+      .then((dir) => {
+        expect(dir).to.equal(nested);
+        expect(fs.statSync(nested).isDirectory()).to.be.true;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should resolve if the directory already exists', function(done) {
+      expect(mkdirp(tmpDirectory)).to.eventually.equal(tmpDirectory).and.notify(done);
+    });
+
+    after(function() {
+      fs.rmdirSync(path.join(tmpDirectory, 'a', 'b', 'c'));
+      fs.rmdirSync(path.join(tmpDirectory, 'a', 'b'));
+      fs.rmdirSync(path.join(tmpDirectory, 'a'));
+      fs.rmdirSync(tmpDirectory);
+    });
+  });
+
+  describe('#checkDirectory()', function() {
+    let tmpDirectory;
+
+    before(function() {
+      tmpDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      fs.writeFileSync(path.join(tmpDirectory, 'file'), 'not a directory');
+    });
+
+    context('when the directory is usable', function() {
+      it('should create it and leave it empty', function(done) {
+        const dir = path.join(tmpDirectory, 'cache');
+
+        checkDirectory(dir)
+        .then(() => {
+          expect(fs.readdirSync(dir)).to.be.a('array').and.to.be.empty;
+          fs.rmdirSync(dir);
+          done();
+        })
+        .catch(err => done(err));
+      });
+    });
+
+    context('when the path is a file', function() {
+      it('should reject with an ECACHEDIR error', function(done) {
+        checkDirectory(path.join(tmpDirectory, 'file'))
+        .then(() => done(new Error('a file should not be a usable directory')))
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.code).to.equal('ECACHEDIR');
+          expect(err.path).to.equal(path.join(tmpDirectory, 'file'));
+          expect(err.cause).to.exist;
+          done();
+        });
+      });
+
+      it('should reject with an ECACHEDIR error if a parent is a file', function(done) {
+        checkDirectory(path.join(tmpDirectory, 'file', 'cache'))
+        .then(() => done(new Error('a file should not be a usable parent directory')))
+        .catch((err) => {
+          expect(err.code).to.equal('ECACHEDIR');
+          done();
+        });
+      });
+    });
+
+    after(function() {
+      fs.unlinkSync(path.join(tmpDirectory, 'file'));
+      fs.rmdirSync(tmpDirectory);
+    });
+  });
+
+  describe('atomic writes', function() {
+    let tmpDirectory;
+    let file;
+
+    beforeEach(function() {
+      tmpDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      file = path.join(tmpDirectory, 'file');
+      fs.writeFileSync(file, 'old');
+    });
+
+    describe('#tmpFile()', function() {
+      it('should return unique paths holding the pid in the directory', function() {
+        const tmp = tmpFile(tmpDirectory);
+
+        expect(path.dirname(tmp)).to.equal(tmpDirectory);
+        expect(path.basename(tmp).indexOf(`${tmpPrefix}${process.pid}_`)).to.equal(0);
+        expect(tmpFile(tmpDirectory)).to.not.equal(tmp);
+      });
+    });
+
+    describe('#commitFile()', function() {
+      it('should replace a file with a temporary file', function(done) {
+        writeTmpFile(file, 'new')
+        .then((tmp) => {
+          expect(fs.readFileSync(file, 'utf8')).to.equal('old');
+
+          return commitFile(tmp, file);
+        })
+        .then(() => {
+          expect(fs.readFileSync(file, 'utf8')).to.equal('new');
+          expect(fs.readdirSync(tmpDirectory)).to.deep.equal(['file']);
+          done();
+        })
+        .catch(err => done(err));
+      });
+
+      it('should reject with an EEXIST error and remove the temporary file without override', function(done) {
+        writeTmpFile(file, 'new')
+        .then(tmp => commitFile(tmp, file, false))
+        .then(() => done(new Error('should have been rejected')))
+        .catch((err) => {
+          expect(err.code).to.equal('EEXIST');
+          expect(fs.readFileSync(file, 'utf8')).to.equal('old');
+          expect(fs.readdirSync(tmpDirectory)).to.deep.equal(['file']);
+          done();
+        })
+        .catch(err => done(err));
+      });
+    });
+
+    describe('#writeFileAtomic()', function() {
+      it('should replace a file asynchronously or synchronously', function(done) {
+        writeFileAtomic(file, Buffer.from('new'))
+        .then(() => {
+          expect(fs.readFileSync(file, 'utf8')).to.equal('new');
+          writeFileAtomicSync(file, 'newer');
+          expect(fs.readFileSync(file, 'utf8')).to.equal('newer');
+          expect(fs.readdirSync(tmpDirectory)).to.deep.equal(['file']);
+          done();
+        })
+        .catch(err => done(err));
+      });
+
+      it('should throw and leave no temporary file if the file cannot be replaced', function() {
+        fs.mkdirSync(path.join(tmpDirectory, 'directory'));
+        fs.writeFileSync(path.join(tmpDirectory, 'directory', 'file'), '');
+
+        expect(() => writeFileAtomicSync(path.join(tmpDirectory, 'directory'), 'data')).to.throw(Error);
+        expect(fs.readdirSync(tmpDirectory).sort()).to.deep.equal(['directory', 'file']);
+
+        fs.unlinkSync(path.join(tmpDirectory, 'directory', 'file'));
+        fs.rmdirSync(path.join(tmpDirectory, 'directory'));
+      });
+    });
+
+    describe('#isStaleTmpFile()', function() {
+      it('should only be true for temporary files of processes which are not running', function() {
+        expect(isStaleTmpFile(`${tmpPrefix}4194304_1_00000000`)).to.be.true;
+        expect(isStaleTmpFile(path.basename(tmpFile(tmpDirectory)))).to.be.false;
+        expect(isStaleTmpFile('file')).to.be.false;
+      });
+    });
+
+    describe('#removeTmpFiles()', function() {
+      it('should only remove temporary files of processes which are not running', function(done) {
+        const deadPid = 4194304;
+        const stale = `${tmpPrefix}${deadPid}_1_00000000`;
+        const own = path.basename(tmpFile(tmpDirectory));
+
+        fs.writeFileSync(path.join(tmpDirectory, stale), '');
+        fs.writeFileSync(path.join(tmpDirectory, own), '');
+
+        removeTmpFiles(tmpDirectory)
+        .then((removed) => {
+          expect(removed).to.deep.equal([stale]);
+          expect(fs.readdirSync(tmpDirectory).sort()).to.deep.equal([own, 'file']);
+          fs.unlinkSync(path.join(tmpDirectory, own));
+          done();
+        })
+        .catch(err => done(err));
+      });
+    });
+
+    afterEach(function() {
+      fs.readdirSync(tmpDirectory).forEach(name => fs.unlinkSync(path.join(tmpDirectory, name)));
+      fs.rmdirSync(tmpDirectory);
+    });
+  });
+
+  describe('#mergeOptions()', function() {
+    const defaults = { size: 10, ratio: 0.5, name: 'default' };
+    const validators = { name: value => typeof value === 'string' };
+
+    it('should keep valid options and ignore unknown ones', function() {
+      expect(mergeOptions(defaults, { size: 0, name: 'given', other: true }, validators))
+      .to.deep.equal({ size: 0, ratio: 0.5, name: 'given' });
+    });
+
+    it('should replace invalid values and options by the defaults', function() {
+      expect(mergeOptions(defaults, { size: -1, ratio: Infinity, name: 1 }, validators))
+      .to.deep.equal(defaults);
+      expect(mergeOptions(defaults, null)).to.deep.equal(defaults);
+      expect(mergeOptions(defaults, 'options')).to.deep.equal(defaults);
+      expect(mergeOptions(defaults)).to.not.equal(defaults);
+    });
+  });
+
+  describe('#inBatches()', function() {
+    it('should run batches one after the other and give back their results', function(done) {
+      const running = [];
+      let maxRunning = 0;
+
+      inBatches([1, 2, 3, 4, 5], 2, batch => new Promise((resolve) => {
+        running.push(...batch);
+        maxRunning = Math.max(maxRunning, running.length);
+
+        setTimeout(() => {
+          running.splice(0, batch.length);
+          resolve(batch.reduce((total, item) => total + item, 0));
+        }, 5);
+      }))
+      .then((results) => {
+        expect(results).to.deep.equal([3, 7, 5]);
+        expect(maxRunning).to.equal(2);
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
 });
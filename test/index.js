@@ -1,12 +1,18 @@
 const { expect } = require('./common');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
 
 const cacheLibDirectory = path.join(__dirname, '../lib');
 const filesDirectory = path.join(__dirname, '../files');
 
 const cache = require(cacheLibDirectory);
 const Utils = require(path.join(cacheLibDirectory, 'Utils'));
+const Lock = require(path.join(cacheLibDirectory, 'Lock'));
+const Store = require(path.join(cacheLibDirectory, 'Store'));
+const MemoryStore = require(path.join(cacheLibDirectory, 'MemoryStore'));
 
 const {
   confExtension,
@@ -45,6 +51,18 @@ const mayfly = {
   relatedData: 'related',
 };
 
+// the path of a data file written by a set: the key twice then the id of the write
+const dataFilePattern = (name, directory = filesDirectory) => {
+  const namePath = path.join(directory, `${name}${confExtension}_${name}`);
+
+  return new RegExp(`^${namePath.replace(/[.\\]/g, '\\$&')}@[0-9a-f]+$`);
+};
+
+// the files of a directory sorted, data files without the id of their write
+const listFiles = directory => fs.readdirSync(directory)
+.map(file => file.replace(/@[0-9a-f]+$/, ''))
+.sort();
+
 // the conf obj that should be stored in cache according to "obj" parameters
 const confObjBase = {
   name: obj.name,
@@ -101,17 +119,23 @@ describe('cache', function() {
 
   describe('#clear()', function() {
     context('when files are in cache', function() {
-      before(function() {
+      before(function(done) {
         fs.writeFileSync(path.join(filesDirectory, '_test_file_1_'), 'test');
         fs.writeFileSync(path.join(filesDirectory, '_test_file_2'), 'test');
-      });
 
-      it('should delete all files', function(done) {
-        expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.not.be.empty;
+        Promise.all(['test_1', 'test_2'].map(name => cache.set({ name, data: 'test' })))
+        .then(() => done())
+        .catch(err => done(err));
+      });
 
+      it('should delete the files of entries only', function(done) {
         cache.clear()
-        .then(() => {
-          expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.be.empty;
+        .then((report) => {
+          expect(report).to.have.property('scanned', 2);
+          expect(report.removed.sort()).to.deep.equal(['test_1', 'test_2']);
+          expect(report).to.include.keys('skipped', 'failed');
+          expect(report.failed).to.be.empty;
+          expect(fs.readdirSync(filesDirectory).sort()).to.deep.equal(['_test_file_1_', '_test_file_2']);
 
           done();
         })
@@ -119,6 +143,7 @@ describe('cache', function() {
       });
     });
 
+
     context('when files cache directory is empty', function() {
       before(function(done) {
         try {
@@ -147,18 +172,20 @@ describe('cache', function() {
 
   describe('#clearSync()', function() {
     context('when files are in cache', function() {
-      before(function() {
+      before(function(done) {
         fs.writeFileSync(path.join(filesDirectory, '_test_file_1_'), 'test');
-        fs.writeFileSync(path.join(filesDirectory, '_test_file_2'), 'test');
-      });
 
-      it('should delete all files', function() {
-        expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.not.be.empty;
+        cache.set({ name: 'test_1', data: 'test' })
+        .then(() => done())
+        .catch(err => done(err));
+      });
 
-        const cleared = cache.clearSync();
+      it('should delete the files of entries only', function() {
+        expect(cache.clearSync())
+        .to.deep.equal({ scanned: 1, removed: ['test_1'], skipped: [], failed: [] });
+        expect(fs.readdirSync(filesDirectory)).to.deep.equal(['_test_file_1_']);
 
-        expect(cleared).to.be.true;
-        expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.be.empty;
+        fs.unlinkSync(path.join(filesDirectory, '_test_file_1_'));
       });
     });
 
@@ -178,9 +205,12 @@ describe('cache', function() {
       it('should delete nothing', function() {
         expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.be.empty;
 
-        const cleared = cache.clearSync();
-
-        expect(cleared).to.be.true;
+        expect(cache.clearSync()).to.deep.equal({
+          scanned: 0,
+          removed: [],
+          skipped: [],
+          failed: [],
+        });
         expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.be.empty;
       });
     });
@@ -212,17 +242,6 @@ describe('cache', function() {
         expect(cache.set({ name: 'test', data: undefined })).to.be.rejectedWith(Error).and.notify(done);
       });
 
-      it('should reject with an error if data is null', function(done) {
-        expect(cache.set({ name: 'test', data: null })).to.be.rejectedWith(Error).and.notify(done);
-      });
-
-      it('should reject with an error if data is NaN', function(done) {
-        expect(cache.set({ name: 'test', data: NaN })).to.be.rejectedWith(Error).and.notify(done);
-      });
-
-      it('should reject with an error if data is an empty string', function(done) {
-        expect(cache.set({ name: 'test', data: '' })).to.be.rejectedWith(Error).and.notify(done);
-      });
 
       it('should reject with an error if no name', function(done) {
         expect(cache.set({ data: {} })).to.be.rejectedWith(Error).and.notify(done);
@@ -269,23 +288,23 @@ describe('cache', function() {
             const files = fs.readdirSync(filesDirectory);
             expect(files).to.be.a('array').and.to.not.be.empty;
             expect(files).to.include(`${obj.name}${confExtension}`);
-            expect(files).to.include(`${obj.name}${confExtension}_${obj.name}`);
+            expect(files).to.include(path.basename(confObj.file.path));
 
             const confObjInFile = getJSONSync(path.join(filesDirectory, `${obj.name}${confExtension}`));
             expect(confObjInFile).to.have.property('name', confObjBase.name);
-            expect(confObjInFile).to.have.property('data', confObjBase.data);
+            expect(confObjInFile).to.not.have.property('data');
             expect(confObjInFile).to.have.property('relatedData', confObjBase.relatedData);
-            expect(confObjInFile).to.have.deep.property('file.path', confObjBase.file.path);
+            expect(confObjInFile.file.path).to.match(dataFilePattern(confObjBase.name));
             expect(confObjInFile).to.have.deep.property('file.encoding', confObjBase.file.encoding);
 
-            const data = fs.readFileSync(path.join(filesDirectory, `${obj.name}${confExtension}_${obj.name}`));
+            const data = fs.readFileSync(confObj.file.path);
             expect(data.toString()).to.equal(confObjBase.data);
 
             expect(confObj).to.exist.and.to.be.a('object');
             expect(confObj).to.have.property('name', confObjBase.name);
-            expect(confObj).to.have.property('data', confObjBase.data);
+            expect(confObj).to.not.have.property('data');
             expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
-            expect(confObj).to.have.deep.property('file.path', confObjBase.file.path);
+            expect(confObj.file.path).to.match(dataFilePattern(confObjBase.name));
             expect(confObj).to.have.deep.property('file.saved', true);
             expect(confObj).to.have.deep.property('file.encoding', confObjBase.file.encoding);
             expect(confObj).to.have.property('lastModified');
@@ -328,16 +347,16 @@ describe('cache', function() {
           const files = fs.readdirSync(filesDirectory);
           expect(files).to.be.a('array').and.to.not.be.empty;
           expect(files).to.include(`${obj.name}${confExtension}`);
-          expect(files).to.include(`${obj.name}${confExtension}_${obj.name}`);
+          expect(files).to.include(path.basename(confObj.file.path));
 
-          const data = fs.readFileSync(path.join(filesDirectory, `${obj.name}${confExtension}_${obj.name}`))
+          const data = fs.readFileSync(confObj.file.path)
           expect(data.toString()).to.equal(obj.data);
 
           expect(confObj).to.exist.and.to.be.a('object');
           expect(confObj).to.have.property('name', confObjBase.name);
-          expect(confObj).to.have.property('data', confObjBase.data);
+          expect(confObj).to.not.have.property('data');
           expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
-          expect(confObj).to.have.deep.property('file.path', confObjBase.file.path);
+          expect(confObj.file.path).to.match(dataFilePattern(confObjBase.name));
           expect(confObj).to.have.deep.property('file.saved', true);
           expect(confObj).to.have.deep.property('file.encoding', confObjBase.file.encoding);
           expect(confObj).to.have.property('lastModified');
@@ -371,10 +390,12 @@ describe('cache', function() {
           expect(confObj1).to.deep.equal(getJSONSync(path.join(filesDirectory, `${testObj1.name}${confExtension}`)));
           expect(confObj1).to.exist.and.to.be.a('object');
           expect(confObj1).to.have.property('name', testObj1.name);
-          expect(confObj1).to.have.property('data', testObj1.data);
+          expect(confObj1).to.not.have.property('data');
+          expect(confObj1).to.have.property('encoding', 'utf8');
+          expect(confObj1).to.have.property('size', 5);
           expect(confObj1).to.have.property('relatedData');
           expect(confObj1.relatedData).to.be.a('object').and.to.be.empty;
-          expect(confObj1).to.have.deep.property('file.path', path.join(filesDirectory, `${testObj1.name}${confExtension}_${testObj1.name}`));
+          expect(confObj1.file.path).to.match(dataFilePattern(testObj1.name));
           expect(confObj1).to.have.deep.property('file.saved', true);
           expect(confObj1).to.have.deep.property('file.encoding', 'utf8');
           expect(confObj1).to.have.property('lastModified');
@@ -383,10 +404,12 @@ describe('cache', function() {
 
           expect(confObj2).to.exist.and.to.be.a('object');
           expect(confObj2).to.have.property('name', testObj2.name);
-          expect(confObj2).to.have.property('data', testObj2.data);
+          expect(confObj2).to.not.have.property('data');
+          expect(confObj2).to.have.property('encoding', 'binary');
+          expect(confObj2).to.have.property('size', 5);
           expect(confObj2).to.have.property('relatedData');
           expect(confObj2.relatedData).to.be.a('object').and.to.be.empty;
-          expect(confObj2).to.have.deep.property('file.path', path.join(filesDirectory, `${testObj2.name}${confExtension}_${testObj2.name}`));
+          expect(confObj2.file.path).to.match(dataFilePattern(testObj2.name));
           expect(confObj2).to.have.deep.property('file.saved', true);
           expect(confObj2).to.have.deep.property('file.encoding', 'binary');
           expect(confObj2).to.have.property('lastModified');
@@ -464,9 +487,9 @@ describe('cache', function() {
         .then(({ confObj, rstream }) => {
           expect(confObj).to.exist.and.to.be.a('object');
           expect(confObj).to.have.property('name', confObjBase.name);
-          expect(confObj).to.have.property('data', confObjBase.data);
+          expect(confObj).to.not.have.property('data');
           expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
-          expect(confObj).to.have.deep.property('file.path', confObjBase.file.path);
+          expect(confObj.file.path).to.match(dataFilePattern(confObjBase.name));
           expect(confObj).to.have.deep.property('file.saved', true);
           expect(confObj).to.have.deep.property('file.encoding', confObjBase.file.encoding);
           expect(confObj).to.have.property('lastModified');
@@ -489,9 +512,9 @@ describe('cache', function() {
 
             expect(confObj).to.exist.and.to.be.a('object');
             expect(confObj).to.have.property('name', confObjMayfly.name);
-            expect(confObj).to.have.property('data', confObjMayfly.data);
+            expect(confObj).to.not.have.property('data');
             expect(confObj).to.have.property('relatedData', confObjMayfly.relatedData);
-            expect(confObj).to.have.deep.property('file.path', confObjMayfly.file.path);
+            expect(confObj.file.path).to.match(dataFilePattern(confObjMayfly.name));
             expect(confObj).to.have.deep.property('file.saved', true);
             expect(confObj).to.have.deep.property('file.encoding', confObjMayfly.file.encoding);
             expect(confObj).to.have.property('lastModified');
@@ -546,9 +569,9 @@ describe('cache', function() {
 
         expect(confObj).to.exist.and.to.be.a('object');
         expect(confObj).to.have.property('name', confObjBase.name);
-        expect(confObj).to.have.property('data', confObjBase.data);
+        expect(confObj).to.not.have.property('data');
         expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
-        expect(confObj).to.have.deep.property('file.path', confObjBase.file.path);
+        expect(confObj.file.path).to.match(dataFilePattern(confObjBase.name));
         expect(confObj).to.have.deep.property('file.saved', true);
         expect(confObj).to.have.deep.property('file.encoding', confObjBase.file.encoding);
         expect(confObj).to.have.property('lastModified');
@@ -562,9 +585,9 @@ describe('cache', function() {
 
           expect(confObj).to.exist.and.to.be.a('object');
           expect(confObj).to.have.property('name', confObjMayfly.name);
-          expect(confObj).to.have.property('data', confObjMayfly.data);
+          expect(confObj).to.not.have.property('data');
           expect(confObj).to.have.property('relatedData', confObjMayfly.relatedData);
-          expect(confObj).to.have.deep.property('file.path', confObjMayfly.file.path);
+          expect(confObj.file.path).to.match(dataFilePattern(confObjMayfly.name));
           expect(confObj).to.have.deep.property('file.saved', true);
           expect(confObj).to.have.deep.property('file.encoding', confObjMayfly.file.encoding);
           expect(confObj).to.have.property('lastModified');
@@ -588,267 +611,2363 @@ describe('cache', function() {
     });
   });
 
-  describe('#reset()', function() {
-    before(function() {
+  describe('#getValue()', function() {
+    const bufferObj = { name: 'buffer', data: Buffer.from([0, 1, 2, 255]) };
+    const jsonObj = { name: 'json', data: { json: 'for life', list: [1, 2, 3] } };
+
+    before(function(done) {
       cache.clearSync();
-    });
 
-    context('when the named object to reset is not in cache', function() {
-      it('should reject with an error', function(done) {
-        expect(cache.reset(phantom)).to.be.rejectedWith(Error).and.notify(done);
-      });
+      Promise.all([
+        cache.set(obj),
+        cache.set(bufferObj),
+        cache.set(jsonObj),
+        cache.set(mayfly),
+      ])
+      .then(() => done())
+      .catch(err => done(err));
     });
 
-    context('when the named object to reset is in cache', function() {
-      let lastModifiedWhenFirstSet;
-      let expiresWhenFirstSet;
-      let originalCacheTime;
+    it('should resolve with the value as it was set', function(done) {
+      Promise.all([
+        cache.getValue(obj.name),
+        cache.getValue(bufferObj.name),
+        cache.getValue(jsonObj.name),
+      ])
+      .then(([str, buffer, json]) => {
+        expect(str).to.equal(obj.data);
+        expect(Buffer.isBuffer(buffer)).to.be.true;
+        expect(buffer.equals(bufferObj.data)).to.be.true;
+        expect(json).to.deep.equal(jsonObj.data);
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      before(function(done) {
-        cache.set(obj)
-        .then(({ lastModified, expires }) => {
-          lastModifiedWhenFirstSet = lastModified;
-          expiresWhenFirstSet = expires;
-          originalCacheTime = expiresWhenFirstSet - lastModifiedWhenFirstSet;
+    it('should return the value as it was set synchronously', function() {
+      expect(cache.getValueSync(obj.name)).to.equal(obj.data);
+      expect(cache.getValueSync(bufferObj.name).equals(bufferObj.data)).to.be.true;
+      expect(cache.getValueSync(jsonObj.name)).to.deep.equal(jsonObj.data);
+      expect(cache.getValueSync(phantom)).to.be.undefined;
+    });
 
-          setTimeout(done, 500);
-        })
-        .catch(err => done(err));
-      });
+    it('should resolve with a Buffer with getBuffer', function(done) {
+      Promise.all([
+        cache.getBuffer(obj.name),
+        cache.getBuffer(bufferObj.name),
+      ])
+      .then(([str, buffer]) => {
+        expect(str.equals(Buffer.from(obj.data))).to.be.true;
+        expect(buffer.equals(bufferObj.data)).to.be.true;
+        expect(cache.getBufferSync(jsonObj.name).toString()).to.equal(JSON.stringify(jsonObj.data));
+        expect(cache.getBufferSync(phantom)).to.be.undefined;
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      it('should set the new expire time running from now with the original cache time set', function(done) {
-        cache.reset(obj.name)
-        .then(() => {
-          const confObj = cache.getSync(obj.name);
+    it('should reject with an error if not in cache', function(done) {
+      expect(cache.getValue(phantom)).to.be.rejectedWith(Error).and.notify(done);
+    });
 
-          expect(confObj).to.exist;
-          expect(confObj).to.have.property('lastModified');
-          expect(confObj).to.have.property('expires');
-          expect(confObj.lastModified).to.be.above(lastModifiedWhenFirstSet);
-          expect(confObj.expires).to.be.above(expiresWhenFirstSet);
-          expect(confObj.expires - confObj.lastModified).to.equal(originalCacheTime);
+    it('should reject with an EXPIRED error if has expired', function(done) {
+      setTimeout(() => {
+        expect(cache.getValueSync(mayfly.name)).to.be.undefined;
+        expect(cache.getBufferSync(mayfly.name)).to.be.undefined;
 
+        Promise.all([
+          cache.getValue(mayfly.name).then(() => undefined, err => err),
+          cache.getBuffer(mayfly.name).then(() => undefined, err => err),
+        ])
+        .then(([valueErr, bufferErr]) => {
+          expect(valueErr).to.exist;
+          expect(valueErr.code).to.equal('EXPIRED');
+          expect(bufferErr).to.exist;
+          expect(bufferErr.code).to.equal('EXPIRED');
           done();
         })
         .catch(err => done(err));
-      });
+      }, 2 * second);
+    }).timeout(5000);
 
-      after(function() {
-        cache.clearSync();
-      });
+    after(function() {
+      cache.clearSync();
     });
   });
 
-  describe('#resetSync()', function() {
+  describe('serializers', function() {
+    const date = new Date('2017-01-01T00:00:00.000Z');
+    const upper = {
+      name: 'upper',
+      encode: value => value.toUpperCase(),
+      decode: (buffer, encoding) => buffer.toString(encoding).toLowerCase(),
+    };
+
+    let instanceDirectory;
+    let instance;
+
     before(function() {
       cache.clearSync();
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory, serializer: 'v8', serializers: { upper } });
     });
 
-    context('when the named object to reset is not in cache', function() {
-      it('should reset nothing', function() {
-        expect(cache.resetSync(phantom)).to.be.false;
+    it('should cache falsy values', function(done) {
+      const values = [0, false, '', null, NaN];
+
+      Promise.all(values.map((data, i) => cache.set({ name: `falsy${i}`, data })))
+      .then(() => Promise.all(values.map((data, i) => cache.getValue(`falsy${i}`))))
+      .then(([zero, no, empty, nothing, nan]) => {
+        expect(zero).to.equal(0);
+        expect(no).to.be.false;
+        expect(empty).to.equal('');
+        expect(nothing).to.be.null;
+        // NaN is not part of JSON
+        expect(nan).to.be.null;
+        expect(cache.hasSync('falsy2')).to.be.true;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should cache falsy values with setParallel', function(done) {
+      cache.setParallel({ name: 'falsy', data: 0 }, (err, confObj) => {
+        if (err) {
+          done(err);
+        } else {
+          expect(confObj).to.have.property('serializer', 'json');
+          expect(cache.getValueSync('falsy')).to.equal(0);
+          done();
+        }
       });
     });
 
-    context('when the named object to reset is in cache', function() {
-      let lastModifiedWhenFirstSet;
-      let expiresWhenFirstSet;
-      let originalCacheTime;
+    it('should save the serializer name in the conf object', function(done) {
+      Promise.all([
+        cache.set({ name: 'string', data: 'str' }),
+        cache.set({ name: 'buffer', data: Buffer.from('buf') }),
+        cache.set({ name: 'json', data: { json: 'for life' } }),
+        cache.set({ name: 'v8', data: { date }, serializer: 'v8' }),
+      ])
+      .then((confObjs) => {
+        expect(confObjs.map(confObj => confObj.serializer)).to.deep.equal(['string', 'buffer', 'json', 'v8']);
+        expect(cache.getSync('v8')).to.have.property('serializer', 'v8');
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      before(function(done) {
-        cache.set(obj)
-        .then(({ lastModified, expires }) => {
-          lastModifiedWhenFirstSet = lastModified;
-          expiresWhenFirstSet = expires;
-          originalCacheTime = expiresWhenFirstSet - lastModifiedWhenFirstSet;
+    it('should round-trip typed values with the v8 serializer', function(done) {
+      const data = {
+        date,
+        map: new Map([['a', 1]]),
+        set: new Set([1, 2]),
+        nan: NaN,
+      };
+
+      instance.set({ name: 'typed', data })
+      .then(() => instance.getValue('typed'))
+      .then((value) => {
+        expect(value.date).to.be.an.instanceof(Date);
+        expect(value.date.getTime()).to.equal(date.getTime());
+        expect(value.map).to.be.an.instanceof(Map);
+        expect(value.map.get('a')).to.equal(1);
+        expect(value.set).to.be.an.instanceof(Set);
+        expect(value.set.has(2)).to.be.true;
+        expect(value.nan).to.be.NaN;
+        expect(instance.getValueSync('typed').date).to.be.an.instanceof(Date);
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-          setTimeout(done, 500);
-        })
-        .catch(err => done(err));
-      });
+    it('should use custom serializers by name or inline', function(done) {
+      const reverse = {
+        name: 'reverse',
+        encode: value => value.split('').reverse().join(''),
+        decode: (buffer, encoding) => buffer.toString(encoding).split('').reverse().join(''),
+      };
+
+      Promise.all([
+        instance.set({ name: 'upper', data: 'shout', serializer: 'upper' }),
+        instance.set({ name: 'reverse', data: 'abc', serializer: reverse }),
+      ])
+      .then(() => {
+        expect(instance.getDataSync('upper')).to.equal('SHOUT');
+        expect(instance.getDataSync('reverse')).to.equal('cba');
+
+        return Promise.all([instance.getValue('upper'), instance.getValue('reverse')]);
+      })
+      .then(([shout, abc]) => {
+        expect(shout).to.equal('shout');
+        expect(abc).to.equal('abc');
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      it('should set the new expire time running from now with the original cache time set', function() {
-        const hasBeenReseted = cache.resetSync(obj.name);
-        const confObj = cache.getSync(obj.name);
+    it('should refuse inline serializers named after other serializers', function(done) {
+      const lower = {
+        name: 'upper',
+        encode: value => value.toLowerCase(),
+        decode: (buffer, encoding) => buffer.toString(encoding),
+      };
+
+      instance.set({ name: 'shout', data: 'shout', serializer: 'upper' })
+      .then(() => Promise.all([lower, Object.assign({}, lower, { name: 'json' })]
+      .map(serializer => instance.set({ name: 'whisper', data: 'WHISPER', serializer })
+      .then(() => undefined, err => err))))
+      .then((errors) => {
+        errors.forEach((err) => {
+          expect(err).to.have.property('code', 'ESERIALIZER');
+        });
+        expect(instance.hasSync('whisper')).to.be.false;
 
-        expect(hasBeenReseted).to.be.true;
-        expect(confObj).to.exist;
-        expect(confObj).to.have.property('lastModified');
-        expect(confObj).to.have.property('expires');
-        expect(confObj.lastModified).to.be.above(lastModifiedWhenFirstSet);
-        expect(confObj.expires).to.be.above(expiresWhenFirstSet);
-        expect(confObj.expires - confObj.lastModified).to.equal(originalCacheTime);
-      });
+        return instance.getValue('shout');
+      })
+      .then((shout) => {
+        expect(shout).to.equal('shout');
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      after(function() {
-        cache.clearSync();
-      });
+    it('should reject with an ESERIALIZER error if the serializer is unknown or fails', function(done) {
+      Promise.all([
+        cache.set({ name: 'unknown', data: 'data', serializer: 'unknown' }).then(() => undefined, err => err),
+        cache.set({ name: 'raw', data: {}, serializer: 'raw' }).then(() => undefined, err => err),
+        cache.set({ name: 'undefined', data: () => {} }).then(() => undefined, err => err),
+        cache.createCache({ directory: instanceDirectory }).getValue('upper').then(() => undefined, err => err),
+      ])
+      .then((errors) => {
+        errors.forEach((err) => {
+          expect(err).to.exist;
+          expect(err.code).to.equal('ESERIALIZER');
+        });
+
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      cache.clearSync();
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
     });
   });
 
-  describe('#delete()', function() {
+  describe('compression', function() {
+    const text = 'compress me '.repeat(100);
+
+    let instanceDirectory;
+    let instance;
+
     before(function() {
       cache.clearSync();
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory, compress: 'gzip' });
     });
 
-    context('when the named object to delete is not in cache', function() {
-      it('should reject with an error', function(done) {
-        expect(cache.delete(phantom)).to.be.rejectedWith(Error).and.notify(done);
-      });
+    it('should save the codec in the conf object and compress the data file', function(done) {
+      Promise.all([
+        cache.set({ name: 'gzip', data: text, compress: 'gzip' }),
+        cache.set({ name: 'deflate', data: { text }, compress: 'deflate' }),
+        instance.set({ name: 'default', data: text }),
+        instance.set({ name: 'none', data: text, compress: false }),
+      ])
+      .then(([gzip, deflate, instanceDefault, none]) => {
+        expect(gzip).to.have.property('compression', 'gzip');
+        expect(gzip).to.have.property('size', Buffer.byteLength(text));
+        expect(deflate).to.have.property('compression', 'deflate');
+        expect(instanceDefault).to.have.property('compression', 'gzip');
+        expect(none).to.have.property('compression', null);
+        expect(fs.statSync(gzip.file.path).size).to.be.below(gzip.size);
+        expect(fs.statSync(none.file.path).size).to.equal(none.size);
+        done();
+      })
+      .catch(err => done(err));
     });
 
-    context('when the named object to delete is in cache', function() {
-      before(function(done) {
-        Promise.all([
-          cache.set(obj),
-          cache.set(mayfly),
-        ])
-        .then(() => done())
-        .catch(err => done(err));
-      });
+    it('should decompress data transparently', function(done) {
+      Promise.all([
+        cache.getValue('gzip'),
+        cache.getValue('deflate'),
+        cache.getData('gzip'),
+        instance.getValue('default'),
+      ])
+      .then(([gzip, deflate, data, instanceDefault]) => {
+        expect(gzip).to.equal(text);
+        expect(deflate).to.deep.equal({ text });
+        expect(data).to.equal(text);
+        expect(instanceDefault).to.equal(text);
+        expect(cache.getValueSync('deflate')).to.deep.equal({ text });
+        expect(cache.getDataSync('gzip')).to.equal(text);
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      it('should delete the conf file and the data file', function(done) {
-        const files = fs.readdirSync(filesDirectory);
+    it('should get a decompressed stream', function(done) {
+      cache.get('gzip')
+      .then(({ rstream, contentEncoding }) => {
+        let content = '';
 
-        expect(files.length).to.equal(4);
-        expect(files).to.contain(`${obj.name}${confExtension}`);
-        expect(files).to.contain(`${obj.name}${confExtension}_${obj.name}`);
+        expect(contentEncoding).to.be.undefined;
+        rstream.on('data', (chunk) => { content += chunk; });
+        rstream.on('end', () => {
+          expect(content).to.equal(text);
+          done();
+        });
+        rstream.on('error', err => done(err));
+      })
+      .catch(err => done(err.err || err));
+    });
 
-        cache.delete(obj.name)
-        .then(() => {
-          const files = fs.readdirSync(filesDirectory);
+    it('should get the compressed stream with its content encoding', function(done) {
+      cache.get('gzip', { decompress: false })
+      .then(({ rstream, contentEncoding }) => {
+        expect(contentEncoding).to.equal('gzip');
 
-          expect(files.length).to.equal(2);
-          expect(files).to.not.contain(`${obj.name}${confExtension}`);
-          expect(files).to.not.contain(`${obj.name}${confExtension}_${obj.name}`);
+        return Utils.readStream(rstream);
+      })
+      .then((buffer) => {
+        expect(zlib.gunzipSync(buffer).toString()).to.equal(text);
+        done();
+      })
+      .catch(err => done(err.err || err));
+    });
 
+    it('should compress data with setParallel', function(done) {
+      cache.setParallel({ name: 'parallel', data: text, compress: 'deflate' }, (err, confObj) => {
+        if (err) {
+          done(err);
+        } else {
+          expect(confObj).to.have.property('compression', 'deflate');
+          expect(cache.getValueSync('parallel')).to.equal(text);
           done();
-        })
-        .catch(err => done(err));
+        }
       });
+    });
 
-      after(function() {
-        cache.clearSync();
-      });
+    it('should reject with an ECOMPRESS error if the codec is not supported', function(done) {
+      cache.set({ name: 'unsupported', data: text, compress: 'lzma' })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err.code).to.equal('ECOMPRESS');
+        expect(cache.hasSync('unsupported')).to.be.false;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      cache.clearSync();
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
     });
   });
 
-  describe('#deleteSync()', function() {
+  describe('encryption', function() {
+    const secret = 'user specific response';
+    const relatedData = { user: 'john.doe' };
+
+    let instanceDirectory;
+    let instance;
+
     before(function() {
-      cache.clearSync();
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory, encryption: { keys: { k1: 'first secret' } } });
     });
 
-    context('when the named object to delete is not in cache', function() {
-      it('should delete nothing', function() {
-        expect(cache.deleteSync(phantom)).to.be.false;
-      });
+    it('should throw an EKEY error if the encryption option is not valid', function() {
+      expect(() => cache.createCache({ directory: instanceDirectory, encryption: { keys: {} } }))
+      .to.throw(Error).with.property('code', 'EKEY');
     });
 
-    context('when the named object to delete is in cache', function() {
-      before(function(done) {
-        Promise.all([
-          cache.set(obj),
-          cache.set(mayfly),
-        ])
-        .then(() => done())
-        .catch(err => done(err));
-      });
+    it('should encrypt the data file and sensitive conf fields', function(done) {
+      instance.set({ name: 'secret', data: secret, relatedData })
+      .then((confObj) => {
+        const confFile = `${confObj.file.path.split('_conf.json_')[0]}_conf.json`;
+        const savedConf = JSON.parse(fs.readFileSync(confFile, 'utf8'));
+
+        expect(confObj).to.have.property('encryption').that.deep.equals({ algorithm: 'aes-256-gcm', keyId: 'k1' });
+        expect(confObj).to.have.property('relatedData').that.deep.equals(relatedData);
+        expect(fs.readFileSync(confObj.file.path).indexOf(secret)).to.equal(-1);
+        expect(savedConf).to.not.have.property('relatedData');
+        expect(savedConf.encryption.fields).to.have.property('relatedData').that.is.a('string');
+        expect(fs.readFileSync(confFile, 'utf8').indexOf('john.doe')).to.equal(-1);
+        expect(instance.getSync('secret')).to.have.property('relatedData').that.deep.equals(relatedData);
+        done();
+      })
+      .catch(err => done(err));
+    });
 
-      it('should delete the conf file and the data file', function() {
-        const filesBeforeDelete = fs.readdirSync(filesDirectory);
-        expect(filesBeforeDelete.length).to.equal(4);
-        expect(filesBeforeDelete).to.contain(`${obj.name}${confExtension}`);
-        expect(filesBeforeDelete).to.contain(`${obj.name}${confExtension}_${obj.name}`);
+    it('should decrypt data transparently', function(done) {
+      Promise.all([
+        instance.getValue('secret'),
+        instance.getData('secret'),
+        instance.get('secret').then(({ rstream }) => Utils.readStream(rstream)),
+      ])
+      .then(([value, data, buffer]) => {
+        expect(value).to.equal(secret);
+        expect(data).to.equal(secret);
+        expect(buffer.toString()).to.equal(secret);
+        expect(instance.getValueSync('secret')).to.equal(secret);
+        expect(instance.resetSync('secret')).to.be.true;
+        expect(instance.getSync('secret')).to.have.property('relatedData').that.deep.equals(relatedData);
+        done();
+      })
+      .catch(err => done(err.err || err));
+    });
 
-        const hasBeenDeleted = cache.deleteSync(obj.name);
-        const filesAfterDelete = fs.readdirSync(filesDirectory);
+    it('should encrypt compressed data and with setParallel', function(done) {
+      instance.setParallel({ name: 'parallel', data: { secret }, compress: 'gzip', relatedData }, (err) => {
+        if (err) {
+          done(err);
+        } else {
+          expect(instance.getValueSync('parallel')).to.deep.equal({ secret });
+          expect(instance.getSync('parallel')).to.have.property('relatedData').that.deep.equals(relatedData);
 
-        expect(hasBeenDeleted).to.be.true;
-        expect(filesAfterDelete.length).to.equal(2);
-        expect(filesAfterDelete).to.not.contain(`${obj.name}${confExtension}`);
-        expect(filesAfterDelete).to.not.contain(`${obj.name}${confExtension}_${obj.name}`);
-      });
+          instance.get('parallel', { decompress: false })
+          .then(({ rstream, contentEncoding }) => {
+            expect(contentEncoding).to.equal('gzip');
 
-      after(function() {
-        cache.clearSync();
+            return Utils.readStream(rstream);
+          })
+          .then((buffer) => {
+            expect(JSON.parse(zlib.gunzipSync(buffer).toString())).to.deep.equal({ secret });
+            done();
+          })
+          .catch(error => done(error.err || error));
+        }
       });
     });
+
+    it('should reject with an EKEY or EDECRYPT error if data cannot be decrypted', function(done) {
+      const noKey = cache.createCache({ directory: instanceDirectory });
+      const wrongKey = cache.createCache({ directory: instanceDirectory, encryption: { keys: { k1: 'wrong' } } });
+
+      Promise.all([
+        noKey.getValue('secret').then(() => undefined, err => err),
+        wrongKey.getValue('secret').then(() => undefined, err => err),
+        wrongKey.get('secret').then(() => undefined, ({ err }) => err),
+      ])
+      .then(([noKeyError, wrongKeyError, getError]) => {
+        expect(noKeyError).to.have.property('code', 'EKEY');
+        expect(wrongKeyError).to.have.property('code', 'EDECRYPT');
+        expect(getError).to.have.property('code', 'EDECRYPT');
+        expect(() => wrongKey.getSync('secret')).to.throw(Error).with.property('code', 'EDECRYPT');
+        expect(wrongKey.getValueSync('secret')).to.be.undefined;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should reject with an EDECRYPT error if the data file and its checksum have been tampered with', function(done) {
+      instance.set({ name: 'tampered', data: secret })
+      .then(({ file }) => {
+        const confFile = `${file.path.split('_conf.json_')[0]}_conf.json`;
+        const savedConf = JSON.parse(fs.readFileSync(confFile, 'utf8'));
+        const content = fs.readFileSync(file.path);
+
+        content[content.length - 1] ^= 1; // eslint-disable-line no-bitwise
+        fs.writeFileSync(file.path, content);
+        savedConf.integrity.hash = crypto.createHash('sha256').update(content).digest('hex');
+        fs.writeFileSync(confFile, JSON.stringify(savedConf));
+
+        return instance.getValue('tampered');
+      })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err.code).to.equal('EDECRYPT');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should read old entries and re-encrypt them with the current key', function(done) {
+      const rotated = cache.createCache({
+        directory: instanceDirectory,
+        encryption: { keys: { k1: 'first secret', k2: 'second secret' }, keyId: 'k2' },
+      });
+      const newKeyOnly = cache.createCache({ directory: instanceDirectory, encryption: { keys: { k2: 'second secret' } } });
+
+      rotated.getValue('secret')
+      .then((value) => {
+        expect(value).to.equal(secret);
+
+        return rotated.reencryptAll();
+      })
+      .then(({ reencrypted, failed }) => {
+        expect(reencrypted.sort()).to.deep.equal(['parallel', 'secret']);
+        expect(failed).to.deep.equal(['tampered']);
+        expect(newKeyOnly.getSync('secret')).to.have.property('encryption').that.deep.equals({ algorithm: 'aes-256-gcm', keyId: 'k2' });
+        expect(newKeyOnly.getSync('secret')).to.have.property('relatedData').that.deep.equals(relatedData);
+
+        return Promise.all([newKeyOnly.getValue('secret'), newKeyOnly.getValue('parallel')]);
+      })
+      .then(([value, parallel]) => {
+        expect(value).to.equal(secret);
+        expect(parallel).to.deep.equal({ secret });
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should encrypt entries set without encryption', function(done) {
+      const plain = cache.createCache({ directory: instanceDirectory });
+
+      plain.set({ name: 'plain', data: secret })
+      .then(() => instance.reencrypt('plain'))
+      .then((confObj) => {
+        expect(confObj).to.have.property('encryption').that.deep.equals({ algorithm: 'aes-256-gcm', keyId: 'k1' });
+        expect(fs.readFileSync(confObj.file.path).indexOf(secret)).to.equal(-1);
+        expect(instance.getValueSync('plain')).to.equal(secret);
+        expect(plain.reencrypt('plain')).to.be.rejectedWith(Error).and.notify(done);
+      })
+      .catch(err => done(err));
+    });
+
+    it('should not lose writes made while re-encrypting and bump the version', function(done) {
+      const plain = cache.createCache({ directory: instanceDirectory });
+
+      plain.set({ name: 'racing', data: 'old' })
+      .then(() => Promise.all([
+        instance.reencrypt('racing'),
+        plain.set({ name: 'racing', data: 'new' }),
+      ]))
+      .then((confObjs) => {
+        expect(confObjs.map(({ version }) => version).sort()).to.deep.equal([2, 3]);
+        confObjs.forEach(({ version, etag }) => expect(etag).to.match(new RegExp(`^"${version}-`)));
+        expect(instance.getSync('racing')).to.have.property('version', 3);
+
+        return instance.getValue('racing');
+      })
+      .then((value) => {
+        expect(value).to.equal('new');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
   });
 
-  describe('#setParallel()', function() {
-    context('when setting a no-named object or with no data', function() {
-      it('should callback an error if no param', function(done) {
-        cache.setParallel(undefined, function(err, confObj) {
-          expect(err).to.exist.and.to.be.a('error');
-          expect(confObj).to.not.exist;
-          done();
-        });
-      });
+  describe('integrity', function() {
+    const data = 'data to check';
 
-      it('should callback an error if empty param', function(done) {
-        cache.setParallel({}, function(err, confObj) {
-          expect(err).to.exist.and.to.be.a('error');
-          expect(confObj).to.not.exist;
+    let instanceDirectory;
+    let instance;
+
+    // modify the data file of an entry with the same length, or truncate it
+    const alter = (name, truncate) => {
+      const { file } = instance.getSync(name);
+      const content = fs.readFileSync(file.path);
+
+      if (truncate) {
+        fs.writeFileSync(file.path, content.slice(0, content.length - 1));
+      } else {
+        content[0] += 1;
+        fs.writeFileSync(file.path, content);
+      }
+    };
+
+    before(function() {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory });
+    });
+
+    beforeEach(function(done) {
+      Promise.all([
+        instance.set({ name: 'data', data }),
+        instance.set({ name: 'compressed', data, compress: 'gzip' }),
+      ])
+      .then(() => done())
+      .catch(err => done(err));
+    });
+
+    it('should save the integrity of the data file in the conf object', function(done) {
+      instance.setParallel({ name: 'parallel', data, compress: 'deflate' }, (err, confObj) => {
+        if (err) {
+          done(err);
+        } else {
+          const { integrity, file } = instance.getSync('parallel');
+          const content = fs.readFileSync(file.path);
+
+          expect(confObj.integrity).to.deep.equal(integrity);
+          expect(integrity).to.have.property('algorithm', 'sha256');
+          expect(integrity).to.have.property('length', content.length);
+          expect(integrity).to.have.property('hash', crypto.createHash('sha256').update(content).digest('hex'));
+          expect(instance.getSync('data').integrity).to.have.property('length', Buffer.byteLength(data));
           done();
-        });
+        }
       });
+    });
+
+    it('should reject with an ECORRUPT error if a data file has been altered', function(done) {
+      alter('data');
+      alter('compressed', true);
+
+      Promise.all([
+        instance.getValue('data').then(() => undefined, err => err),
+        instance.getData('compressed').then(() => undefined, err => err),
+        instance.get('compressed').then(() => undefined, ({ err }) => err),
+      ])
+      .then((errors) => {
+        errors.forEach(err => expect(err).to.have.property('code', 'ECORRUPT'));
+        expect(instance.getValueSync('data')).to.be.undefined;
+        expect(instance.hasSync('data')).to.be.true;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should emit an ECORRUPT error at the end of a stream if the hash does not match', function(done) {
+      alter('data');
+
+      instance.get('data')
+      .then(({ rstream }) => {
+        rstream.on('data', () => {});
+        rstream.on('end', () => done(new Error('should have emitted an error')));
+        rstream.on('error', (err) => {
+          expect(err.code).to.equal('ECORRUPT');
+          done();
+        });
+      })
+      .catch(err => done(err.err || err));
+    });
+
+    it('should delete corrupt entries if deleteCorrupt is set', function(done) {
+      const cleaner = cache.createCache({ directory: instanceDirectory, deleteCorrupt: true });
+
+      alter('data');
+      alter('compressed', true);
+
+      Promise.all([
+        cleaner.getValue('data').then(() => undefined, err => err),
+        cleaner.get('compressed').then(() => undefined, ({ err }) => err),
+      ])
+      .then(([dataError, compressedError]) => {
+        expect(dataError).to.have.property('code', 'ECORRUPT');
+        expect(compressedError).to.have.property('code', 'ECORRUPT');
+        expect(cleaner.hasSync('data')).to.be.false;
+        expect(cleaner.hasSync('compressed')).to.be.false;
+        expect(fs.readdirSync(instanceDirectory).filter(file => file.indexOf('data') === 0)).to.be.empty;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep corrupt entries which are locked', function(done) {
+      const cleaner = cache.createCache({ directory: instanceDirectory, deleteCorrupt: true });
+      const lock = Lock.acquireSync(path.join(instanceDirectory, `${Lock.lockPrefix}data`));
+
+      alter('data');
+
+      cleaner.getValue('data')
+      .then(() => undefined, err => err)
+      .then((err) => {
+        lock.release();
+        expect(err).to.have.property('code', 'ECORRUPT');
+        expect(cleaner.hasSync('data')).to.be.true;
+        expect(cleaner.getValueSync('data')).to.be.undefined;
+        expect(cleaner.hasSync('data')).to.be.false;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('atomic writes', function() {
+    let instanceDirectory;
+    let instance;
+
+    before(function() {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      fs.writeFileSync(path.join(instanceDirectory, `${Utils.tmpPrefix}4194304_1_00000000`), 'partial');
+      instance = cache.createCache({ directory: instanceDirectory });
+    });
+
+    it('should remove temporary files left by other processes when ready', function(done) {
+      instance.ready()
+      .then(() => {
+        expect(fs.readdirSync(instanceDirectory)).to.be.empty;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should leave only the conf file and the data file once set', function(done) {
+      instance.set({ name: 'atomic', data: 'data' })
+      .then(() => new Promise((resolve, reject) => {
+        instance.setParallel({ name: 'parallel', data: 'data' }, err => (err ? reject(err) : resolve()));
+      }))
+      .then(() => {
+        expect(listFiles(instanceDirectory)).to.deep.equal([
+          `atomic${confExtension}`,
+          `atomic${confExtension}_atomic`,
+          `parallel${confExtension}`,
+          `parallel${confExtension}_parallel`,
+        ]);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep the previous entry and no temporary file if not overriding', function(done) {
+      instance.set({ name: 'atomic', data: 'new data', override: false })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err.code).to.equal('EEXIST');
+        expect(instance.getValueSync('atomic')).to.equal('data');
+        expect(fs.readdirSync(instanceDirectory)).to.have.lengthOf(4);
+
+        instance.setParallel({ name: 'parallel', data: 'new data', override: false }, (error) => {
+          expect(error).to.have.property('code', 'EEXIST');
+          expect(instance.getValueSync('parallel')).to.equal('data');
+          expect(fs.readdirSync(instanceDirectory)).to.have.lengthOf(4);
+          done();
+        });
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('locking', function() {
+    let instanceDirectory;
+    let instance;
+    let failing;
+    let lockFile;
+
+    before(function(done) {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      lockFile = path.join(instanceDirectory, `${Lock.lockPrefix}locked`);
+      instance = cache.createCache({ directory: instanceDirectory, lock: { retryInterval: 10 } });
+      failing = cache.createCache({ directory: instanceDirectory, lock: { wait: false } });
+
+      instance.set({ name: 'locked', data: 'data' })
+      .then(() => done())
+      .catch(err => done(err));
+    });
+
+    it('should wait for the entry lock then write and release it', function(done) {
+      const lock = Lock.acquireSync(lockFile);
+      let released = false;
+
+      setTimeout(() => {
+        released = true;
+        lock.release();
+      }, 50);
+
+      instance.set({ name: 'locked', data: 'new data' })
+      .then(() => {
+        expect(released).to.be.true;
+        expect(instance.getValueSync('locked')).to.equal('new data');
+        expect(fs.existsSync(lockFile)).to.be.false;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep entries consistent when written concurrently', function(done) {
+      Promise.all(['a', 'b', 'c', 'd'].map(data => instance.set({ name: 'locked', data })))
+      .then(() => instance.getValue('locked'))
+      .then((value) => {
+        expect(['a', 'b', 'c', 'd']).to.include(value);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should fail with an ELOCKED error when not waiting for a locked entry', function(done) {
+      const lock = Lock.acquireSync(lockFile);
+      const expectLocked = promise => promise
+      .then(() => Promise.reject(new Error('should have been rejected')), (err) => {
+        expect(err).to.have.property('code', 'ELOCKED');
+      });
+
+      expectLocked(failing.set({ name: 'locked', data: 'locked data' }))
+      .then(() => expectLocked(failing.reset('locked')))
+      .then(() => expectLocked(failing.delete('locked')))
+      .then(() => failing.clear())
+      .then(report => expect(report).to.have.property('failed').that.deep.equals(['locked']))
+      .then(() => new Promise((resolve) => {
+        failing.setParallel({ name: 'locked', data: 'locked data' }, (err) => {
+          expect(err).to.have.property('code', 'ELOCKED');
+          resolve();
+        });
+      }))
+      .then(() => {
+        expect(failing.resetSync('locked')).to.be.false;
+        expect(failing.deleteSync('locked')).to.be.false;
+        expect(failing.clearSync()).to.have.property('failed').that.deep.equals(['locked']);
+        expect(instance.getValueSync('locked')).to.be.a('string');
+        expect(listFiles(instanceDirectory)).to.deep.equal([
+          `${Lock.lockPrefix}locked`,
+          `locked${confExtension}`,
+          `locked${confExtension}_locked`,
+        ]);
+        lock.release();
+        done();
+      })
+      .catch((err) => {
+        lock.release();
+        done(err);
+      });
+    });
+
+    it('should break the lock of a process which is not running anymore', function(done) {
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: 4194304, hostname: os.hostname() }));
+
+      failing.delete('locked')
+      .then(() => {
+        expect(fs.readdirSync(instanceDirectory)).to.be.empty;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('versioning', function() {
+    let instanceDirectory;
+    let instance;
+
+    const expectConflict = (promise, version) => promise
+    .then(() => Promise.reject(new Error('should have been rejected')), (err) => {
+      expect(err).to.have.property('code', 'ECONFLICT');
+      expect(err).to.have.property('version', version);
+    });
+
+    before(function() {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory });
+    });
+
+    it('should increment the version of an entry on each set', function(done) {
+      instance.set({ name: 'versioned', data: 'v1', ifVersion: 0 })
+      .then((confObj) => {
+        expect(confObj).to.have.property('version', 1);
+        expect(confObj.etag).to.match(/^"1-[0-9a-f]{16}"$/);
+
+        return instance.set({ name: 'versioned', data: 'v2' });
+      })
+      .then((confObj) => {
+        expect(confObj).to.have.property('version', 2);
+        expect(instance.getSync('versioned')).to.include({ version: 2, etag: confObj.etag });
+
+        return instance.reset('versioned')
+        .then(() => instance.get('versioned'))
+        .then(({ confObj: saved, rstream }) => {
+          rstream.resume();
+          expect(saved).to.include({ version: 2, etag: confObj.etag });
+          done();
+        });
+      })
+      .catch(err => done(err));
+    });
+
+    it('should only set an entry if its version or its etag matches', function(done) {
+      const { etag } = instance.getSync('versioned');
+
+      expectConflict(instance.set({ name: 'versioned', data: 'v3', ifVersion: 1 }), 2)
+      .then(() => expectConflict(instance.set({ name: 'versioned', data: 'v3', ifVersion: 0 }), 2))
+      .then(() => new Promise((resolve) => {
+        instance.setParallel({ name: 'versioned', data: 'v3', ifVersion: 1 }, (err) => {
+          expect(err).to.have.property('code', 'ECONFLICT');
+          resolve();
+        });
+      }))
+      .then(() => {
+        expect(instance.getValueSync('versioned')).to.equal('v2');
+        expect(fs.readdirSync(instanceDirectory)).to.have.lengthOf(2);
+
+        return instance.set({ name: 'versioned', data: 'v3', ifVersion: etag });
+      })
+      .then(() => new Promise((resolve, reject) => {
+        instance.setParallel({ name: 'versioned', data: 'v4', ifVersion: 3 }, (err, confObj) => {
+          if (err) {
+            reject(err);
+          } else {
+            expect(confObj).to.have.property('version', 4);
+            resolve();
+          }
+        });
+      }))
+      .then(() => {
+        expect(instance.getValueSync('versioned')).to.equal('v4');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should only delete an entry if its version matches', function(done) {
+      expectConflict(instance.delete('versioned', { ifVersion: 3 }), 4)
+      .then(() => {
+        expect(instance.deleteSync('versioned', { ifVersion: 3 })).to.be.false;
+        expect(instance.hasSync('versioned')).to.be.true;
+
+        return instance.delete('versioned', { ifVersion: 4 });
+      })
+      .then(() => {
+        expect(instance.hasSync('versioned')).to.be.false;
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('eviction', function() {
+    let instanceDirectory;
+
+    const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+    const lastAccess = (instance, name) => getJSONSync(path.join(instance.directory, `${name}${confExtension}`)).lastAccess;
+
+    beforeEach(function() {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+    });
+
+    it('should save the last access of entries read in the background when the instance has limits', function(done) {
+      const instance = cache.createCache({ directory: instanceDirectory, maxEntries: 10 });
+      const hits = () => getJSONSync(path.join(instance.directory, `read${confExtension}`)).hits;
+      let setAccess;
+
+      instance.set({ name: 'read', data: 'data' })
+      .then((confObj) => {
+        expect(confObj).to.have.property('lastAccess', confObj.lastModified);
+        setAccess = confObj.lastAccess;
+
+        return wait(5);
+      })
+      .then(() => instance.getValue('read'))
+      .then(() => {
+        expect(instance.getValueSync('read')).to.equal('data');
+        expect(lastAccess(instance, 'read')).to.equal(setAccess);
+        expect(instance.getSync('read')).to.have.property('hits', 2);
+        expect(instance.getSync('read').lastAccess).to.be.above(setAccess);
+
+        return wait(1200);
+      })
+      .then(() => {
+        expect(lastAccess(instance, 'read')).to.be.above(setAccess);
+        expect(hits()).to.equal(2);
+        expect(instance.getSync('read')).to.have.property('hits', 2);
+        instance.clearSync();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should count reads of locked entries without writing on the read path', function(done) {
+      const instance = cache.createCache({ directory: instanceDirectory, maxEntries: 10 });
+      let lock;
+
+      instance.set({ name: 'locked', data: 'data' })
+      .then(() => {
+        lock = Lock.acquireSync(path.join(instanceDirectory, `${Lock.lockPrefix}locked`));
+
+        return Promise.all([instance.getValue('locked'), instance.getValue('locked')]);
+      })
+      .then((values) => {
+        lock.release();
+        expect(values).to.deep.equal(['data', 'data']);
+        expect(instance.getSync('locked')).to.have.property('hits', 2);
+        instance.clearSync();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should not write conf files on reads without limits', function(done) {
+      const instance = cache.createCache({ directory: instanceDirectory });
+
+      instance.set({ name: 'read', data: 'data' })
+      .then(confObj => wait(5)
+        .then(() => instance.getValue('read'))
+        .then(() => {
+          expect(lastAccess(instance, 'read')).to.equal(confObj.lastModified);
+          instance.clearSync();
+          done();
+        }))
+      .catch(err => done(err));
+    });
+
+    it('should evict the least recently used entries over maxEntries', function(done) {
+      const instance = cache.createCache({ directory: instanceDirectory, maxEntries: 2 });
+      const evicted = [];
+
+      instance.on('evict', ({ name }) => evicted.push(name));
+
+      instance.set({ name: 'a', data: 'a' })
+      .then(() => wait(5))
+      .then(() => instance.set({ name: 'b', data: 'b' }))
+      .then(() => wait(5))
+      .then(() => instance.getValue('a'))
+      .then(() => wait(5))
+      .then(() => instance.set({ name: 'c', data: 'c' }))
+      .then(() => {
+        expect(evicted).to.deep.equal(['b']);
+        expect(instance.hasSync('a')).to.be.true;
+        expect(instance.hasSync('b')).to.be.false;
+        expect(instance.hasSync('c')).to.be.true;
+        expect(fs.readdirSync(instanceDirectory)).to.have.lengthOf(4);
+        instance.clearSync();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should evict entries over maxBytes but keep the entry written', function(done) {
+      const data = Buffer.alloc(1024);
+      const instance = cache.createCache({ directory: instanceDirectory, maxBytes: 5000 });
+      const evicted = [];
+
+      instance.on('evict', entry => evicted.push(entry));
+
+      instance.set({ name: 'a', data })
+      .then(() => wait(5))
+      .then(() => new Promise((resolve, reject) => {
+        instance.setParallel({ name: 'b', data }, err => (err ? reject(err) : resolve()));
+      }))
+      .then(() => {
+        expect(evicted).to.be.empty;
+
+        return wait(5).then(() => instance.set({ name: 'c', data: Buffer.alloc(2048) }));
+      })
+      .then(() => {
+        expect(evicted.map(({ name }) => name)).to.deep.equal(['a']);
+        expect(evicted[0].bytes).to.be.above(1024);
+
+        return instance.set({ name: 'd', data: Buffer.alloc(8192) });
+      })
+      .then(() => {
+        expect(evicted.map(({ name }) => name).sort()).to.deep.equal(['a', 'b', 'c']);
+        expect(instance.getBufferSync('d')).to.have.lengthOf(8192);
+        instance.clearSync();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should count hits and evict the least frequently used entries with lfu', function(done) {
+      const instance = cache.createCache({ directory: instanceDirectory, maxEntries: 2, eviction: 'lfu' });
+      const evicted = [];
+
+      instance.on('evict', ({ name }) => evicted.push(name));
+
+      instance.set({ name: 'a', data: 'a' })
+      .then(() => instance.set({ name: 'b', data: 'b' }))
+      .then(() => instance.getValue('a'))
+      .then(() => instance.getData('a'))
+      .then(() => instance.getBuffer('b'))
+      .then(() => {
+        expect(instance.getSync('a')).to.have.property('hits', 2);
+        expect(instance.getSync('b')).to.have.property('hits', 1);
+
+        return instance.set({ name: 'c', data: 'c' });
+      })
+      .then(() => {
+        expect(evicted).to.deep.equal(['b']);
+        expect(instance.getSync('c')).to.have.property('hits', 0);
+        instance.clearSync();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should never evict pinned entries', function(done) {
+      const instance = cache.createCache({ directory: instanceDirectory, maxEntries: 1 });
+      const evicted = [];
+
+      instance.on('evict', ({ name }) => evicted.push(name));
+
+      instance.set({ name: 'a', data: 'a', pin: true })
+      .then(() => instance.set({ name: 'b', data: 'b' }))
+      .then(() => instance.set({ name: 'a', data: 'new a' }))
+      .then((confObj) => {
+        expect(confObj).to.have.property('pinned', true);
+        expect(evicted).to.deep.equal(['b']);
+
+        return instance.unpin('a');
+      })
+      .then(() => instance.set({ name: 'c', data: 'c' }))
+      .then(() => {
+        expect(evicted).to.deep.equal(['b', 'a']);
+
+        return instance.pin('c');
+      })
+      .then(() => {
+        expect(instance.getSync('c')).to.have.property('pinned', true);
+        instance.clearSync();
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should count the entries written instead of scanning the store on each write', function(done) {
+      const memoryStore = MemoryStore.createMemoryStore();
+      const { list } = memoryStore;
+      const instance = cache.createCache({ store: memoryStore, maxEntries: 4 });
+      const evicted = [];
+      let scans = 0;
+
+      memoryStore.list = () => {
+        scans += 1;
+
+        return list();
+      };
+      instance.on('evict', ({ name }) => evicted.push(name));
+
+      ['a', 'b', 'c', 'd'].reduce((previous, name) => previous
+      .then(() => instance.set({ name, data: name })), Promise.resolve())
+      .then(() => {
+        expect(scans).to.equal(1);
+        expect(evicted).to.deep.equal([]);
+
+        return instance.delete('b');
+      })
+      .then(() => instance.set({ name: 'e', data: 'e' }))
+      .then(() => {
+        expect(scans).to.equal(1);
+
+        return instance.set({ name: 'f', data: 'f' });
+      })
+      .then(() => {
+        expect(scans).to.equal(2);
+        expect(evicted).to.deep.equal(['a']);
+
+        return instance.stats();
+      })
+      .then(({ entries }) => {
+        expect(entries).to.equal(4);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should not count conf objects which cannot be read as missing', function(done) {
+      const memoryStore = MemoryStore.createMemoryStore();
+      const { readMeta } = memoryStore;
+      const instance = cache.createCache({ store: memoryStore, maxEntries: 4 });
+
+      instance.set({ name: 'a', data: 'a' })
+      .then(() => {
+        memoryStore.readMeta = () => Promise.reject(Object.assign(new Error('too many open files'), { code: 'EMFILE' }));
+
+        return instance.stats();
+      })
+      .then(() => {
+        throw new Error('stats should have failed');
+      }, (err) => {
+        expect(err).to.have.property('code', 'EMFILE');
+        memoryStore.readMeta = readMeta;
+
+        return instance.stats();
+      })
+      .then(({ entries }) => {
+        expect(entries).to.equal(1);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should throw an EPOLICY error for an unknown eviction policy', function() {
+      expect(() => cache.createCache({ directory: instanceDirectory, eviction: 'mru' }))
+      .to.throw(Error).with.property('code', 'EPOLICY');
+    });
+
+    afterEach(function() {
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('expiry', function() {
+    let instanceDirectory;
+    let instance;
+
+    // make an entry expired without waiting for it
+    const expire = (name) => {
+      const confFile = path.join(instanceDirectory, `${name}${confExtension}`);
+      const confObj = getJSONSync(confFile);
+
+      fs.writeFileSync(confFile, JSON.stringify(Object.assign(confObj, { expires: Date.now() - 1 })));
+    };
+
+    const setEntries = (...names) => Promise.all(names.map(name => instance.set({ name, data: name })));
+
+    beforeEach(function() {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory });
+    });
+
+    it('should only clear the entries matching all the options of clear', function(done) {
+      setEntries('page_home', 'page_old', 'user_1')
+      .then(() => {
+        expire('page_old');
+
+        return instance.clear({ expiredOnly: true, prefix: 'page_' });
+      })
+      .then((report) => {
+        expect(report).to.have.property('removed').that.deep.equals(['page_old']);
+        expect(report.skipped.sort()).to.deep.equal(['page_home', 'user_1']);
+
+        return instance.clear({ prefix: 'user_', olderThan: 1 * minute });
+      })
+      .then((report) => {
+        expect(report).to.have.property('removed').that.is.empty;
+
+        return new Promise(resolve => setTimeout(resolve, 10));
+      })
+      .then(() => instance.clear({ olderThan: 5, batchSize: 1 }))
+      .then((report) => {
+        expect(report.removed.sort()).to.deep.equal(['page_home', 'user_1']);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should only clear expired entries with clearSync when asked to', function(done) {
+      setEntries('old', 'fresh')
+      .then(() => {
+        expire('old');
+
+        expect(instance.clearSync({ expiredOnly: true }))
+        .to.deep.equal({ scanned: 2, removed: ['old'], skipped: ['fresh'], failed: [] });
+        expect(instance.getValueSync('fresh')).to.equal('fresh');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should prune expired entries in batches and report them', function(done) {
+      const expired = [];
+
+      instance.on('expire', ({ name }) => expired.push(name));
+
+      setEntries('old1', 'old2', 'fresh')
+      .then(() => {
+        expire('old1');
+        expire('old2');
+
+        return instance.prune({ batchSize: 1 });
+      })
+      .then((report) => {
+        expect(report).to.have.property('scanned', 3);
+        expect(report.removed.sort()).to.deep.equal(['old1', 'old2']);
+        expect(report.skipped).to.be.empty;
+        expect(report.failed).to.be.empty;
+        expect(expired.sort()).to.deep.equal(['old1', 'old2']);
+        expect(listFiles(instanceDirectory)).to.deep.equal([
+          `fresh${confExtension}`,
+          `fresh${confExtension}_fresh`,
+        ]);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should skip expired entries which are locked', function(done) {
+      setEntries('locked')
+      .then(() => {
+        const lock = Lock.acquireSync(path.join(instanceDirectory, `${Lock.lockPrefix}locked`));
+
+        expire('locked');
+
+        return instance.prune()
+        .then((report) => {
+          lock.release();
+          expect(report.skipped).to.deep.equal(['locked']);
+          expect(instance.getDataSync('locked')).to.equal('locked');
+          done();
+        });
+      })
+      .catch(err => done(err));
+    });
+
+    it('should remove expired entries periodically once the sweeper is started', function(done) {
+      setEntries('old', 'fresh')
+      .then(() => {
+        expire('old');
+        instance.startSweeper({ interval: 10 });
+
+        instance.once('expire', ({ name }) => {
+          instance.stopSweeper();
+          expect(name).to.equal('old');
+          expect(instance.hasSync('fresh')).to.be.true;
+          setTimeout(done, 20);
+        });
+      })
+      .catch(err => done(err));
+    });
+
+    it('should start the sweeper with the sweeper option', function(done) {
+      const swept = cache.createCache({ directory: instanceDirectory, sweeper: { interval: 10 } });
+
+      setEntries('old')
+      .then(() => {
+        expire('old');
+
+        swept.once('expire', () => {
+          swept.stopSweeper();
+          expect(fs.readdirSync(instanceDirectory)).to.be.empty;
+          setTimeout(done, 20);
+        });
+      })
+      .catch(err => done(err));
+    });
+
+    afterEach(function() {
+      instance.stopSweeper();
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('memory', function() {
+    let instanceDirectory;
+    let instance;
+
+    const dataFile = name => getJSONSync(path.join(instanceDirectory, `${name}${confExtension}`)).file.path;
+
+    const readStream = rstream => new Promise((resolve, reject) => {
+      let content = '';
+
+      rstream.on('data', (chunk) => {
+        content += chunk;
+      });
+      rstream.on('error', reject);
+      rstream.on('end', () => resolve(content));
+    });
+
+    beforeEach(function(done) {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({
+        directory: instanceDirectory,
+        compress: 'gzip',
+        memory: { maxItemBytes: 100 },
+      });
+
+      Promise.all([
+        instance.set({ name: 'small', data: { small: true } }),
+        instance.set({ name: 'large', data: 'large'.repeat(100) }),
+      ])
+      .then(() => done())
+      .catch(err => done(err));
+    });
+
+    it('should serve small entries read once from memory', function(done) {
+      instance.getValue('small')
+      .then(() => {
+        fs.unlinkSync(dataFile('small'));
+
+        return instance.getValue('small');
+      })
+      .then((value) => {
+        expect(value).to.deep.equal({ small: true });
+        expect(instance.getBufferSync('small').toString()).to.equal('{"small":true}');
+        expect(instance.getDataSync('small')).to.equal('{"small":true}');
+        expect(instance.hasSync('small')).to.be.true;
+
+        return instance.get('small');
+      })
+      .then(({ confObj, rstream }) => {
+        expect(confObj).to.have.property('name', 'small');
+
+        return readStream(rstream);
+      })
+      .then((content) => {
+        expect(content).to.equal('{"small":true}');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep entries read by get and read large ones from their data file', function(done) {
+      instance.get('small')
+      .then(({ rstream }) => readStream(rstream))
+      .then(() => instance.getValue('large'))
+      .then(() => {
+        fs.unlinkSync(dataFile('small'));
+        fs.unlinkSync(dataFile('large'));
+
+        expect(instance.getValueSync('small')).to.deep.equal({ small: true });
+        expect(instance.getValueSync('large')).to.be.undefined;
+        expect(instance.getSync('large')).to.have.property('name', 'large');
+
+        return instance.get('small', { decompress: false });
+      })
+      .then(() => done(new Error('compressed data should have been read from the data file')))
+      .catch(({ err }) => {
+        expect(err).to.have.property('code', 'ENOENT');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should read entries again once written or deleted through the instance', function(done) {
+      instance.getValue('small')
+      .then(() => instance.set({ name: 'small', data: 'set again' }))
+      .then(() => instance.getValue('small'))
+      .then((value) => {
+        expect(value).to.equal('set again');
+        expect(instance.deleteSync('small')).to.be.true;
+        expect(instance.getValueSync('small')).to.be.undefined;
+        expect(instance.hasSync('small')).to.be.false;
+
+        return instance.set({ name: 'small', data: 'set once more' });
+      })
+      .then(() => instance.getValue('small'))
+      .then(() => instance.clear())
+      .then(() => instance.getValue('small'))
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err).to.have.property('code', 'ENOENT');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should not serve expired entries from memory', function(done) {
+      const confFile = path.join(instanceDirectory, `small${confExtension}`);
+
+      instance.getValue('small')
+      .then(() => {
+        const item = instance.getSync('small');
+
+        // expired in memory as it would be once its time is over
+        item.expires = Date.now() - 1;
+        fs.writeFileSync(confFile, JSON.stringify(item));
+
+        return instance.getValue('small');
+      })
+      .then(() => done(new Error('should have been rejected')))
+      .catch((err) => {
+        expect(err).to.have.property('code', 'EXPIRED');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    afterEach(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('consistency', function() {
+    let instanceDirectory;
+    let quarantine;
+    let instance;
+
+    // the data file is the one recorded in the conf file
+    const files = name => ({
+      confFile: path.join(instanceDirectory, `${name}${confExtension}`),
+      get dataFile() {
+        return getJSONSync(this.confFile).file.path;
+      },
+    });
+
+    const types = ({ anomalies }) => anomalies
+    .map(({ type, name, files: [file] }) => `${type}:${name || file.replace(/@[0-9a-f]+$/, '')}`)
+    .sort();
+
+    beforeEach(function(done) {
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      quarantine = path.join(instanceDirectory, '..', `${path.basename(instanceDirectory)}-quarantine`);
+      instance = cache.createCache({ directory: instanceDirectory });
+
+      Promise.all(['good', 'unsaved', 'missing', 'corrupt', 'tampered', 'orphan']
+      .map(name => instance.set({ name, data: `${name} data` })))
+      .then(() => {
+        const unsaved = getJSONSync(files('unsaved').confFile);
+        unsaved.file.saved = false;
+        fs.writeFileSync(files('unsaved').confFile, JSON.stringify(unsaved));
+
+        fs.unlinkSync(files('missing').dataFile);
+        fs.appendFileSync(files('corrupt').dataFile, 'more');
+        fs.writeFileSync(files('tampered').dataFile, 'tampered DATA');
+        fs.unlinkSync(files('orphan').confFile);
+        fs.writeFileSync(files('bad').confFile, fs.readFileSync(path.join(__dirname, 'fixtures', 'bad.json')));
+        fs.writeFileSync(path.join(instanceDirectory, `${Utils.tmpPrefix}4194304_1_00000000`), 'partial');
+        fs.writeFileSync(path.join(instanceDirectory, 'notes.txt'), 'notes');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should report each anomaly of the directory', function(done) {
+      instance.verify()
+      .then((report) => {
+        expect(report).to.have.property('scanned', 13);
+        expect(report).to.have.property('entries', 7);
+        expect(types(report)).to.deep.equal([
+          `bad-conf:bad${confExtension}`,
+          'corrupt:corrupt',
+          'missing-data:missing',
+          `orphan-data:orphan${confExtension}_orphan`,
+          `tmp:${Utils.tmpPrefix}4194304_1_00000000`,
+          'unknown:notes.txt',
+          'unsaved:unsaved',
+        ]);
+
+        return instance.verify({ deep: true });
+      })
+      .then((report) => {
+        expect(types(report)).to.include('corrupt:tampered');
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should quarantine broken files and leave unknown ones', function(done) {
+      instance.repair({ quarantine, deep: true })
+      .then((report) => {
+        const actions = report.anomalies.map(({ type, action }) => `${type}:${action}`).sort();
+
+        expect(actions).to.deep.equal([
+          'bad-conf:quarantined',
+          'corrupt:quarantined',
+          'corrupt:quarantined',
+          'missing-data:quarantined',
+          'orphan-data:quarantined',
+          'tmp:quarantined',
+          'unknown:skipped',
+          'unsaved:quarantined',
+        ]);
+        expect(fs.readdirSync(quarantine)).to.have.lengthOf(10);
+        expect(instance.getValueSync('good')).to.equal('good data');
+
+        return instance.verify({ deep: true });
+      })
+      .then((report) => {
+        expect(types(report)).to.deep.equal(['unknown:notes.txt']);
+        fs.readdirSync(quarantine).forEach(file => fs.unlinkSync(path.join(quarantine, file)));
+        fs.rmdirSync(quarantine);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep the data files of names ending like conf files', function(done) {
+      const legacy = {
+        confFile: path.join(instanceDirectory, `legacy${confExtension}${confExtension}`),
+        dataFile: path.join(instanceDirectory, `legacy${confExtension}${confExtension}_legacy${confExtension}`),
+      };
+
+      fs.writeFileSync(legacy.confFile, fs.readFileSync(files('good').confFile));
+      fs.writeFileSync(legacy.dataFile, fs.readFileSync(files('good').dataFile));
+
+      instance.set({ name: `a${confExtension}`, data: 'a data' })
+      .then(() => instance.repair())
+      .then(() => instance.verify())
+      .then((report) => {
+        expect(types(report)).to.deep.equal(['unknown:notes.txt']);
+        expect(fs.existsSync(legacy.dataFile)).to.be.true;
+
+        return instance.getValue(`a${confExtension}`);
+      })
+      .then((value) => {
+        expect(value).to.equal('a data');
+
+        return instance.stats();
+      })
+      .then(({ entries }) => {
+        expect(entries).to.equal(4);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should remove broken files unless their entry is locked', function(done) {
+      const lock = Lock.acquireSync(path.join(instanceDirectory, `${Lock.lockPrefix}corrupt`));
+
+      instance.repair()
+      .then((report) => {
+        lock.release();
+        expect(report.anomalies.find(({ name }) => name === 'corrupt')).to.have.property('action', 'skipped');
+        expect(report.anomalies.find(({ name }) => name === 'missing')).to.have.property('action', 'removed');
+        expect(listFiles(instanceDirectory)).to.deep.equal([
+          `corrupt${confExtension}`,
+          `corrupt${confExtension}_corrupt`,
+          `good${confExtension}`,
+          `good${confExtension}_good`,
+          'notes.txt',
+          `tampered${confExtension}`,
+          `tampered${confExtension}_tampered`,
+        ]);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    afterEach(function() {
+      instance.clearSync();
+      fs.readdirSync(instanceDirectory).forEach(file => fs.unlinkSync(path.join(instanceDirectory, file)));
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
+
+  describe('stores', function() {
+    it('should keep entries of the memory store out of any directory', function(done) {
+      const instance = cache.createCache({ store: 'memory', maxEntries: 2 });
+      const filesBefore = fs.readdirSync(filesDirectory);
+
+      expect(instance.directory).to.be.undefined;
+
+      instance.set({ name: 'first', data: { first: true } })
+      .then(() => instance.set({ name: 'second', data: Buffer.from('second'), compress: 'gzip' }))
+      .then(() => instance.set({ name: 'third', data: 'third', pin: true }))
+      .then(() => instance.get('third'))
+      .then(({ rstream }) => new Promise((resolve, reject) => {
+        let content = '';
+
+        rstream.on('data', (chunk) => {
+          content += chunk;
+        });
+        rstream.on('error', reject);
+        rstream.on('end', () => resolve(content));
+      }))
+      .then((content) => {
+        expect(content).to.equal('third');
+        expect(instance.hasSync('first')).to.be.false;
+        expect(instance.getValueSync('second')).to.deep.equal(Buffer.from('second'));
+        expect(instance.getSync('third')).to.have.deep.property('file.path', 'third');
+        expect(instance.deleteSync('second')).to.be.true;
+        expect(fs.readdirSync(filesDirectory)).to.deep.equal(filesBefore);
+
+        return instance.clear();
+      })
+      .then((report) => {
+        expect(report).to.have.property('removed').that.deep.equals(['third']);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should lock entries of custom stores in the process and fail sync methods', function(done) {
+      const memoryStore = MemoryStore.createMemoryStore();
+      const adapter = {};
+
+      Store.requiredMethods.forEach((method) => {
+        adapter[method] = memoryStore[method];
+      });
+
+      const instance = cache.createCache({ store: adapter });
+
+      instance.set({ name: 'entry', data: 'data' })
+      .then(() => Promise.all([instance.getValue('entry'), instance.verify().catch(err => err)]))
+      .then(([value, err]) => {
+        expect(value).to.equal('data');
+        expect(err).to.have.property('code', 'ESTORE');
+        expect(instance.getValueSync('entry')).to.be.undefined;
+        expect(instance.deleteSync('entry')).to.be.false;
+
+        return Promise.all([
+          instance.set({ name: 'entry', data: 'first', ifVersion: 1 }),
+          instance.set({ name: 'entry', data: 'second', ifVersion: 1 }).catch(err => err),
+        ]);
+      })
+      .then(([confObj, err]) => {
+        expect(confObj).to.have.property('version', 2);
+        expect(err).to.have.property('code', 'ECONFLICT');
+
+        return instance.delete('entry');
+      })
+      .then(() => {
+        expect(memoryStore.listSync()).to.deep.equal([]);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should keep the entries of the log store in segment files', function(done) {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      const instance = cache.createCache({ directory, store: { type: 'log', compactInterval: 0 } });
+
+      instance.set({ name: 'first', data: { first: true } })
+      .then(() => instance.set({ name: 'second', data: Buffer.from('second'), compress: 'gzip' }))
+      .then(() => instance.delete('first'))
+      .then(() => Promise.all([instance.getValue('second'), instance.getValue('first').catch(err => err)]))
+      .then(([value, err]) => {
+        expect(value).to.deep.equal(Buffer.from('second'));
+        expect(err).to.have.property('code', 'ENOENT');
+        expect(instance.getValueSync('second')).to.deep.equal(Buffer.from('second'));
+        expect(fs.readdirSync(directory)).to.deep.equal(['segment_00000001.log']);
+
+        return instance.clear();
+      })
+      .then((report) => {
+        expect(report).to.have.property('removed').that.deep.equals(['second']);
+
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should throw an ESTORE error for unknown stores', function() {
+      expect(() => cache.createCache({ store: 'redis' })).to.throw(Error).with.property('code', 'ESTORE');
+    });
+  });
+
+  describe('events', function() {
+    let store;
+    let instance;
+    let events;
+
+    // make an entry of the memory store expired without waiting for it
+    const expire = (name) => {
+      const key = Utils.toFileName(name);
+
+      store.writeMetaSync(key, Object.assign(store.readMetaSync(key), { expires: Date.now() - 1 }));
+    };
+
+    beforeEach(function() {
+      store = MemoryStore.createMemoryStore();
+      instance = cache.createCache({ store });
+      events = [];
+
+      ['hit', 'miss', 'stale', 'set', 'delete', 'reset'].forEach((event) => {
+        instance.on(event, details => events.push(Object.assign({ event }, details)));
+      });
+    });
+
+    it('should emit the lifecycle events of entries with their key, size and duration', function(done) {
+      instance.set({ name: 'entry one', data: 'data' })
+      .then(() => instance.getValue('entry one'))
+      .then(() => instance.getValue('missing').catch(err => err))
+      .then(() => instance.reset('entry one'))
+      .then(() => {
+        expire('entry one');
+
+        return instance.getBuffer('entry one').catch(err => err);
+      })
+      .then(() => instance.delete('entry one'))
+      .then(() => {
+        const [set, hit, miss, reset, stale, deleted] = events;
+
+        expect(events.map(({ event }) => event))
+        .to.deep.equal(['set', 'hit', 'miss', 'reset', 'stale', 'delete']);
+        expect(set).to.include({
+          name: 'entry one',
+          key: 'entry%20one',
+          operation: 'set',
+          version: 1,
+          size: 4,
+          bytes: 4,
+        });
+        expect(hit).to.include({ key: 'entry%20one', operation: 'getValue', size: 4 });
+        expect(miss).to.include({ name: 'missing', operation: 'getValue' });
+        expect(reset.expires).to.be.above(Date.now());
+        expect(stale).to.include({ operation: 'getBuffer' });
+        expect(stale.expires).to.be.below(Date.now());
+        expect(deleted).to.include({ name: 'entry one', operation: 'delete' });
+        events.forEach(({ duration }) => expect(duration).to.be.a('number').and.at.least(0));
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should emit them from get(), setParallel(), clear() and sync methods', function(done) {
+      new Promise((resolve, reject) => {
+        instance.setParallel({ name: 'first', data: 'first' }, err => (err ? reject(err) : resolve()));
+      })
+      .then(() => instance.set({ name: 'second', data: 'second' }))
+      .then(() => instance.get('first'))
+      .then(() => {
+        expect(instance.getValueSync('second')).to.equal('second');
+        expect(instance.getBufferSync('missing')).to.be.undefined;
+        expect(instance.resetSync('second')).to.be.true;
+        expect(instance.deleteSync('second')).to.be.true;
+
+        return instance.clear();
+      })
+      .then(() => {
+        expect(events.map(({ event, operation }) => `${event} ${operation}`)).to.deep.equal([
+          'set setParallel',
+          'set set',
+          'hit get',
+          'hit getValueSync',
+          'miss getBufferSync',
+          'reset resetSync',
+          'delete deleteSync',
+          'delete clear',
+        ]);
+        expect(events[events.length - 1]).to.include({ name: 'first', key: 'first' });
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should only emit error events when they are listened to', function(done) {
+      const errors = [];
+
+      instance.set({ name: 'entry', data: 'data', ifVersion: 2 })
+      .then(() => {
+        throw new Error('the version should conflict');
+      }, (err) => {
+        expect(err).to.have.property('code', 'ECONFLICT');
+
+        instance.on('error', (error, details) => errors.push({ error, details }));
+
+        return instance.set({ name: 'entry', data: 'data', ifVersion: 2 }).catch(e => e);
+      })
+      .then(() => instance.delete('missing').catch(e => e))
+      .then(() => {
+        expect(errors).to.have.length(2);
+        expect(errors[0].error).to.have.property('code', 'ECONFLICT');
+        expect(errors[0].details).to.include({ operation: 'set', name: 'entry', key: 'entry' });
+        expect(errors[1].error).to.have.property('code', 'ENOENT');
+        expect(errors[1].details).to.include({ operation: 'delete', name: 'missing' });
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
+  describe('hooks', function() {
+    let instance;
+
+    // prefix the names of entries with a tenant, as a plugin would
+    const tenant = {
+      beforeGet: ({ args: [name, ...rest] }) => [`tenant:${name}`, ...rest],
+      beforeSet: ({ args: [params] }) => [Object.assign({}, params, { name: `tenant:${params.name}` })],
+      beforeDelete: ({ args: [name, ...rest] }) => [`tenant:${name}`, ...rest],
+    };
+
+    beforeEach(function() {
+      instance = cache.createCache({ store: 'memory' });
+    });
+
+    it('should run the hooks of plugins around promise and sync methods', function(done) {
+      const audit = [];
+
+      expect(instance.use(tenant)).to.equal(instance);
+      instance.use({
+        afterSet: (confObj, { operation }) => {
+          audit.push(`${operation} ${confObj.name}`);
+        },
+        afterGet: (value, { operation }) => (operation === 'getValue' ? { value } : undefined),
+      });
+
+      instance.set({ name: 'first', data: 'first' })
+      .then(() => new Promise((resolve, reject) => {
+        instance.setParallel({ name: 'second', data: 'second' }, (err, confObj) => (err ? reject(err) : resolve(confObj)));
+      }))
+      .then((confObj) => {
+        expect(confObj).to.have.property('name', 'tenant:second');
+        expect(audit).to.deep.equal(['set tenant:first', 'setParallel tenant:second']);
+
+        return instance.getValue('first');
+      })
+      .then((result) => {
+        expect(result).to.deep.equal({ value: 'first' });
+        expect(instance.getValueSync('second')).to.equal('second');
+        expect(instance.hasSync('second')).to.be.true;
+        expect(instance.getSync('first')).to.have.property('name', 'tenant:first');
+        expect(instance.deleteSync('second')).to.be.true;
+
+        return instance.delete('first');
+      })
+      .then(() => instance.clear())
+      .then((report) => {
+        expect(report.scanned).to.equal(0);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should fail calls rejected by a hook with the error of the hook', function(done) {
+      const failures = [];
+
+      instance.use({
+        beforeSet: ({ args: [{ data }] }) => {
+          if (typeof data !== 'string') {
+            const err = new Error('only strings can be cached');
+            err.code = 'EVALIDATION';
+
+            throw err;
+          }
+        },
+        onError: (err, { operation }) => failures.push(`${operation} ${err.code}`),
+      });
+
+      instance.set({ name: 'number', data: 1 })
+      .then(() => {
+        throw new Error('the value should not be valid');
+      }, (err) => {
+        expect(err).to.have.property('code', 'EVALIDATION');
+
+        return new Promise((resolve) => {
+          instance.setParallel({ name: 'number', data: 2 }, resolve);
+        });
+      })
+      .then((err) => {
+        expect(err).to.have.property('code', 'EVALIDATION');
+        expect(instance.hasSync('number')).to.be.false;
+        expect(failures).to.deep.equal(['set EVALIDATION', 'setParallel EVALIDATION']);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should throw an EHOOK error when a sync method gets a Promise from a hook', function() {
+      instance.use({ beforeReset: () => Promise.resolve() });
+
+      expect(() => instance.resetSync('entry')).to.throw(Error).with.property('code', 'EHOOK');
+      expect(() => instance.use({ beforeFetch() {} })).to.throw(Error).with.property('code', 'EHOOK');
+    });
+  });
+
+  describe('stats', function() {
+    it('should count reads, writes and bytes with the latencies of operations', function(done) {
+      const instance = cache.createCache({ store: 'memory' });
+
+      Promise.all([
+        instance.set({ name: 'first', data: 'first' }),
+        instance.set({ name: 'second', data: Buffer.alloc(100) }),
+      ])
+      .then(() => Promise.all([
+        instance.getValue('first'),
+        instance.getBuffer('second'),
+        instance.getValue('missing').catch(err => err),
+        instance.delete('missing').catch(err => err),
+      ]))
+      .then(() => instance.stats())
+      .then((stats) => {
+        expect(stats).to.include({
+          hits: 2,
+          misses: 1,
+          stale: 0,
+          writes: 2,
+          deletes: 0,
+          errors: 1,
+          bytesRead: 105,
+          bytesWritten: 105,
+          entries: 2,
+        });
+        expect(stats.hitRatio).to.equal(2 / 3);
+        expect(stats.bytes).to.be.above(105);
+        expect(stats.since).to.be.at.most(Date.now());
+        expect(stats.latency).to.have.all.keys('set', 'getValue', 'getBuffer', 'delete');
+        expect(stats.latency.getValue).to.have.property('count', 2);
+        ['mean', 'p50', 'p95', 'p99'].forEach((measure) => {
+          expect(stats.latency.set[measure]).to.be.a('number').and.at.least(0);
+        });
+        expect(stats.oldestAge).to.be.at.least(0);
+
+        return instance.metrics({ prefix: 'app_cache_', labels: { cache: 'memory' } });
+      })
+      .then((metrics) => {
+        expect(metrics).to.contain('app_cache_reads_total{cache="memory",result="hit"} 2\n');
+        expect(metrics).to.contain('app_cache_entries{cache="memory"} 2\n');
+        expect(metrics).to.contain('app_cache_operation_duration_seconds_count{cache="memory",operation="getValue"} 2\n');
+        expect(cache.metricsContentType).to.match(/^text\/plain/);
+
+        instance.resetStats();
+
+        return instance.stats();
+      })
+      .then((stats) => {
+        expect(stats).to.include({
+          hits: 0,
+          misses: 0,
+          writes: 0,
+          errors: 0,
+          hitRatio: 0,
+          entries: 2,
+        });
+        expect(stats.latency).to.deep.equal({});
+        done();
+      })
+      .catch(err => done(err));
+    });
+  });
+
+  describe('#getData()', function() {
+    before(function(done) {
+      cache.clearSync();
+
+      Promise.all([
+        cache.set(obj),
+        cache.set({ name: 'buffer', data: Buffer.from([0, 1, 2, 255]) }),
+        cache.set({ name: 'json', data: { json: 'for life' } }),
+      ])
+      .then(() => done())
+      .catch(err => done(err));
+    });
+
+    it('should resolve with the data saved in the data file', function(done) {
+      Promise.all([
+        cache.getData(obj.name),
+        cache.getData('buffer'),
+        cache.getData('json'),
+      ])
+      .then(([str, buffer, json]) => {
+        expect(str).to.equal(obj.data);
+        expect(Buffer.isBuffer(buffer)).to.be.true;
+        expect(buffer.equals(Buffer.from([0, 1, 2, 255]))).to.be.true;
+        expect(json).to.equal(JSON.stringify({ json: 'for life' }));
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should reject with an error if not in cache', function(done) {
+      expect(cache.getData(phantom)).to.be.rejectedWith(Error).and.notify(done);
+    });
+
+    after(function() {
+      cache.clearSync();
+    });
+  });
+
+  describe('#getDataSync()', function() {
+    before(function(done) {
+      cache.clearSync();
+      cache.set(obj).then(() => done()).catch(err => done(err));
+    });
+
+    it('should return the data saved in the data file', function() {
+      expect(cache.getDataSync(obj.name)).to.equal(obj.data);
+    });
+
+    it('should return undefined if not in cache', function() {
+      expect(cache.getDataSync(phantom)).to.be.undefined;
+    });
+
+    after(function() {
+      cache.clearSync();
+    });
+  });
+
+  describe('legacy conf files', function() {
+    const legacyConfFile = path.join(filesDirectory, `${confObjBase.name}${confExtension}`);
+
+    beforeEach(function() {
+      cache.clearSync();
+      fs.writeFileSync(legacyConfFile, JSON.stringify(confObjBase, null, 2));
+      fs.writeFileSync(confObjBase.file.path, confObjBase.data);
+    });
+
+    it('should be rewritten without data on first synchronous read', function() {
+      const confObj = cache.getSync(confObjBase.name);
+
+      expect(confObj).to.not.have.property('data');
+      expect(confObj).to.have.property('size', Buffer.byteLength(confObjBase.data));
+      expect(confObj).to.have.property('encoding', confObjBase.file.encoding);
+      expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
+      expect(getJSONSync(legacyConfFile)).to.deep.equal(confObj);
+      expect(cache.hasSync(confObjBase.name)).to.be.true;
+      expect(confObj).to.have.property('serializer', 'string');
+      expect(cache.getValueSync(confObjBase.name)).to.equal(confObjBase.data);
+    });
+
+    it('should be rewritten without data on first asynchronous read', function(done) {
+      cache.get(confObjBase.name)
+      .then(({ confObj, rstream }) => {
+        expect(confObj).to.not.have.property('data');
+        expect(confObj).to.have.property('size', Buffer.byteLength(confObjBase.data));
+        expect(getJSONSync(legacyConfFile)).to.not.have.property('data');
+        expect(rstream).to.be.a.ReadableStream;
+        done();
+      })
+      .catch(err => done(err.err || err));
+    });
+
+    it('should be left to the holder of the entry lock', function(done) {
+      const lock = Lock.acquireSync(path.join(filesDirectory, `${Lock.lockPrefix}${Utils.toFileName(confObjBase.name)}`));
+
+      expect(cache.getSync(confObjBase.name)).to.not.have.property('data');
+      expect(getJSONSync(legacyConfFile)).to.have.property('data', confObjBase.data);
+
+      cache.get(confObjBase.name)
+      .then(({ confObj, rstream }) => {
+        rstream.resume();
+        expect(confObj).to.not.have.property('data');
+        expect(getJSONSync(legacyConfFile)).to.have.property('data', confObjBase.data);
+        lock.release();
+
+        return cache.get(confObjBase.name);
+      })
+      .then(({ rstream }) => {
+        rstream.resume();
+        expect(getJSONSync(legacyConfFile)).to.not.have.property('data');
+        done();
+      })
+      .catch((err) => {
+        lock.release();
+        done(err.err || err);
+      });
+    });
+
+    after(function() {
+      cache.clearSync();
+    });
+  });
+
+  describe('#reset()', function() {
+    before(function() {
+      cache.clearSync();
+    });
+
+    context('when the named object to reset is not in cache', function() {
+      it('should reject with an error', function(done) {
+        expect(cache.reset(phantom)).to.be.rejectedWith(Error).and.notify(done);
+      });
+    });
+
+    context('when the named object to reset is in cache', function() {
+      let lastModifiedWhenFirstSet;
+      let expiresWhenFirstSet;
+      let originalCacheTime;
+
+      before(function(done) {
+        cache.set(obj)
+        .then(({ lastModified, expires }) => {
+          lastModifiedWhenFirstSet = lastModified;
+          expiresWhenFirstSet = expires;
+          originalCacheTime = expiresWhenFirstSet - lastModifiedWhenFirstSet;
+
+          setTimeout(done, 500);
+        })
+        .catch(err => done(err));
+      });
+
+      it('should set the new expire time running from now with the original cache time set', function(done) {
+        cache.reset(obj.name)
+        .then(() => {
+          const confObj = cache.getSync(obj.name);
+
+          expect(confObj).to.exist;
+          expect(confObj).to.have.property('lastModified');
+          expect(confObj).to.have.property('expires');
+          expect(confObj.lastModified).to.be.above(lastModifiedWhenFirstSet);
+          expect(confObj.expires).to.be.above(expiresWhenFirstSet);
+          expect(confObj.expires - confObj.lastModified).to.equal(originalCacheTime);
 
-      it('should callback an error if name is an empty string', function(done) {
-        cache.setParallel({ name: '' }, function(err, confObj) {
-          expect(err).to.exist.and.to.be.a('error');
-          expect(confObj).to.not.exist;
           done();
-        });
+        })
+        .catch(err => done(err));
       });
 
-      it('should reject with an error if name only contains white spaces', function(done) {
-        cache.setParallel({ name: '      ' }, function(err, confObj) {
+      after(function() {
+        cache.clearSync();
+      });
+    });
+  });
+
+  describe('#resetSync()', function() {
+    before(function() {
+      cache.clearSync();
+    });
+
+    context('when the named object to reset is not in cache', function() {
+      it('should reset nothing', function() {
+        expect(cache.resetSync(phantom)).to.be.false;
+      });
+    });
+
+    context('when the named object to reset is in cache', function() {
+      let lastModifiedWhenFirstSet;
+      let expiresWhenFirstSet;
+      let originalCacheTime;
+
+      before(function(done) {
+        cache.set(obj)
+        .then(({ lastModified, expires }) => {
+          lastModifiedWhenFirstSet = lastModified;
+          expiresWhenFirstSet = expires;
+          originalCacheTime = expiresWhenFirstSet - lastModifiedWhenFirstSet;
+
+          setTimeout(done, 500);
+        })
+        .catch(err => done(err));
+      });
+
+      it('should set the new expire time running from now with the original cache time set', function() {
+        const hasBeenReseted = cache.resetSync(obj.name);
+        const confObj = cache.getSync(obj.name);
+
+        expect(hasBeenReseted).to.be.true;
+        expect(confObj).to.exist;
+        expect(confObj).to.have.property('lastModified');
+        expect(confObj).to.have.property('expires');
+        expect(confObj.lastModified).to.be.above(lastModifiedWhenFirstSet);
+        expect(confObj.expires).to.be.above(expiresWhenFirstSet);
+        expect(confObj.expires - confObj.lastModified).to.equal(originalCacheTime);
+      });
+
+      after(function() {
+        cache.clearSync();
+      });
+    });
+  });
+
+  describe('#delete()', function() {
+    before(function() {
+      cache.clearSync();
+    });
+
+    context('when the named object to delete is not in cache', function() {
+      it('should reject with an error', function(done) {
+        expect(cache.delete(phantom)).to.be.rejectedWith(Error).and.notify(done);
+      });
+    });
+
+    context('when the named object to delete is in cache', function() {
+      before(function(done) {
+        Promise.all([
+          cache.set(obj),
+          cache.set(mayfly),
+        ])
+        .then(() => done())
+        .catch(err => done(err));
+      });
+
+      it('should delete the conf file and the data file', function(done) {
+        const files = listFiles(filesDirectory);
+
+        expect(files.length).to.equal(4);
+        expect(files).to.contain(`${obj.name}${confExtension}`);
+        expect(files).to.contain(`${obj.name}${confExtension}_${obj.name}`);
+
+        cache.delete(obj.name)
+        .then(() => {
+          const files = listFiles(filesDirectory);
+
+          expect(files.length).to.equal(2);
+          expect(files).to.not.contain(`${obj.name}${confExtension}`);
+          expect(files).to.not.contain(`${obj.name}${confExtension}_${obj.name}`);
+
+          done();
+        })
+        .catch(err => done(err));
+      });
+
+      after(function() {
+        cache.clearSync();
+      });
+    });
+  });
+
+  describe('#deleteSync()', function() {
+    before(function() {
+      cache.clearSync();
+    });
+
+    context('when the named object to delete is not in cache', function() {
+      it('should delete nothing', function() {
+        expect(cache.deleteSync(phantom)).to.be.false;
+      });
+    });
+
+    context('when the named object to delete is in cache', function() {
+      before(function(done) {
+        Promise.all([
+          cache.set(obj),
+          cache.set(mayfly),
+        ])
+        .then(() => done())
+        .catch(err => done(err));
+      });
+
+      it('should delete the conf file and the data file', function() {
+        const filesBeforeDelete = listFiles(filesDirectory);
+        expect(filesBeforeDelete.length).to.equal(4);
+        expect(filesBeforeDelete).to.contain(`${obj.name}${confExtension}`);
+        expect(filesBeforeDelete).to.contain(`${obj.name}${confExtension}_${obj.name}`);
+
+        const hasBeenDeleted = cache.deleteSync(obj.name);
+        const filesAfterDelete = listFiles(filesDirectory);
+
+        expect(hasBeenDeleted).to.be.true;
+        expect(filesAfterDelete.length).to.equal(2);
+        expect(filesAfterDelete).to.not.contain(`${obj.name}${confExtension}`);
+        expect(filesAfterDelete).to.not.contain(`${obj.name}${confExtension}_${obj.name}`);
+      });
+
+      after(function() {
+        cache.clearSync();
+      });
+    });
+  });
+
+  describe('#setParallel()', function() {
+    context('when setting a no-named object or with no data', function() {
+      it('should callback an error if no param', function(done) {
+        cache.setParallel(undefined, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
           expect(confObj).to.not.exist;
           done();
         });
       });
 
-      it('should callback an error if no data', function(done) {
-        cache.setParallel({ name: 'test' }, function(err, confObj) {
+      it('should callback an error if empty param', function(done) {
+        cache.setParallel({}, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
           expect(confObj).to.not.exist;
           done();
         });
       });
 
-      it('should callback an error if data is undefined', function(done) {
-        cache.setParallel({ name: 'test', data: undefined }, function(err, confObj) {
+      it('should callback an error if name is an empty string', function(done) {
+        cache.setParallel({ name: '' }, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
           expect(confObj).to.not.exist;
           done();
         });
       });
 
-      it('should callback an error if data is null', function(done) {
-        cache.setParallel({ name: 'test', data: null }, function(err, confObj) {
+      it('should reject with an error if name only contains white spaces', function(done) {
+        cache.setParallel({ name: '      ' }, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
           expect(confObj).to.not.exist;
           done();
         });
       });
 
-      it('should callback an error if data is NaN', function(done) {
-        cache.setParallel({ name: 'test', data: NaN }, function(err, confObj) {
+      it('should callback an error if no data', function(done) {
+        cache.setParallel({ name: 'test' }, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
           expect(confObj).to.not.exist;
           done();
         });
       });
 
-      it('should callback an error if data is an empty string', function(done) {
-        cache.setParallel({ name: 'test', data: '' }, function(err, confObj) {
+      it('should callback an error if data is undefined', function(done) {
+        cache.setParallel({ name: 'test', data: undefined }, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
           expect(confObj).to.not.exist;
           done();
         });
       });
 
+
       it('should callback an error if no name', function(done) {
         cache.setParallel({ data: {} }, function(err, confObj) {
           expect(err).to.exist.and.to.be.a('error');
@@ -922,23 +3041,23 @@ describe('cache', function() {
               const files = fs.readdirSync(filesDirectory);
               expect(files).to.be.a('array').and.to.not.be.empty;
               expect(files).to.include(`${obj.name}${confExtension}`);
-              expect(files).to.include(`${obj.name}${confExtension}_${obj.name}`);
+              expect(files).to.include(path.basename(confObj.file.path));
 
               const confObjInFile = getJSONSync(path.join(filesDirectory, `${obj.name}${confExtension}`));
               expect(confObjInFile).to.have.property('name', confObjBase.name);
-              expect(confObjInFile).to.have.property('data', confObjBase.data);
+              expect(confObjInFile).to.not.have.property('data');
               expect(confObjInFile).to.have.property('relatedData', confObjBase.relatedData);
-              expect(confObjInFile).to.have.deep.property('file.path', confObjBase.file.path);
+              expect(confObjInFile.file.path).to.match(dataFilePattern(confObjBase.name));
               expect(confObjInFile).to.have.deep.property('file.encoding', confObjBase.file.encoding);
 
-              const data = fs.readFileSync(path.join(filesDirectory, `${obj.name}${confExtension}_${obj.name}`));
+              const data = fs.readFileSync(confObj.file.path);
               expect(data.toString()).to.equal(confObjBase.data);
 
               expect(confObj).to.exist.and.to.be.a('object');
               expect(confObj).to.have.property('name', confObjBase.name);
-              expect(confObj).to.have.property('data', confObjBase.data);
+              expect(confObj).to.not.have.property('data');
               expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
-              expect(confObj).to.have.deep.property('file.path', confObjBase.file.path);
+              expect(confObj.file.path).to.match(dataFilePattern(confObjBase.name));
               expect(confObj).to.have.deep.property('file.saved', true);
               expect(confObj).to.have.deep.property('file.encoding', confObjBase.file.encoding);
               expect(confObj).to.have.property('lastModified');
@@ -993,16 +3112,16 @@ describe('cache', function() {
             const files = fs.readdirSync(filesDirectory);
             expect(files).to.be.a('array').and.to.not.be.empty;
             expect(files).to.include(`${obj.name}${confExtension}`);
-            expect(files).to.include(`${obj.name}${confExtension}_${obj.name}`);
+            expect(files).to.include(path.basename(confObj.file.path));
 
-            const data = fs.readFileSync(path.join(filesDirectory, `${obj.name}${confExtension}_${obj.name}`))
+            const data = fs.readFileSync(confObj.file.path)
             expect(data.toString()).to.equal(obj.data);
 
             expect(confObj).to.exist.and.to.be.a('object');
             expect(confObj).to.have.property('name', confObjBase.name);
-            expect(confObj).to.have.property('data', confObjBase.data);
+            expect(confObj).to.not.have.property('data');
             expect(confObj).to.have.property('relatedData', confObjBase.relatedData);
-            expect(confObj).to.have.deep.property('file.path', confObjBase.file.path);
+            expect(confObj.file.path).to.match(dataFilePattern(confObjBase.name));
             expect(confObj).to.have.deep.property('file.saved', true);
             expect(confObj).to.have.deep.property('file.encoding', confObjBase.file.encoding);
             expect(confObj).to.have.property('lastModified');
@@ -1036,10 +3155,10 @@ describe('cache', function() {
             expect(confObj).to.deep.equal(getJSONSync(path.join(filesDirectory, `${testObj1.name}${confExtension}`)));
             expect(confObj).to.exist.and.to.be.a('object');
             expect(confObj).to.have.property('name', testObj1.name);
-            expect(confObj).to.have.property('data', testObj1.data);
+            expect(confObj).to.not.have.property('data');
             expect(confObj).to.have.property('relatedData');
             expect(confObj.relatedData).to.be.a('object').and.to.be.empty;
-            expect(confObj).to.have.deep.property('file.path', path.join(filesDirectory, `${testObj1.name}${confExtension}_${testObj1.name}`));
+            expect(confObj.file.path).to.match(dataFilePattern(testObj1.name));
             expect(confObj).to.have.deep.property('file.saved', true);
             expect(confObj).to.have.deep.property('file.encoding', 'utf8');
             expect(confObj).to.have.property('lastModified');
@@ -1062,10 +3181,10 @@ describe('cache', function() {
 
             expect(confObj).to.exist.and.to.be.a('object');
             expect(confObj).to.have.property('name', testObj2.name);
-            expect(confObj).to.have.property('data', testObj2.data);
+            expect(confObj).to.not.have.property('data');
             expect(confObj).to.have.property('relatedData');
             expect(confObj.relatedData).to.be.a('object').and.to.be.empty;
-            expect(confObj).to.have.deep.property('file.path', path.join(filesDirectory, `${testObj2.name}${confExtension}_${testObj2.name}`));
+            expect(confObj.file.path).to.match(dataFilePattern(testObj2.name));
             expect(confObj).to.have.deep.property('file.saved', true);
             expect(confObj).to.have.deep.property('file.encoding', 'binary');
             expect(confObj).to.have.property('lastModified');
@@ -1082,4 +3201,158 @@ describe('cache', function() {
       });
     });
   });
+
+  describe('unsafe names', function() {
+    const names = ['../escaped', 'a/b/c', '/etc/passwd', '..', '.', 'nul\u0000byte', 'a:b*c?<>|', 'x'.repeat(500)];
+
+    before(function() {
+      cache.clearSync();
+    });
+
+    it('should store any non-empty name as a file inside the cache directory', function(done) {
+      Promise.all(names.map(name => cache.set({ name, data: obj.data })))
+      .then((confObjs) => {
+        confObjs.forEach((confObj, i) => {
+          expect(confObj).to.have.property('name', names[i]);
+          expect(path.dirname(confObj.file.path)).to.equal(filesDirectory);
+        });
+
+        expect(fs.readdirSync(filesDirectory).length).to.equal(2 * names.length);
+        expect(fs.existsSync(path.join(filesDirectory, '..', `escaped${confExtension}`))).to.be.false;
+
+        return Promise.all(names.map(name => cache.get(name)));
+      })
+      .then((results) => {
+        results.forEach(({ confObj }, i) => expect(confObj).to.have.property('name', names[i]));
+        names.forEach(name => expect(cache.hasSync(name)).to.be.true);
+        names.forEach(name => expect(cache.deleteSync(name)).to.be.true);
+        expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.be.empty;
+
+        done();
+      })
+      .catch(err => done(err.err || err));
+    });
+
+    after(function() {
+      cache.clearSync();
+    });
+  });
+
+  describe('#createCache()', function() {
+    let instanceDirectory;
+    let instance;
+
+    before(function() {
+      cache.clearSync();
+      instanceDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-me-'));
+      instance = cache.createCache({ directory: instanceDirectory, defaultTtl: 2 * hour });
+    });
+
+    it('should return an instance with the whole cache API', function() {
+      expect(instance).to.exist.and.to.be.a('object');
+      expect(instance).to.not.equal(cache);
+      expect(instance).to.have.property('directory', instanceDirectory);
+
+      ['get', 'getSync', 'set', 'setParallel', 'hasSync', 'reset', 'resetSync', 'delete', 'deleteSync', 'clear', 'clearSync']
+      .forEach(method => expect(instance[method]).to.be.a('function'));
+    });
+
+    it('should bind the default instance to the internal files directory', function() {
+      expect(cache).to.have.property('directory', filesDirectory);
+    });
+
+    it('should store data in its own directory with its default time', function(done) {
+      instance.set({ name: obj.name, data: obj.data })
+      .then((confObj) => {
+        expect(confObj.file.path).to.match(dataFilePattern(obj.name, instanceDirectory));
+        expect(confObj.expires - confObj.lastModified).to.equal(2 * hour);
+        expect(fs.readdirSync(instanceDirectory)).to.include(`${obj.name}${confExtension}`);
+        expect(fs.readdirSync(filesDirectory)).to.be.a('array').and.to.be.empty;
+
+        expect(instance.hasSync(obj.name)).to.be.true;
+        expect(cache.hasSync(obj.name)).to.be.false;
+
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    it('should create the directory when it does not exist', function(done) {
+      const nested = path.join(instanceDirectory, 'nested', 'cache');
+      const nestedInstance = cache.createCache({ directory: nested });
+
+      nestedInstance.ready()
+      .then(() => nestedInstance.set(obj))
+      .then(() => {
+        expect(fs.readdirSync(nested)).to.include(`${obj.name}${confExtension}`);
+
+        nestedInstance.clearSync();
+        fs.rmdirSync(nested);
+        fs.rmdirSync(path.dirname(nested));
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    context('when the directory is not usable', function() {
+      let unusable;
+
+      before(function() {
+        fs.writeFileSync(path.join(instanceDirectory, 'file'), 'not a directory');
+        unusable = cache.createCache({ directory: path.join(instanceDirectory, 'file') });
+      });
+
+      it('should reject ready() with an ECACHEDIR error', function(done) {
+        unusable.ready()
+        .then(() => done(new Error('a file should not be a usable cache directory')))
+        .catch((err) => {
+          expect(err.code).to.equal('ECACHEDIR');
+          done();
+        });
+      });
+
+      it('should reject get() and set() with the same error', function(done) {
+        Promise.all([
+          unusable.get(obj.name).then(() => undefined, ({ err }) => err),
+          unusable.set(obj).then(() => undefined, err => err),
+        ])
+        .then(([getErr, setErr]) => {
+          expect(getErr).to.exist;
+          expect(getErr.code).to.equal('ECACHEDIR');
+          expect(setErr).to.exist;
+          expect(setErr.code).to.equal('ECACHEDIR');
+          done();
+        })
+        .catch(err => done(err));
+      });
+
+      it('should callback setParallel() with the same error', function(done) {
+        unusable.setParallel(obj, (err, confObj) => {
+          expect(err).to.exist;
+          expect(err.code).to.equal('ECACHEDIR');
+          expect(confObj).to.not.exist;
+          done();
+        });
+      });
+
+      after(function() {
+        fs.unlinkSync(path.join(instanceDirectory, 'file'));
+      });
+    });
+
+    it('should fall back on 1 hour if defaultTtl is not valid', function(done) {
+      cache.createCache({ directory: instanceDirectory, defaultTtl: 'nope' })
+      .set({ name: obj.name, data: obj.data })
+      .then((confObj) => {
+        expect(confObj.expires - confObj.lastModified).to.equal(1 * hour);
+        done();
+      })
+      .catch(err => done(err));
+    });
+
+    after(function() {
+      instance.clearSync();
+      fs.rmdirSync(instanceDirectory);
+    });
+  });
 });